@@ -0,0 +1,96 @@
+import {
+  getShopSettings,
+  updateShopSettings,
+} from "./download-policies.server";
+import { FREE_PLAN, PAID_PLANS, PLANS } from "./plans";
+
+export const isTestBilling = process.env.NODE_ENV !== "production";
+
+export const PLAN_REQUIRED_ERROR =
+  "Download limits and expiry are available on the Basic and Pro plans";
+
+// Returns the plan whose limits apply to the shop. A paid plan only counts
+// while its subscription is active; a frozen, cancelled or declined
+// subscription falls back to the free plan without touching any files.
+export async function getShopPlan(shop) {
+  const settings = await getShopSettings(shop);
+  const active =
+    PLANS[settings.plan] &&
+    settings.plan !== FREE_PLAN &&
+    settings.subscriptionStatus === "ACTIVE";
+  const name = active ? settings.plan : FREE_PLAN;
+
+  return {
+    ...PLANS[name],
+    name,
+    subscribedPlan: settings.plan,
+    subscriptionStatus: settings.subscriptionStatus,
+  };
+}
+
+export async function recordSubscription(shop, subscription) {
+  if (!subscription || !PLANS[subscription.name]) {
+    return updateShopSettings(shop, {
+      plan: FREE_PLAN,
+      subscriptionId: null,
+      subscriptionStatus: null,
+    });
+  }
+
+  return updateShopSettings(shop, {
+    plan: subscription.name,
+    subscriptionId: subscription.id,
+    subscriptionStatus: subscription.status,
+  });
+}
+
+// Handles the app_subscriptions/update webhook. A newly active subscription
+// replaces the stored one; other status changes only apply to the
+// subscription the shop is currently on.
+export async function handleSubscriptionUpdate(shop, payload) {
+  const {
+    admin_graphql_api_id: id,
+    name,
+    status,
+  } = payload.app_subscription || {};
+  if (!id) return;
+
+  if (status === "ACTIVE") {
+    await recordSubscription(shop, { id, name, status });
+    return;
+  }
+
+  const settings = await getShopSettings(shop);
+  if (settings.subscriptionId === id) {
+    await updateShopSettings(shop, { subscriptionStatus: status });
+  }
+}
+
+// Brings the stored plan in line with Shopify, in case a webhook was missed.
+export async function syncSubscription(billing, shop) {
+  const { appSubscriptions } = await billing.check({
+    plans: PAID_PLANS,
+    isTest: isTestBilling,
+  });
+  const [subscription] = appSubscriptions;
+
+  if (subscription) {
+    await recordSubscription(shop, subscription);
+    return;
+  }
+
+  const settings = await getShopSettings(shop);
+  if (settings.subscriptionStatus === "ACTIVE") {
+    await updateShopSettings(shop, { subscriptionStatus: "CANCELLED" });
+  }
+}
+
+// Only setting limits is gated. Clearing them is always allowed so a shop
+// that downgraded can still remove limits set on a paid plan.
+export async function checkPolicyAllowed(shop, data) {
+  const setsLimits = Object.values(data).some((value) => value != null);
+  if (!setsLimits) return null;
+
+  const plan = await getShopPlan(shop);
+  return plan.downloadPolicies ? null : PLAN_REQUIRED_ERROR;
+}
@@ -0,0 +1,283 @@
+import prisma from "./db.server";
+import storage from "./storage.server";
+import { isEncryptionEnabled } from "./data-keys.server";
+import { deleteFile, fileExists, hashFile, saveFile } from "./files.server";
+import { deletePreviews } from "./previews.server";
+
+// Points every file and version of the shop stored at `fromKey` to `toKey`,
+// recording the contents' hash on the way.
+async function moveStorageKey(shop, fromKey, toKey, sha256) {
+  await prisma.$transaction([
+    prisma.file.updateMany({
+      where: { shop, storageKey: fromKey },
+      data: { storageKey: toKey, sha256 },
+    }),
+    prisma.fileVersion.updateMany({
+      where: { storageKey: fromKey, file: { shop } },
+      data: { storageKey: toKey, sha256 },
+    }),
+  ]);
+}
+
+async function deleteStoredCopy(storageKey) {
+  try {
+    await deleteFile(storageKey);
+    await deletePreviews(storageKey);
+  } catch (error) {
+    console.error(`Could not delete ${storageKey}:`, error);
+  }
+}
+
+// Registers a freshly saved upload. When the shop already stores identical
+// contents the upload is dropped and the existing blob is shared instead,
+// unless that copy is damaged or gone: then the upload replaces it, which
+// repairs every file using it. Returns the storage key to record on the
+// file version.
+export async function acquireBlob(shop, { storageKey, size, sha256 }) {
+  const blob = await prisma.storageBlob.upsert({
+    where: { shop_sha256: { shop, sha256 } },
+    update: { refCount: { increment: 1 } },
+    create: { shop, sha256, storageKey, size, refCount: 1 },
+  });
+  if (blob.storageKey === storageKey) return storageKey;
+
+  const damaged = blob.status !== "ok" || !(await fileExists(blob.storageKey));
+  if (!damaged) {
+    await deleteFile(storageKey);
+    return blob.storageKey;
+  }
+
+  await prisma.storageBlob.update({
+    where: { id: blob.id },
+    data: { storageKey, status: "ok", verifiedAt: new Date() },
+  });
+  await moveStorageKey(shop, blob.storageKey, storageKey, sha256);
+  await deleteStoredCopy(blob.storageKey);
+  return storageKey;
+}
+
+// Deletes a saved upload that no file ended up using. An upload that
+// became the shop's stored copy of its contents is left to the files
+// referencing it.
+export async function discardUpload(shop, storageKey) {
+  const tracked = await prisma.storageBlob.count({
+    where: { shop, storageKey },
+  });
+  if (tracked === 0) {
+    await deleteStoredCopy(storageKey);
+  }
+}
+
+// Drops one reference to a stored file, deleting it and its previews with
+// the last one.
+// Files stored before blobs were tracked have no row and go straight away.
+export async function releaseBlob(shop, storageKey) {
+  const blob = await prisma.storageBlob.findFirst({
+    where: { shop, storageKey },
+  });
+  if (!blob) {
+    await deleteFile(storageKey);
+    await deletePreviews(storageKey);
+    return;
+  }
+
+  await prisma.storageBlob.update({
+    where: { id: blob.id },
+    data: { refCount: { decrement: 1 } },
+  });
+  const { count } = await prisma.storageBlob.deleteMany({
+    where: { id: blob.id, refCount: { lte: 0 } },
+  });
+  if (count > 0) {
+    await deleteFile(storageKey);
+    await deletePreviews(storageKey);
+  }
+}
+
+// Fingerprints file versions stored before uploads were hashed and
+// registers their contents as blobs, sharing identical copies. Versions
+// whose contents are gone from storage are left as they are. Returns the
+// number of stored copies fingerprinted.
+export async function backfillBlobs(shop) {
+  const versions = await prisma.fileVersion.findMany({
+    where: { sha256: null, file: { shop } },
+    select: { storageKey: true, size: true },
+  });
+  const byKey = new Map();
+  for (const version of versions) {
+    const entry = byKey.get(version.storageKey) || { ...version, refs: 0 };
+    entry.refs++;
+    byKey.set(version.storageKey, entry);
+  }
+
+  let backfilled = 0;
+  for (const { storageKey, size, refs } of byKey.values()) {
+    if (!(await fileExists(storageKey))) continue;
+
+    const sha256 = await hashFile(storageKey);
+    const existing = await prisma.storageBlob.findUnique({
+      where: { shop_sha256: { shop, sha256 } },
+    });
+
+    if (existing && existing.storageKey !== storageKey) {
+      await prisma.storageBlob.update({
+        where: { id: existing.id },
+        data: { refCount: { increment: refs } },
+      });
+      await moveStorageKey(shop, storageKey, existing.storageKey, sha256);
+      await deleteStoredCopy(storageKey);
+    } else {
+      await prisma.storageBlob.upsert({
+        where: { shop_sha256: { shop, sha256 } },
+        update: { refCount: { increment: refs } },
+        create: { shop, sha256, storageKey, size, refCount: refs },
+      });
+      await moveStorageKey(shop, storageKey, storageKey, sha256);
+    }
+    backfilled++;
+  }
+
+  return backfilled;
+}
+
+// Re-hashes every stored blob of the shop and records whether it is still
+// intact, after fingerprinting any versions that predate hashing. Reports
+// the blobs checked so far through `onProgress`. Returns the number of
+// blobs checked per status.
+export async function verifyBlobs(shop, { onProgress } = {}) {
+  const backfilled = await backfillBlobs(shop);
+  const blobs = await prisma.storageBlob.findMany({ where: { shop } });
+  const summary = { ok: 0, mismatch: 0, missing: 0, backfilled };
+  onProgress?.(0, blobs.length);
+
+  for (const [index, blob] of blobs.entries()) {
+    let status = "ok";
+    if (!(await fileExists(blob.storageKey))) {
+      status = "missing";
+    } else if ((await hashFile(blob.storageKey)) !== blob.sha256) {
+      status = "mismatch";
+    }
+
+    await prisma.storageBlob.update({
+      where: { id: blob.id },
+      data: { status, verifiedAt: new Date() },
+    });
+    summary[status]++;
+    onProgress?.(index + 1, blobs.length);
+  }
+
+  return summary;
+}
+
+// Checks run one at a time in the background since they read back every
+// stored file. A shop has at most one queued, whose progress stays here
+// until it is done; the results are on the blobs.
+const checks = new Map();
+let checkQueue = Promise.resolve();
+
+export function queueIntegrityCheck(shop) {
+  if (!checks.has(shop)) {
+    const progress = { checked: 0, total: null };
+    const job = checkQueue
+      .then(() =>
+        verifyBlobs(shop, {
+          onProgress: (checked, total) =>
+            Object.assign(progress, { checked, total }),
+        }),
+      )
+      .catch((error) =>
+        console.error(`Could not check stored files of ${shop}:`, error),
+      )
+      .finally(() => checks.delete(shop));
+    checkQueue = job;
+    checks.set(shop, { job, progress });
+  }
+  return checks.get(shop).job;
+}
+
+// Progress of the shop's queued check, or null when none is queued. The
+// total is null until older versions have been fingerprinted.
+export function getIntegrityCheck(shop) {
+  const check = checks.get(shop);
+  return check ? { ...check.progress } : null;
+}
+
+// Lists blobs that failed their last check with the files that use them.
+export async function listDamagedBlobs(shop) {
+  const blobs = await prisma.storageBlob.findMany({
+    where: { shop, status: { not: "ok" } },
+    orderBy: { verifiedAt: "desc" },
+  });
+  if (blobs.length === 0) return [];
+
+  const versions = await prisma.fileVersion.findMany({
+    where: {
+      storageKey: { in: blobs.map((blob) => blob.storageKey) },
+      file: { shop },
+    },
+    include: { file: { select: { id: true, originalName: true } } },
+  });
+
+  return blobs.map((blob) => ({
+    ...blob,
+    versions: versions.filter(
+      (version) => version.storageKey === blob.storageKey,
+    ),
+  }));
+}
+
+// Encrypts files stored before encryption was turned on. Each one is
+// copied to a new, encrypted object that its files, versions and blob then
+// point to, and the plaintext copy is deleted with its previews. Plaintext
+// stamped copies are dropped and made again on the next download. Returns
+// the number of files and stamped copies handled.
+export async function encryptStoredFiles() {
+  if (!isEncryptionEnabled()) {
+    throw new Error("ENCRYPTION_MASTER_KEY is not set");
+  }
+
+  const versions = await prisma.fileVersion.findMany({
+    distinct: ["storageKey"],
+    select: {
+      storageKey: true,
+      file: { select: { shop: true, originalName: true } },
+    },
+  });
+
+  let encrypted = 0;
+  for (const { storageKey, file } of versions) {
+    if (!(await fileExists(storageKey))) continue;
+    if (await storage.isEncrypted(storageKey)) continue;
+
+    const saved = await saveFile(
+      file.shop,
+      file.originalName,
+      await storage.stream(storageKey),
+    );
+    await prisma.storageBlob.updateMany({
+      where: { shop: file.shop, storageKey },
+      data: { storageKey: saved.storageKey },
+    });
+    await moveStorageKey(file.shop, storageKey, saved.storageKey, saved.sha256);
+    await deleteStoredCopy(storageKey);
+    encrypted++;
+  }
+
+  const copies = await prisma.stampedCopy.findMany({
+    select: { id: true, storageKey: true },
+  });
+  let stampedDropped = 0;
+  for (const copy of copies) {
+    if (
+      (await fileExists(copy.storageKey)) &&
+      (await storage.isEncrypted(copy.storageKey))
+    ) {
+      continue;
+    }
+    await storage.delete(copy.storageKey);
+    await prisma.stampedCopy.delete({ where: { id: copy.id } });
+    stampedDropped++;
+  }
+
+  return { encrypted, stampedDropped };
+}
@@ -0,0 +1,311 @@
+import { randomBytes } from "crypto";
+import { Readable, Transform } from "stream";
+import prisma from "./db.server";
+import storage from "./storage.server";
+import { addFileVersion, createVersionedFile } from "./file-versions.server";
+import { checkQuota } from "./quotas.server";
+import { discardUpload } from "./blobs.server";
+import { folderExists } from "./folders.server";
+import { cleanFileName, saveFile } from "./files.server";
+import {
+  checkUploadAllowed,
+  readStreamHead,
+  validateUpload,
+} from "./upload-validation.server";
+
+const STALE_AFTER = 24 * 60 * 60 * 1000;
+
+// Parts are stored through the storage driver and recorded on the upload,
+// so any instance can take the next part or complete the upload. Each part
+// is written under a key of its own and only counts once the upload's
+// `received` is moved past it, which succeeds only while `received` is
+// still the part's offset. Of two parts sent at the same offset, one is
+// kept and the other deleted.
+const partKey = (uploadId, offset) =>
+  `parts/${uploadId}/${offset}-${randomBytes(4).toString("hex")}`;
+
+// Passes through at most `limit` bytes and fails the stream past that, so
+// a part larger than the rest of the upload is never written in full.
+function limitBytes(limit) {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      seen += chunk.length;
+      if (seen > limit) {
+        const error = new Error("Upload is larger than declared");
+        error.code = "UPLOAD_TOO_LARGE";
+        callback(error);
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+// The stored parts of an upload read back to back.
+function readParts(parts) {
+  return Readable.from(
+    (async function* () {
+      for (const part of parts) {
+        yield* await storage.stream(part.storageKey);
+      }
+    })(),
+  );
+}
+
+async function deleteParts(parts) {
+  await Promise.all(parts.map((part) => storage.delete(part.storageKey)));
+}
+
+// Deletes an upload and its parts, unless another request got to it first.
+// Returns the parts, or null when the upload was already gone.
+async function claimUpload(uploadId) {
+  const parts = await prisma.uploadPart.findMany({
+    where: { uploadId },
+    orderBy: { offset: "asc" },
+  });
+  const { count } = await prisma.uploadSession.deleteMany({
+    where: { id: uploadId },
+  });
+  if (count === 0) return null;
+
+  return parts;
+}
+
+async function findSession(shop, uploadId) {
+  if (!uploadId) return null;
+  return prisma.uploadSession.findFirst({ where: { id: uploadId, shop } });
+}
+
+// Uploads nobody resumed within a day are dropped with their parts,
+// for one shop or, without `shop`, for all of them.
+export async function purgeStaleUploads(shop) {
+  const stale = await prisma.uploadSession.findMany({
+    where: {
+      ...(shop && { shop }),
+      updatedAt: { lt: new Date(Date.now() - STALE_AFTER) },
+    },
+  });
+  for (const session of stale) {
+    const parts = await claimUpload(session.id);
+    if (parts) await deleteParts(parts);
+  }
+}
+
+export async function listPendingUploads(shop) {
+  return prisma.uploadSession.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+// Starts an upload, or resumes the one already in progress for the same
+// file. The fingerprint identifies a file across page reloads. With a
+// `fileId` the upload becomes a new version of that file.
+export async function initUpload(
+  shop,
+  { name: rawName, type, size, folderId, fingerprint, fileId },
+) {
+  const name = cleanFileName(rawName);
+  if (!name || !fingerprint || !Number.isInteger(size) || size < 0) {
+    return { error: "Invalid upload" };
+  }
+
+  if (fileId) {
+    const count = await prisma.file.count({
+      where: { id: fileId, shop, deletedAt: null },
+    });
+    if (count === 0) {
+      return { error: "File not found" };
+    }
+  }
+
+  if (folderId && !(await folderExists(shop, folderId))) {
+    return { error: "Folder not found" };
+  }
+
+  const ruleError = await checkUploadAllowed(shop, { name, size });
+  if (ruleError) {
+    return { error: ruleError };
+  }
+
+  await purgeStaleUploads(shop);
+
+  const existing = await prisma.uploadSession.findFirst({
+    where: {
+      shop,
+      fingerprint,
+      size,
+      folderId: folderId || null,
+      fileId: fileId || null,
+    },
+  });
+  if (existing) {
+    return { uploadId: existing.id, offset: existing.received };
+  }
+
+  const quotaError = await checkQuota(shop, {
+    bytes: size,
+    files: fileId ? 0 : 1,
+  });
+  if (quotaError) {
+    return { error: quotaError };
+  }
+
+  const session = await prisma.uploadSession.create({
+    data: {
+      shop,
+      fingerprint,
+      originalName: name,
+      mimeType: type || "application/octet-stream",
+      size,
+      folderId: folderId || null,
+      fileId: fileId || null,
+    },
+  });
+
+  return { uploadId: session.id, offset: 0 };
+}
+
+// Appends one chunk at `offset`. A client whose offset is out of date gets
+// the server's offset back so it can continue from there.
+export async function appendUploadPart(shop, uploadId, offset, body) {
+  const session = await findSession(shop, uploadId);
+  if (!session) {
+    return { error: "Upload not found" };
+  }
+
+  if (offset !== session.received) {
+    return { error: "Offset mismatch", offset: session.received };
+  }
+  if (!body) {
+    return { offset };
+  }
+
+  const storageKey = partKey(uploadId, offset);
+  let size;
+  try {
+    const source = Readable.fromWeb(body);
+    const limited = limitBytes(session.size - offset);
+    source.on("error", (error) => limited.destroy(error));
+    limited.on("error", () => source.destroy());
+    ({ size } = await storage.save(storageKey, source.pipe(limited), {
+      shop,
+    }));
+  } catch (error) {
+    await storage.delete(storageKey);
+    if (error.code !== "UPLOAD_TOO_LARGE") throw error;
+    return { error: error.message, offset };
+  }
+
+  const committed = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.uploadSession.updateMany({
+      where: { id: uploadId, received: offset },
+      data: { received: offset + size },
+    });
+    if (count === 0) return false;
+
+    await tx.uploadPart.create({
+      data: { uploadId, offset, size, storageKey },
+    });
+    return true;
+  });
+  if (!committed) {
+    await storage.delete(storageKey);
+    const current = await findSession(shop, uploadId);
+    return current
+      ? { error: "Offset mismatch", offset: current.received }
+      : { error: "Upload not found" };
+  }
+
+  return { offset: offset + size };
+}
+
+export async function completeUpload(shop, uploadId) {
+  const session = await findSession(shop, uploadId);
+  if (!session) {
+    return { error: "Upload not found" };
+  }
+  if (session.received !== session.size) {
+    return { error: "Upload is incomplete", offset: session.received };
+  }
+
+  const parts = await claimUpload(uploadId);
+  if (!parts) {
+    return { error: "Upload not found" };
+  }
+  try {
+    return await finishUpload(shop, session, parts);
+  } finally {
+    await deleteParts(parts);
+  }
+}
+
+async function finishUpload(shop, session, parts) {
+  // The browser's type is only a hint; the stored type comes from the
+  // contents, and uploads that don't match their extension are dropped.
+  const { mimeType, error } = await validateUpload(shop, {
+    name: session.originalName,
+    size: session.size,
+    head: await readStreamHead(readParts(parts)),
+  });
+  if (error) {
+    return { error };
+  }
+
+  // Other uploads may have finished since this one started.
+  const quotaError = await checkQuota(shop, {
+    bytes: session.size,
+    files: session.fileId ? 0 : 1,
+  });
+  if (quotaError) {
+    return { error: quotaError };
+  }
+
+  const { filename, storageKey, size, sha256 } = await saveFile(
+    shop,
+    session.originalName,
+    readParts(parts),
+  );
+  const upload = {
+    filename,
+    storageKey,
+    mimeType,
+    size,
+    sha256,
+  };
+
+  let result;
+  try {
+    result = session.fileId
+      ? await addFileVersion(shop, session.fileId, upload)
+      : {
+          file: await createVersionedFile({
+            ...upload,
+            originalName: session.originalName,
+            shop,
+            folderId: session.folderId,
+          }),
+        };
+  } catch (error) {
+    await discardUpload(shop, storageKey);
+    throw error;
+  }
+
+  // The file may have been deleted while it was uploading.
+  if (result.error) {
+    await discardUpload(shop, storageKey);
+  }
+  return result;
+}
+
+export async function abortUpload(shop, uploadId) {
+  const session = await findSession(shop, uploadId);
+  const parts = session && (await claimUpload(uploadId));
+  if (!parts) {
+    return { error: "Upload not found" };
+  }
+
+  await deleteParts(parts);
+  return { success: true };
+}
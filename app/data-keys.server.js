@@ -0,0 +1,143 @@
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  randomBytes,
+} from "crypto";
+import prisma from "./db.server";
+
+// Master keys are 32 random bytes, base64 encoded. ENCRYPTION_MASTER_KEY
+// wraps new data keys; keys it replaced stay in
+// ENCRYPTION_PREVIOUS_MASTER_KEYS until every data key is re-wrapped.
+function parseMasterKey(value) {
+  const key = Buffer.from(value.trim(), "base64");
+  if (key.length !== 32) {
+    throw new Error("Encryption master keys must be 32 bytes, base64 encoded");
+  }
+  return {
+    id: createHash("sha256").update(key).digest("hex").slice(0, 16),
+    key,
+  };
+}
+
+function loadMasterKeys() {
+  const current = process.env.ENCRYPTION_MASTER_KEY
+    ? parseMasterKey(process.env.ENCRYPTION_MASTER_KEY)
+    : null;
+  const previous = (process.env.ENCRYPTION_PREVIOUS_MASTER_KEYS || "")
+    .split(",")
+    .filter((value) => value.trim())
+    .map(parseMasterKey);
+
+  return {
+    current,
+    byId: new Map(
+      [current, ...previous]
+        .filter(Boolean)
+        .map((master) => [master.id, master]),
+    ),
+  };
+}
+
+const masterKeys = loadMasterKeys();
+
+// Data keys are wrapped with AES-256-GCM, so a wrong or tampered key fails
+// to unwrap instead of silently producing garbage.
+function wrapKey(dataKey, master) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", master.key, iv);
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString("base64");
+}
+
+function unwrapKey(record) {
+  const master = masterKeys.byId.get(record.masterKeyId);
+  if (!master) {
+    throw new Error(
+      `Data key ${record.id} is wrapped with master key ${record.masterKeyId}, which is not configured`,
+    );
+  }
+
+  const data = Buffer.from(record.wrappedKey, "base64");
+  const decipher = createDecipheriv(
+    "aes-256-gcm",
+    master.key,
+    data.subarray(0, 12),
+  );
+  decipher.setAuthTag(data.subarray(12, 28));
+  return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+}
+
+// Unwrapped keys are kept in memory, as every read of a file needs one.
+const unwrapped = new Map();
+
+function cacheKey(record) {
+  const dataKey = { id: record.id, key: unwrapKey(record) };
+  unwrapped.set(record.id, dataKey);
+  return dataKey;
+}
+
+export function isEncryptionEnabled() {
+  return Boolean(masterKeys.current);
+}
+
+// Returns the shop's data key as `{ id, key }`, creating it on first use.
+// Returns null when no master key is configured and files are stored
+// unencrypted.
+export async function getShopDataKey(shop) {
+  if (!masterKeys.current) return null;
+
+  const record = await prisma.dataKey.findUnique({ where: { shop } });
+  if (record) {
+    return unwrapped.get(record.id) || cacheKey(record);
+  }
+
+  try {
+    return cacheKey(
+      await prisma.dataKey.create({
+        data: {
+          shop,
+          wrappedKey: wrapKey(randomBytes(32), masterKeys.current),
+          masterKeyId: masterKeys.current.id,
+        },
+      }),
+    );
+  } catch (error) {
+    // Another upload for the shop created the key first.
+    if (error.code !== "P2002") throw error;
+    return cacheKey(await prisma.dataKey.findUnique({ where: { shop } }));
+  }
+}
+
+export async function getDataKey(id) {
+  if (unwrapped.has(id)) return unwrapped.get(id);
+
+  const record = await prisma.dataKey.findUnique({ where: { id } });
+  if (!record) {
+    throw new Error(`Data key ${id} not found`);
+  }
+  return cacheKey(record);
+}
+
+// Re-wraps every data key still wrapped with a previous master key. Files
+// keep their data keys, so nothing stored has to be rewritten.
+export async function rewrapDataKeys() {
+  if (!masterKeys.current) {
+    throw new Error("ENCRYPTION_MASTER_KEY is not set");
+  }
+
+  const records = await prisma.dataKey.findMany({
+    where: { masterKeyId: { not: masterKeys.current.id } },
+  });
+  for (const record of records) {
+    await prisma.dataKey.update({
+      where: { id: record.id },
+      data: {
+        wrappedKey: wrapKey(unwrapKey(record), masterKeys.current),
+        masterKeyId: masterKeys.current.id,
+      },
+    });
+  }
+
+  return { rewrapped: records.length, masterKeyId: masterKeys.current.id };
+}
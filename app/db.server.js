@@ -1,11 +1,45 @@
 import { PrismaClient } from "@prisma/client";
 
+// Byte counts are stored as 64-bit integers so files can be larger than
+// 2 GB, and read back as plain numbers, which are exact up to 8 PB.
+const BYTE_FIELDS = {
+  file: ["size"],
+  fileVersion: ["size"],
+  storageBlob: ["size"],
+  uploadSession: ["size", "received"],
+  uploadPart: ["offset", "size"],
+  stampedCopy: ["size"],
+  downloadEvent: ["rangeStart", "bytesServed"],
+};
+
+function createClient() {
+  const result = Object.fromEntries(
+    Object.entries(BYTE_FIELDS).map(([model, fields]) => [
+      model,
+      Object.fromEntries(
+        fields.map((field) => [
+          field,
+          {
+            needs: { [field]: true },
+            compute: (record) => Number(record[field]),
+          },
+        ]),
+      ),
+    ]),
+  );
+  return new PrismaClient().$extends({ result });
+}
+
 if (process.env.NODE_ENV !== "production") {
   if (!global.prismaGlobal) {
-    global.prismaGlobal = new PrismaClient();
+    global.prismaGlobal = createClient();
   }
 }
 
-const prisma = global.prismaGlobal ?? new PrismaClient();
+const prisma = global.prismaGlobal ?? createClient();
+
+// Sums and other aggregates of byte fields are not covered by the result
+// extension above.
+export const toBytes = (value) => Number(value ?? 0);
 
 export default prisma;
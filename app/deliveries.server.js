@@ -0,0 +1,40 @@
+import prisma from "./db.server";
+import { customerEmail, orderGid, orderName } from "./entitlements.server";
+
+// Records the outcome of delivering an order's files: "delivered",
+// "awaiting-keys" while line items wait for license keys, or "failed".
+// Webhook retries update the existing row, so a delivery that failed and
+// then succeeded ends up as delivered.
+export async function recordDelivery(
+  shop,
+  order,
+  { status, fileCount, error },
+) {
+  const data = {
+    orderName: orderName(order),
+    customerEmail: customerEmail(order),
+    status,
+    error: error ?? null,
+    ...(fileCount != null ? { fileCount } : {}),
+  };
+
+  return prisma.delivery.upsert({
+    where: { shop_orderId: { shop, orderId: orderGid(order) } },
+    update: data,
+    create: { ...data, shop, orderId: orderGid(order) },
+  });
+}
+
+// Marks an order waiting for license keys as delivered once none of its
+// line items is waiting any more.
+export async function completeKeyDelivery(shop, orderId) {
+  const waiting = await prisma.licenseKeyShortage.count({
+    where: { shop, orderId },
+  });
+  if (waiting > 0) return;
+
+  await prisma.delivery.updateMany({
+    where: { shop, orderId, status: "awaiting-keys" },
+    data: { status: "delivered" },
+  });
+}
@@ -0,0 +1,290 @@
+import prisma, { toBytes } from "./db.server";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const EVENT_STATUSES = ["started", "completed", "aborted"];
+
+// Number of proxies in front of the app that append to X-Forwarded-For.
+// Entries left of theirs are supplied by the client and can be anything.
+const TRUSTED_PROXY_HOPS = Number(process.env.TRUSTED_PROXY_HOPS) || 1;
+
+export function clientIp(request) {
+  const forwarded = request.headers
+    .get("X-Forwarded-For")
+    ?.split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (forwarded?.length) {
+    return forwarded[Math.max(forwarded.length - TRUSTED_PROXY_HOPS, 0)];
+  }
+  return request.headers.get("X-Real-IP");
+}
+
+// Logs a download and passes its bytes through, counting them. The event
+// is created as "started" and marked "completed" once the whole body has
+// been read, or "aborted" if the client goes away first. Responses without
+// a body (HEAD, 304, 416) are not logged.
+export async function trackDownload(request, response, event) {
+  if (!response.body) return response;
+
+  const createdAt = new Date();
+  const { id } = await prisma.downloadEvent.create({
+    data: {
+      ...event,
+      createdAt,
+      day: createdAt.toISOString().slice(0, 10),
+      ip: clientIp(request),
+      userAgent: request.headers.get("User-Agent"),
+      rangeStart: Number(
+        /^bytes (\d+)-/.exec(response.headers.get("Content-Range"))?.[1] ?? 0,
+      ),
+    },
+  });
+
+  let bytesServed = 0;
+  let finished = false;
+  const finish = (status) => {
+    if (finished) return;
+    finished = true;
+    prisma.downloadEvent
+      .update({ where: { id }, data: { status, bytesServed } })
+      .catch((error) => console.error("Failed to log download", error));
+  };
+
+  const reader = response.body.getReader();
+  request.signal?.addEventListener("abort", () => finish("aborted"));
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          controller.close();
+          finish("completed");
+          return;
+        }
+        bytesServed += value.byteLength;
+        controller.enqueue(value);
+      } catch (error) {
+        finish("aborted");
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      finish("aborted");
+      return reader.cancel(reason);
+    },
+  });
+
+  return new Response(body, {
+    status: response.status,
+    headers: response.headers,
+  });
+}
+
+const parseDate = (value) => {
+  if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return Number.isNaN(date.getTime()) ? null : value;
+};
+
+const shiftDate = (value, days) =>
+  new Date(new Date(`${value}T00:00:00.000Z`).getTime() + days * DAY)
+    .toISOString()
+    .slice(0, 10);
+
+// Reads the analytics filters from the query string. Dates are whole UTC
+// days in `YYYY-MM-DD` form, default to the last 30 days and span at most
+// a year.
+export function parseEventFilters(url) {
+  const params = new URL(url).searchParams;
+  const today = new Date().toISOString().slice(0, 10);
+  const to = parseDate(params.get("to")) || today;
+  const earliest = shiftDate(to, -365);
+  let from = parseDate(params.get("from")) || shiftDate(to, -29);
+  if (from < earliest) from = earliest;
+  if (from > to) from = to;
+  const status = params.get("status");
+
+  return {
+    from,
+    to,
+    fileId: params.get("fileId") || "",
+    status: EVENT_STATUSES.includes(status) ? status : "",
+    source: ["customer", "admin"].includes(params.get("source"))
+      ? params.get("source")
+      : "",
+    query: params.get("query")?.trim() || "",
+  };
+}
+
+function eventWhere(shop, filters) {
+  return {
+    shop,
+    createdAt: {
+      gte: new Date(`${filters.from}T00:00:00.000Z`),
+      lt: new Date(`${shiftDate(filters.to, 1)}T00:00:00.000Z`),
+    },
+    ...(filters.fileId ? { fileId: filters.fileId } : {}),
+    ...(filters.status ? { status: filters.status } : {}),
+    ...(filters.source ? { source: filters.source } : {}),
+    ...(filters.query
+      ? {
+          OR: [
+            { orderName: { contains: filters.query } },
+            { customerEmail: { contains: filters.query } },
+            { ip: { contains: filters.query } },
+          ],
+        }
+      : {}),
+  };
+}
+
+export async function listDownloadEvents(shop, filters, { take } = {}) {
+  return prisma.downloadEvent.findMany({
+    where: eventWhere(shop, filters),
+    orderBy: { createdAt: "desc" },
+    ...(take ? { take } : {}),
+  });
+}
+
+// Groups the filtered events by `field`, counting downloads, aborted
+// transfers and bytes served in the database. Returns a Map from each value
+// of the field to its counts.
+async function groupEvents(where, field) {
+  const groupBy = (extra, aggregate) =>
+    prisma.downloadEvent.groupBy({
+      by: [field],
+      where: extra ? { AND: [where, extra] } : where,
+      ...aggregate,
+    });
+  const [sums, downloads, aborted] = await Promise.all([
+    groupBy(null, { _sum: { bytesServed: true }, _max: { fileName: true } }),
+    groupBy({ rangeStart: 0 }, { _count: { _all: true } }),
+    groupBy({ status: "aborted" }, { _count: { _all: true } }),
+  ]);
+
+  const groups = new Map(
+    sums.map((group) => [
+      group[field],
+      {
+        fileName: group._max.fileName,
+        downloads: 0,
+        aborted: 0,
+        bytesServed: toBytes(group._sum.bytesServed),
+      },
+    ]),
+  );
+  for (const group of downloads) {
+    groups.get(group[field]).downloads = group._count._all;
+  }
+  for (const group of aborted) {
+    groups.get(group[field]).aborted = group._count._all;
+  }
+  return groups;
+}
+
+// Totals for the filtered range plus one bucket per day, for the charts.
+// Resumed transfers are logged but not counted as separate downloads.
+export async function summarizeDownloadEvents(shop, filters) {
+  const where = eventWhere(shop, filters);
+  const [byDay, byFile] = await Promise.all([
+    groupEvents(where, "day"),
+    groupEvents(where, "fileId"),
+  ]);
+
+  const days = [];
+  const totals = { downloads: 0, aborted: 0, bytesServed: 0 };
+  for (
+    let time = new Date(`${filters.from}T00:00:00.000Z`).getTime();
+    time <= new Date(`${filters.to}T00:00:00.000Z`).getTime();
+    time += DAY
+  ) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    const {
+      downloads = 0,
+      aborted = 0,
+      bytesServed = 0,
+    } = byDay.get(date) || {};
+    days.push({ date, downloads, aborted, bytesServed });
+    totals.downloads += downloads;
+    totals.aborted += aborted;
+    totals.bytesServed += bytesServed;
+  }
+
+  return {
+    totals,
+    days,
+    topFiles: [...byFile]
+      .map(([fileId, { fileName, downloads, aborted, bytesServed }]) => ({
+        fileId,
+        fileName,
+        downloads,
+        aborted,
+        bytesServed,
+      }))
+      .sort((a, b) => b.downloads - a.downloads)
+      .slice(0, 10),
+  };
+}
+
+const EXPORT_PAGE_SIZE = 1000;
+const CSV_COLUMNS = [
+  "createdAt",
+  "status",
+  "source",
+  "fileName",
+  "fileVersion",
+  "orderName",
+  "customerEmail",
+  "ip",
+  "userAgent",
+  "rangeStart",
+  "bytesServed",
+];
+
+// Values that a spreadsheet would run as a formula are prefixed with a
+// quote, since order and user agent fields come from customers.
+const csvValue = (value) => {
+  if (value == null) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (event) =>
+  CSV_COLUMNS.map((column) => csvValue(event[column])).join(",");
+
+// Streams the filtered events as CSV, newest first, reading them a page at
+// a time so a year of events is never held in memory at once.
+export function streamDownloadEventsCsv(shop, filters) {
+  const where = eventWhere(shop, filters);
+  const encoder = new TextEncoder();
+  let cursor = null;
+
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(encoder.encode(CSV_COLUMNS.join(",")));
+    },
+    async pull(controller) {
+      const events = await prisma.downloadEvent.findMany({
+        where,
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+        take: EXPORT_PAGE_SIZE,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      });
+      if (events.length > 0) {
+        controller.enqueue(
+          encoder.encode(
+            events.map((event) => `\r\n${csvRow(event)}`).join(""),
+          ),
+        );
+      }
+      if (events.length < EXPORT_PAGE_SIZE) {
+        controller.close();
+      } else {
+        cursor = events[events.length - 1].id;
+      }
+    },
+  });
+}
@@ -0,0 +1,155 @@
+import prisma from "./db.server";
+import { FREE_PLAN } from "./plans";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export async function getShopSettings(shop) {
+  const settings = await prisma.shopSettings.findUnique({ where: { shop } });
+  return (
+    settings || {
+      shop,
+      downloadLimit: null,
+      downloadExpiryDays: null,
+      trashRetentionDays: 30,
+      storageQuotaMb: null,
+      fileQuota: null,
+      allowedFileTypes: null,
+      maxUploadMb: null,
+      plan: FREE_PLAN,
+      subscriptionId: null,
+      subscriptionStatus: null,
+    }
+  );
+}
+
+export async function updateShopSettings(shop, data) {
+  return prisma.shopSettings.upsert({
+    where: { shop },
+    update: data,
+    create: { shop, ...data },
+  });
+}
+
+// Reads the optional `downloadLimit` and `downloadExpiryDays` fields of a
+// form. Blank fields mean "no override" and are returned as null.
+export function parsePolicyInput(formData) {
+  const data = {};
+  for (const key of ["downloadLimit", "downloadExpiryDays"]) {
+    const raw = formData.get(key)?.toString().trim();
+    if (!raw) {
+      data[key] = null;
+      continue;
+    }
+
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 1) {
+      return {
+        error:
+          key === "downloadLimit"
+            ? "Download limit must be a whole number of at least 1"
+            : "Expiry must be a whole number of days of at least 1",
+      };
+    }
+    data[key] = value;
+  }
+
+  return { data };
+}
+
+// File overrides win over product overrides, which win over shop defaults.
+export function resolveDownloadPolicy({ file, productPolicy, settings }) {
+  const pick = (key) =>
+    file?.[key] ?? productPolicy?.[key] ?? settings?.[key] ?? null;
+
+  return {
+    downloadLimit: pick("downloadLimit"),
+    downloadExpiryDays: pick("downloadExpiryDays"),
+  };
+}
+
+export function entitlementTerms(policy, purchasedAt) {
+  return {
+    downloadLimit: policy.downloadLimit,
+    expiresAt:
+      policy.downloadExpiryDays != null
+        ? new Date(purchasedAt.getTime() + policy.downloadExpiryDays * DAY)
+        : null,
+  };
+}
+
+export function checkEntitlement(entitlement, now = new Date()) {
+  if (entitlement.expiresAt && entitlement.expiresAt < now) {
+    return "expired";
+  }
+  if (
+    entitlement.downloadLimit != null &&
+    entitlement.downloadCount >= entitlement.downloadLimit
+  ) {
+    return "limit-reached";
+  }
+  return null;
+}
+
+// Counts a download against the entitlement. The limit is checked in the
+// same statement so concurrent requests cannot exceed it.
+export async function claimDownload(entitlement) {
+  const { count } = await prisma.entitlement.updateMany({
+    where: {
+      id: entitlement.id,
+      OR: [
+        { downloadLimit: null },
+        { downloadCount: { lt: prisma.entitlement.fields.downloadLimit } },
+      ],
+    },
+    data: { downloadCount: { increment: 1 } },
+  });
+  return count > 0;
+}
+
+const DENIED_MESSAGES = {
+  expired: {
+    title: "Download expired",
+    message:
+      "The download period for this purchase has ended. Please contact the store if you need access again.",
+  },
+  "limit-reached": {
+    title: "Download limit reached",
+    message:
+      "This file has been downloaded the maximum number of times allowed for this purchase. Please contact the store if you need access again.",
+  },
+  "scan-pending": {
+    title: "Download not ready yet",
+    message:
+      "This file is still being checked for malware. Please try again in a few minutes.",
+  },
+  quarantined: {
+    title: "Download unavailable",
+    message:
+      "This file failed a malware check and cannot be downloaded. Please contact the store.",
+  },
+};
+
+export function downloadDeniedResponse(reason) {
+  const { title, message } = DENIED_MESSAGES[reason];
+
+  return new Response(
+    `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width,initial-scale=1" />
+    <title>${title}</title>
+  </head>
+  <body style="font-family: Inter, sans-serif; display: flex; justify-content: center; padding: 3rem 1rem;">
+    <main style="max-width: 36rem;">
+      <h1>${title}</h1>
+      <p>${message}</p>
+    </main>
+  </body>
+</html>`,
+    {
+      status: 403,
+      headers: { "Content-Type": "text/html; charset=utf-8" },
+    },
+  );
+}
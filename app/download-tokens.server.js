@@ -0,0 +1,69 @@
+import { createHmac, timingSafeEqual } from "crypto";
+
+function signingSecret() {
+  const secret =
+    process.env.DOWNLOAD_SIGNING_SECRET || process.env.SHOPIFY_API_SECRET;
+  if (!secret) {
+    throw new Error("DOWNLOAD_SIGNING_SECRET is not configured");
+  }
+  return secret;
+}
+
+function sign(payload) {
+  return createHmac("sha256", signingSecret())
+    .update(payload)
+    .digest("base64url");
+}
+
+// Tokens are `<payload>.<signature>`, where the payload is base64url JSON
+// holding the shop, the order line item GID and the expiry timestamp. A null
+// expiry leaves expiry up to the entitlements the token unlocks.
+export function createDownloadToken({ shop, lineItemId, expiresAt = null }) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      s: shop,
+      l: lineItemId,
+      x: expiresAt ? expiresAt.getTime() : null,
+    }),
+  ).toString("base64url");
+
+  return `${payload}.${sign(payload)}`;
+}
+
+export function verifyDownloadToken(token) {
+  const [payload, signature] = (token || "").split(".");
+  if (!payload || !signature) {
+    return { valid: false, reason: "invalid" };
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: "invalid" };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return { valid: false, reason: "invalid" };
+  }
+
+  if (!data.s || !data.l || (data.x !== null && typeof data.x !== "number")) {
+    return { valid: false, reason: "invalid" };
+  }
+  if (data.x !== null && Date.now() > data.x) {
+    return { valid: false, reason: "expired" };
+  }
+
+  return {
+    valid: true,
+    shop: data.s,
+    lineItemId: data.l,
+    expiresAt: data.x !== null ? new Date(data.x) : null,
+  };
+}
+
+export function downloadPageUrl(token) {
+  return `${process.env.SHOPIFY_APP_URL || ""}/downloads/${token}`;
+}
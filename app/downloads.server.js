@@ -0,0 +1,139 @@
+import { createFileStream } from "./files.server";
+
+export function fileETag(fileRecord) {
+  return `"${fileRecord.id}-${fileRecord.size}-${fileRecord.updatedAt.getTime()}"`;
+}
+
+function contentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// HTTP dates have second precision, so compare at that granularity.
+function notModifiedSince(header, date) {
+  const since = Date.parse(header);
+  return (
+    !Number.isNaN(since) && Math.floor(date.getTime() / 1000) * 1000 <= since
+  );
+}
+
+function isNotModified(request, fileRecord, etag) {
+  const ifNoneMatch = request.headers.get("If-None-Match");
+  if (ifNoneMatch) {
+    return ifNoneMatch
+      .split(",")
+      .some((tag) => tag.trim() === etag || tag.trim() === "*");
+  }
+
+  const ifModifiedSince = request.headers.get("If-Modified-Since");
+  return Boolean(
+    ifModifiedSince && notModifiedSince(ifModifiedSince, fileRecord.updatedAt),
+  );
+}
+
+// A Range is only honoured when If-Range still matches the current file.
+function rangeStillValid(request, fileRecord, etag) {
+  const ifRange = request.headers.get("If-Range");
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith("W/")) {
+    return ifRange === etag;
+  }
+  return notModifiedSince(ifRange, fileRecord.updatedAt);
+}
+
+// Parses a single `bytes=` range. Returns null when the header should be
+// ignored (absent, malformed or multi-range) and "unsatisfiable" when it
+// asks for bytes past the end of the file.
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header?.trim() || "");
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    const suffix = Number(match[2]);
+    if (suffix === 0) return "unsatisfiable";
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+
+  if (start >= size || start > end) return "unsatisfiable";
+  return { start, end };
+}
+
+// Decides what a request for a stored file gets, after evaluating its
+// conditional, If-Range and Range headers: a 304, a 416, a 206 for
+// `start`-`end` or a 200 for the whole file.
+export function resolveDownload(request, fileRecord) {
+  const etag = fileETag(fileRecord);
+  if (isNotModified(request, fileRecord, etag)) {
+    return { status: 304, etag };
+  }
+
+  const range = rangeStillValid(request, fileRecord, etag)
+    ? parseRange(request.headers.get("Range"), fileRecord.size)
+    : null;
+  if (range === "unsatisfiable") {
+    return { status: 416, etag };
+  }
+
+  const { start, end } = range || { start: 0, end: fileRecord.size - 1 };
+  return { status: range ? 206 : 200, etag, start, end };
+}
+
+// True when the response to a request sends the file from its first byte,
+// so it counts against an entitlement's download limit. Resumed transfers,
+// revalidations and HEAD requests do not.
+export function startsDownload(request, fileRecord) {
+  if (request.method === "HEAD") return false;
+
+  const { status, start } = resolveDownload(request, fileRecord);
+  return status === 200 || (status === 206 && start === 0);
+}
+
+// Builds the response for a stored file, with support for conditional and
+// range requests so downloads can be resumed and media can seek.
+export async function createDownloadResponse(
+  request,
+  fileRecord,
+  { disposition = "attachment", cacheControl = "private, no-cache" } = {},
+) {
+  const { status, etag, start, end } = resolveDownload(request, fileRecord);
+  const headers = new Headers({
+    "Accept-Ranges": "bytes",
+    "Cache-Control": cacheControl,
+    ETag: etag,
+    "Last-Modified": fileRecord.updatedAt.toUTCString(),
+    "X-Content-Type-Options": "nosniff",
+  });
+
+  if (status === 304) {
+    return new Response(null, { status, headers });
+  }
+
+  headers.set("Content-Type", fileRecord.mimeType);
+  headers.set(
+    "Content-Disposition",
+    contentDisposition(disposition, fileRecord.originalName),
+  );
+
+  if (status === 416) {
+    headers.set("Content-Range", `bytes */${fileRecord.size}`);
+    return new Response(null, { status, headers });
+  }
+
+  headers.set("Content-Length", String(Math.max(end - start + 1, 0)));
+  if (status === 206) {
+    headers.set("Content-Range", `bytes ${start}-${end}/${fileRecord.size}`);
+  }
+
+  const body =
+    request.method === "HEAD" || fileRecord.size === 0
+      ? null
+      : await createFileStream(fileRecord.storageKey, { start, end });
+
+  return new Response(body, { status, headers });
+}
@@ -0,0 +1,211 @@
+import prisma from "./db.server";
+import {
+  entitlementTerms,
+  getShopSettings,
+  resolveDownloadPolicy,
+} from "./download-policies.server";
+import {
+  createDownloadToken,
+  downloadPageUrl,
+  verifyDownloadToken,
+} from "./download-tokens.server";
+
+const productGid = (id) => `gid://shopify/Product/${id}`;
+const variantGid = (id) => `gid://shopify/ProductVariant/${id}`;
+
+export const orderGid = (order) =>
+  order.admin_graphql_api_id || `gid://shopify/Order/${order.id}`;
+export const orderName = (order) => order.name || `#${order.order_number}`;
+export const customerEmail = (order) =>
+  order.email || order.customer?.email || null;
+
+function customerName(order) {
+  const customer = order.customer || order.billing_address;
+  if (!customer) return null;
+
+  const name = [customer.first_name, customer.last_name]
+    .filter(Boolean)
+    .join(" ");
+  return name || null;
+}
+
+// Creates one entitlement per (line item, attached file) pair of a paid
+// order, with the download policy in effect at purchase time. Webhooks can be
+// delivered more than once, so existing entitlements are left untouched.
+export async function createEntitlementsForOrder(shop, order) {
+  const lineItems = (order.line_items || []).filter((item) => item.product_id);
+  if (lineItems.length === 0) return [];
+
+  const productIds = lineItems.map((item) => productGid(item.product_id));
+  const variantIds = lineItems
+    .filter((item) => item.variant_id)
+    .map((item) => variantGid(item.variant_id));
+
+  const attachments = await prisma.fileAttachment.findMany({
+    where: {
+      shop,
+      OR: [
+        { productId: { in: productIds }, variantId: null },
+        { variantId: { in: variantIds } },
+      ],
+      file: { deletedAt: null },
+    },
+    include: {
+      file: {
+        select: {
+          id: true,
+          version: true,
+          downloadLimit: true,
+          downloadExpiryDays: true,
+        },
+      },
+    },
+  });
+  if (attachments.length === 0) return [];
+
+  const [settings, productPolicies] = await Promise.all([
+    getShopSettings(shop),
+    prisma.productPolicy.findMany({
+      where: { shop, productId: { in: productIds } },
+    }),
+  ]);
+  const purchasedAt = new Date(
+    order.processed_at || order.created_at || Date.now(),
+  );
+
+  const orderId = orderGid(order);
+  const entitlements = [];
+
+  for (const item of lineItems) {
+    const productId = productGid(item.product_id);
+    const variantId = item.variant_id ? variantGid(item.variant_id) : null;
+    const lineItemId =
+      item.admin_graphql_api_id || `gid://shopify/LineItem/${item.id}`;
+
+    const files = new Map(
+      attachments
+        .filter((attachment) =>
+          attachment.variantId
+            ? attachment.variantId === variantId
+            : attachment.productId === productId,
+        )
+        .map((attachment) => [attachment.fileId, attachment.file]),
+    );
+    const productPolicy = productPolicies.find(
+      (policy) => policy.productId === productId,
+    );
+
+    for (const [fileId, file] of files) {
+      const policy = resolveDownloadPolicy({ file, productPolicy, settings });
+
+      const entitlement = await prisma.entitlement.upsert({
+        where: { lineItemId_fileId: { lineItemId, fileId } },
+        update: {},
+        create: {
+          shop,
+          orderId,
+          orderName: orderName(order),
+          lineItemId,
+          fileId,
+          customerEmail: customerEmail(order),
+          customerName: customerName(order),
+          fileVersion: file.version,
+          ...entitlementTerms(policy, purchasedAt),
+        },
+      });
+      entitlements.push(entitlement);
+    }
+  }
+
+  return entitlements;
+}
+
+const SET_DOWNLOAD_LINKS_MUTATION = `#graphql
+  mutation setDownloadLinks($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+// Stores one signed download page link per line item on the order, so it can
+// be shown in order notifications and on the order status page. Line items
+// with only license keys get a link too, including those still waiting for
+// a key.
+export async function publishDownloadLinks(
+  admin,
+  order,
+  { entitlements = [], licenseKeys = [], shortages = [] },
+) {
+  const records = [...entitlements, ...licenseKeys, ...shortages];
+  const lineItemIds = [...new Set(records.map((record) => record.lineItemId))];
+  if (lineItemIds.length === 0) return;
+
+  const shop = records[0].shop;
+  const links = lineItemIds.map((lineItemId) => {
+    const item = (order.line_items || []).find(
+      (lineItem) =>
+        (lineItem.admin_graphql_api_id ||
+          `gid://shopify/LineItem/${lineItem.id}`) === lineItemId,
+    );
+    // The link lives as long as the longest-lived file of the line item.
+    // License keys do not expire.
+    const expiries = entitlements
+      .filter((e) => e.lineItemId === lineItemId)
+      .map((e) => e.expiresAt);
+    const expiresAt =
+      expiries.length === 0 || expiries.some((date) => !date)
+        ? null
+        : new Date(Math.max(...expiries.map((date) => date.getTime())));
+
+    return {
+      title: item?.name || item?.title || "Download",
+      url: downloadPageUrl(
+        createDownloadToken({ shop, lineItemId, expiresAt }),
+      ),
+    };
+  });
+
+  const response = await admin.graphql(SET_DOWNLOAD_LINKS_MUTATION, {
+    variables: {
+      metafields: [
+        {
+          ownerId: orderGid(order),
+          namespace: "digital_downloads",
+          key: "links",
+          type: "json",
+          value: JSON.stringify(links),
+        },
+      ],
+    },
+  });
+  const { data } = await response.json();
+  const userErrors = data?.metafieldsSet?.userErrors || [];
+  if (userErrors.length > 0) {
+    throw new Error(
+      `Could not publish download links: ${userErrors
+        .map((error) => error.message)
+        .join(", ")}`,
+    );
+  }
+}
+
+// Resolves a signed download token to the entitlements of its line item.
+export async function findTokenEntitlements(token) {
+  const result = verifyDownloadToken(token);
+  if (!result.valid) return result;
+
+  const entitlements = await prisma.entitlement.findMany({
+    where: {
+      shop: result.shop,
+      lineItemId: result.lineItemId,
+      file: { deletedAt: null },
+    },
+    include: { file: true },
+    orderBy: { createdAt: "asc" },
+  });
+
+  return { ...result, entitlements };
+}
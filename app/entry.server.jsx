@@ -4,9 +4,12 @@ import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startBackgroundJobs } from "./jobs.server";
 
 export const streamTimeout = 5000;
 
+startBackgroundJobs();
+
 export default async function handleRequest(
   request,
   responseStatusCode,
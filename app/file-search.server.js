@@ -0,0 +1,175 @@
+import prisma from "./db.server";
+import { FILE_TYPE_RULES } from "./file-types";
+
+export const PAGE_SIZE = 50;
+
+const SORT_FIELDS = {
+  name: "originalName",
+  date: "createdAt",
+  size: "size",
+  type: "mimeType",
+};
+
+const MB = 1024 * 1024;
+
+const ruleWhere = (rule) => ({
+  OR: [
+    ...(rule.prefixes || []).map((prefix) => ({
+      mimeType: { startsWith: prefix },
+    })),
+    ...(rule.contains || []).map((part) => ({ mimeType: { contains: part } })),
+  ],
+});
+
+// Mirrors getFileTypeCategory: a file is in a category when it matches that
+// rule and none of the rules before it.
+function fileTypeWhere(category) {
+  const index = FILE_TYPE_RULES.findIndex((rule) => rule.category === category);
+  const earlier =
+    index === -1 ? FILE_TYPE_RULES : FILE_TYPE_RULES.slice(0, index);
+
+  return {
+    AND: [
+      ...(index === -1 ? [] : [ruleWhere(FILE_TYPE_RULES[index])]),
+      ...earlier.map((rule) => ({ NOT: ruleWhere(rule) })),
+    ],
+  };
+}
+
+const parseDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value || "") &&
+  !Number.isNaN(new Date(`${value}T00:00:00.000Z`).getTime())
+    ? value
+    : "";
+
+const parseMegabytes = (value) => {
+  const number = Number(value);
+  return value && Number.isFinite(number) && number >= 0 ? value : "";
+};
+
+// Reads the file manager's search, filter, sort and page from the query
+// string. Unknown or malformed values fall back to their defaults.
+export function parseFileQuery(url) {
+  const params = new URL(url).searchParams;
+  const type = params.get("type");
+  const sort = params.get("sort");
+
+  return {
+    folderId: params.get("folderId") || null,
+    query: params.get("query")?.trim() || "",
+    tag: params.get("tag") || "",
+    type:
+      type === "other" || FILE_TYPE_RULES.some((rule) => rule.category === type)
+        ? type
+        : "",
+    from: parseDate(params.get("from")),
+    to: parseDate(params.get("to")),
+    minSize: parseMegabytes(params.get("minSize")),
+    maxSize: parseMegabytes(params.get("maxSize")),
+    sort: SORT_FIELDS[sort] ? sort : "name",
+    order: params.get("order") === "desc" ? "desc" : "asc",
+    after: params.get("after") || null,
+    before: params.get("before") || null,
+  };
+}
+
+// A search matches names, tags and metadata in every folder; otherwise
+// only the current folder is listed.
+function fileWhere(shop, fileQuery) {
+  const { folderId, query, tag, type, from, to, minSize, maxSize } = fileQuery;
+  const where = { shop, deletedAt: null };
+
+  if (query) {
+    where.OR = [
+      { originalName: { contains: query } },
+      { tags: { some: { tag: { name: { contains: query } } } } },
+      {
+        metadata: {
+          some: {
+            OR: [{ key: { contains: query } }, { value: { contains: query } }],
+          },
+        },
+      },
+    ];
+  } else {
+    where.folderId = folderId === "root" ? null : folderId;
+  }
+  if (tag) {
+    where.tags = { some: { tagId: tag } };
+  }
+  if (type) {
+    where.AND = [fileTypeWhere(type)];
+  }
+  if (from || to) {
+    where.createdAt = {
+      ...(from ? { gte: new Date(`${from}T00:00:00.000Z`) } : {}),
+      ...(to
+        ? {
+            lt: new Date(
+              new Date(`${to}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000,
+            ),
+          }
+        : {}),
+    };
+  }
+  if (minSize || maxSize) {
+    where.size = {
+      ...(minSize ? { gte: Math.floor(Number(minSize) * MB) } : {}),
+      ...(maxSize ? { lte: Math.ceil(Number(maxSize) * MB) } : {}),
+    };
+  }
+
+  return where;
+}
+
+// Returns one page of files using the id of the first or last file of the
+// neighbouring page as a cursor. The id breaks ties between equal values of
+// the sort field so pages never overlap.
+export async function searchFiles(shop, fileQuery, include) {
+  const { sort, order, after, before } = fileQuery;
+  const cursor = after || before;
+
+  const rows = await prisma.file.findMany({
+    where: fileWhere(shop, fileQuery),
+    include,
+    orderBy: [{ [SORT_FIELDS[sort]]: order }, { id: order }],
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    take: before ? -(PAGE_SIZE + 1) : PAGE_SIZE + 1,
+  });
+
+  const hasMore = rows.length > PAGE_SIZE;
+  const files = before ? rows.slice(hasMore ? 1 : 0) : rows.slice(0, PAGE_SIZE);
+
+  const nextCursor =
+    (before || hasMore) && files.length > 0 ? files[files.length - 1].id : null;
+  const previousCursor =
+    (after || (before && hasMore)) && files.length > 0 ? files[0].id : null;
+
+  return { files, nextCursor, previousCursor };
+}
+
+// Folders shown above the files: the current folder's subfolders, or every
+// folder whose name matches a search. Folders only appear on the first page.
+export async function searchFolders(shop, fileQuery) {
+  const { folderId, query, order, after, before } = fileQuery;
+  if (after || before) return [];
+
+  return prisma.folder.findMany({
+    where: {
+      shop,
+      deletedAt: null,
+      ...(query
+        ? { name: { contains: query } }
+        : { parentId: folderId === "root" ? null : folderId }),
+    },
+    include: {
+      _count: {
+        select: {
+          files: { where: { deletedAt: null } },
+          children: { where: { deletedAt: null } },
+        },
+      },
+    },
+    orderBy: [{ name: order }, { id: order }],
+  });
+}
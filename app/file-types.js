@@ -0,0 +1,49 @@
+// MIME type rules for the categories used for filtering and reporting. The
+// first matching rule wins, so order matters.
+export const FILE_TYPE_RULES = [
+  { category: "image", prefixes: ["image/"] },
+  { category: "video", prefixes: ["video/"] },
+  { category: "audio", prefixes: ["audio/"] },
+  { category: "document", contains: ["pdf", "word", "document", "text"] },
+  { category: "spreadsheet", contains: ["sheet", "excel"] },
+  { category: "archive", contains: ["zip", "archive"] },
+];
+
+const matchesRule = (rule, mimeType) =>
+  (rule.prefixes || []).some((prefix) => mimeType.startsWith(prefix)) ||
+  (rule.contains || []).some((part) => mimeType.includes(part));
+
+// Groups MIME types into the categories used for filtering and reporting.
+export function getFileTypeCategory(mimeType) {
+  const rule = FILE_TYPE_RULES.find((rule) => matchesRule(rule, mimeType));
+  return rule ? rule.category : "other";
+}
+
+// Formats the server can make a preview of: a PNG thumbnail of images and
+// of the first page of PDFs.
+const THUMBNAIL_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/bmp",
+  "image/tiff",
+];
+
+export function previewKind(mimeType) {
+  if (THUMBNAIL_TYPES.includes(mimeType)) return "thumbnail";
+  if (mimeType === "application/pdf") return "first-page";
+  return null;
+}
+
+// Types that are safe to show inline in the admin. Anything else, notably
+// HTML and SVG, is only ever sent as an attachment.
+const INLINE_IMAGE_TYPES = [...THUMBNAIL_TYPES, "image/webp"];
+
+export function canDisplayInline(mimeType) {
+  return (
+    INLINE_IMAGE_TYPES.includes(mimeType) ||
+    mimeType === "application/pdf" ||
+    mimeType.startsWith("audio/") ||
+    mimeType.startsWith("video/")
+  );
+}
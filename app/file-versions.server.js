@@ -0,0 +1,151 @@
+import prisma from "./db.server";
+import { acquireBlob, releaseBlob } from "./blobs.server";
+import { queueScan } from "./scans.server";
+
+const versionFields = ({
+  filename,
+  storageKey,
+  mimeType,
+  size,
+  sha256,
+  scanStatus,
+  scanResult,
+}) => ({
+  filename,
+  storageKey,
+  mimeType,
+  size,
+  sha256,
+  scanStatus,
+  scanResult,
+});
+
+// Creates a file together with its first version and queues its scan.
+// When the records cannot be written, the reference to the stored
+// contents is dropped again.
+export async function createVersionedFile(data) {
+  const storageKey = await acquireBlob(data.shop, data);
+
+  let file;
+  try {
+    file = await prisma.file.create({
+      data: {
+        ...data,
+        storageKey,
+        version: 1,
+        versions: {
+          create: { ...versionFields({ ...data, storageKey }), version: 1 },
+        },
+      },
+    });
+  } catch (error) {
+    await releaseBlob(data.shop, storageKey);
+    throw error;
+  }
+  queueScan(data.shop, storageKey);
+  return file;
+}
+
+// Stores an upload as the newest version of a file and makes it current.
+export async function addFileVersion(shop, fileId, upload) {
+  const file = await prisma.file.findFirst({
+    where: { id: fileId, shop, deletedAt: null },
+  });
+  if (!file) {
+    return { error: "File not found" };
+  }
+
+  const latest = await prisma.fileVersion.findFirst({
+    where: { fileId },
+    orderBy: { version: "desc" },
+  });
+  const version = (latest?.version ?? 0) + 1;
+  // The new contents are not delivered until they are scanned, whatever
+  // the status of the version they replace.
+  const fields = {
+    ...versionFields({
+      ...upload,
+      storageKey: await acquireBlob(shop, upload),
+    }),
+    scanStatus: "pending",
+    scanResult: null,
+  };
+
+  let updated;
+  try {
+    [, updated] = await prisma.$transaction([
+      prisma.fileVersion.create({
+        data: { ...fields, fileId, version },
+      }),
+      prisma.file.update({
+        where: { id: fileId },
+        data: { ...fields, version },
+      }),
+    ]);
+  } catch (error) {
+    await releaseBlob(shop, fields.storageKey);
+    throw error;
+  }
+  queueScan(shop, fields.storageKey);
+  return { file: updated };
+}
+
+// Makes an earlier version current again. Newer versions are kept so the
+// rollback can itself be undone.
+export async function rollbackFile(shop, fileId, versionId) {
+  const version = await prisma.fileVersion.findFirst({
+    where: { id: versionId, fileId, file: { shop, deletedAt: null } },
+  });
+  if (!version) {
+    return { error: "Version not found" };
+  }
+
+  await prisma.file.update({
+    where: { id: fileId },
+    data: { ...versionFields(version), version: version.version },
+  });
+  return { success: true };
+}
+
+// Returns the record to send for an entitlement: the file's current version,
+// or the version that was bought when the file does not deliver updates.
+export async function deliveredFile(entitlement) {
+  const { file } = entitlement;
+  if (
+    file.deliverLatest ||
+    entitlement.fileVersion == null ||
+    entitlement.fileVersion === file.version
+  ) {
+    return file;
+  }
+
+  const version = await prisma.fileVersion.findUnique({
+    where: {
+      fileId_version: { fileId: file.id, version: entitlement.fileVersion },
+    },
+  });
+  if (!version) return file;
+
+  return {
+    ...file,
+    ...versionFields(version),
+    version: version.version,
+    updatedAt: version.createdAt,
+  };
+}
+
+// Releases the stored contents of every version of the given files.
+export async function deleteVersionBlobs(fileIds) {
+  const versions = await prisma.fileVersion.findMany({
+    where: { fileId: { in: fileIds } },
+    select: { storageKey: true, file: { select: { shop: true } } },
+  });
+
+  for (const version of versions) {
+    try {
+      await releaseBlob(version.file.shop, version.storageKey);
+    } catch (error) {
+      console.error("Error deleting file:", error);
+    }
+  }
+}
@@ -1,29 +1,72 @@
-import { writeFile, mkdir, readFile, unlink } from "fs/promises";
-import { join } from "path";
-import { existsSync } from "fs";
+import { createHash, randomBytes } from "crypto";
+import { Transform } from "stream";
+import { createReadableStreamFromReadable } from "@react-router/node";
+import storage from "./storage.server";
 
-const UPLOAD_DIR = join(process.cwd(), "uploads");
+// Reduces a client-supplied file name to its last path segment without
+// control characters, so it is safe to use in a storage key. Returns null
+// when nothing usable is left.
+export function cleanFileName(name) {
+  const base = [...(name || "").split(/[\\/]/).pop()]
+    .filter((char) => char.charCodeAt(0) > 0x1f && char.charCodeAt(0) !== 0x7f)
+    .join("")
+    .trim();
+  return base && base !== "." && base !== ".." ? base : null;
+}
 
-export async function ensureUploadDir() {
-  if (!existsSync(UPLOAD_DIR)) {
-    await mkdir(UPLOAD_DIR, { recursive: true });
-  }
+// Writes a readable stream to storage without holding the file contents in
+// memory, hashing it on the way. The contents are encrypted with the
+// shop's data key. The returned storage key is what `File.storageKey`
+// records.
+export async function saveFile(shop, name, stream) {
+  const filename = `${Date.now()}-${randomBytes(4).toString("hex")}-${cleanFileName(name) || "file"}`;
+  const hash = createHash("sha256");
+  const hashed = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  stream.on("error", (error) => hashed.destroy(error));
+
+  const { size } = await storage.save(filename, stream.pipe(hashed), { shop });
+  return {
+    filename,
+    storageKey: filename,
+    size,
+    sha256: hash.digest("hex"),
+  };
 }
 
-export async function saveFile(file, buffer) {
-  await ensureUploadDir();
-  const filename = `${Date.now()}-${file.name}`;
-  const filePath = join(UPLOAD_DIR, filename);
-  await writeFile(filePath, buffer);
-  return { filename, filePath };
+export async function hashFile(storageKey) {
+  const hash = createHash("sha256");
+  for await (const chunk of await storage.stream(storageKey)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
 }
 
-export async function deleteFile(filePath) {
-  if (existsSync(filePath)) {
-    await unlink(filePath);
+// Reads a whole stored file into memory, for the few formats that can only
+// be processed that way.
+export async function readFileContents(storageKey) {
+  const chunks = [];
+  for await (const chunk of await storage.stream(storageKey)) {
+    chunks.push(chunk);
   }
+  return Buffer.concat(chunks);
+}
+
+export async function deleteFile(storageKey) {
+  await storage.delete(storageKey);
+}
+
+export async function fileExists(storageKey) {
+  return (await storage.stat(storageKey)) !== null;
 }
 
-export async function readFileBuffer(filePath) {
-  return await readFile(filePath);
+// `start` and `end` are inclusive byte offsets, as in HTTP ranges.
+export async function createFileStream(storageKey, { start, end } = {}) {
+  return createReadableStreamFromReadable(
+    await storage.stream(storageKey, { start, end }),
+  );
 }
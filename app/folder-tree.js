@@ -0,0 +1,29 @@
+// Helpers for the flat folder list returned by the files loader. Each folder
+// carries a `parentId`, which is null for folders at the top level.
+
+export function childFolders(folders, parentId) {
+  return folders.filter((folder) => (folder.parentId ?? null) === parentId);
+}
+
+// Returns the ids of the folder and every folder nested below it.
+export function collectFolderIds(folders, folderId) {
+  const ids = [folderId];
+  for (let i = 0; i < ids.length; i++) {
+    for (const folder of childFolders(folders, ids[i])) {
+      ids.push(folder.id);
+    }
+  }
+  return ids;
+}
+
+// Returns the folders from the top level down to `folderId`, inclusive.
+export function folderPath(folders, folderId) {
+  const byId = new Map(folders.map((folder) => [folder.id, folder]));
+  const path = [];
+  let folder = byId.get(folderId);
+  while (folder && !path.includes(folder)) {
+    path.unshift(folder);
+    folder = byId.get(folder.parentId);
+  }
+  return path;
+}
@@ -0,0 +1,106 @@
+import prisma from "./db.server";
+import { deleteVersionBlobs } from "./file-versions.server";
+import { deleteStampedCopies } from "./pdf-stamps.server";
+import { collectFolderIds } from "./folder-tree";
+
+async function listFolderTree(shop) {
+  return prisma.folder.findMany({
+    where: { shop },
+    select: { id: true, parentId: true, deletedAt: true },
+  });
+}
+
+export async function folderExists(shop, folderId) {
+  const count = await prisma.folder.count({
+    where: { id: folderId, shop, deletedAt: null },
+  });
+  return count > 0;
+}
+
+export async function createFolder(shop, { name, parentId = null }) {
+  if (parentId && !(await folderExists(shop, parentId))) {
+    return { error: "Parent folder not found" };
+  }
+
+  const folder = await prisma.folder.create({
+    data: { name, parentId, shop },
+  });
+  return { folder };
+}
+
+// Moves folders under `parentId`, or to the top level when it is null. A
+// folder cannot be moved into itself or into one of its own subfolders.
+export async function moveFolders(shop, folderIds, parentId = null) {
+  const folders = await listFolderTree(shop);
+  const known = new Set(
+    folders.filter((folder) => !folder.deletedAt).map((folder) => folder.id),
+  );
+
+  if (parentId && !known.has(parentId)) {
+    return { error: "Destination folder not found" };
+  }
+
+  for (const folderId of folderIds) {
+    if (!known.has(folderId)) {
+      return { error: "Folder not found" };
+    }
+    if (parentId && collectFolderIds(folders, folderId).includes(parentId)) {
+      return { error: "A folder cannot be moved into itself" };
+    }
+  }
+
+  await prisma.folder.updateMany({
+    where: { id: { in: folderIds }, shop },
+    data: { parentId },
+  });
+  return { success: true };
+}
+
+// Permanently deletes a folder with all of its subfolders and the stored
+// files inside them. Returns false when the folder does not exist.
+export async function deleteFolderTree(shop, folderId) {
+  const folders = await listFolderTree(shop);
+  if (!folders.some((folder) => folder.id === folderId)) {
+    return false;
+  }
+
+  const folderIds = collectFolderIds(folders, folderId);
+  const files = await prisma.file.findMany({
+    where: { folderId: { in: folderIds }, shop },
+    select: { id: true },
+  });
+
+  await deleteVersionBlobs(files.map((file) => file.id));
+  await deleteStampedCopies(files.map((file) => file.id));
+
+  await prisma.$transaction([
+    prisma.file.deleteMany({ where: { folderId: { in: folderIds }, shop } }),
+    prisma.folder.deleteMany({ where: { id: { in: folderIds }, shop } }),
+  ]);
+  return true;
+}
+
+export async function renameFolder(shop, folderId, name) {
+  const folder = await prisma.folder.findFirst({
+    where: { id: folderId, shop, deletedAt: null },
+  });
+  if (!folder) {
+    return { error: "Folder not found" };
+  }
+
+  const duplicate = await prisma.folder.findFirst({
+    where: {
+      shop,
+      parentId: folder.parentId,
+      name,
+      deletedAt: null,
+      id: { not: folderId },
+    },
+  });
+  if (duplicate) {
+    return { error: `A folder named "${name}" already exists here` };
+  }
+
+  await prisma.folder.update({ where: { id: folderId }, data: { name } });
+  return { success: true };
+}
@@ -0,0 +1,33 @@
+// Display helpers shared by the admin pages and the customer download page.
+// Dates are formatted in US English, like the rest of the app's text.
+
+export function formatFileSize(bytes) {
+  if (bytes === 0) return "0 Bytes";
+  const k = 1024;
+  const sizes = ["Bytes", "KB", "MB", "GB", "TB"];
+  const i = Math.min(
+    Math.floor(Math.log(bytes) / Math.log(k)),
+    sizes.length - 1,
+  );
+  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + " " + sizes[i];
+}
+
+// "Mar 4, 2026"
+export function formatDate(value) {
+  return new Date(value).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+}
+
+// "Mar 4, 3:05 PM", or "Mar 4, 2026, 3:05 PM" with `year`.
+export function formatDateTime(value, { year = false } = {}) {
+  return new Date(value).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    ...(year && { year: "numeric" }),
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
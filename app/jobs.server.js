@@ -0,0 +1,28 @@
+import { scanPendingFiles } from "./scans.server";
+import { purgeStaleUploads } from "./chunked-uploads.server";
+import { purgeAllExpiredTrash } from "./trash.server";
+
+const SCAN_INTERVAL = 15 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+function every(interval, name, job) {
+  const run = () =>
+    job().catch((error) =>
+      console.error(`Background job ${name} failed:`, error),
+    );
+  run();
+  // Timers alone don't keep the process alive.
+  setInterval(run, interval).unref();
+}
+
+// Starts the jobs that run in the server process rather than on page
+// loads: once at startup, then on an interval. Development reloads modules,
+// so a global flag keeps them from starting twice.
+export function startBackgroundJobs() {
+  if (global.backgroundJobsStarted) return;
+  global.backgroundJobsStarted = true;
+
+  every(SCAN_INTERVAL, "scan-pending-files", scanPendingFiles);
+  every(HOUR, "purge-stale-uploads", () => purgeStaleUploads());
+  every(HOUR, "purge-expired-trash", purgeAllExpiredTrash);
+}
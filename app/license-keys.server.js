@@ -0,0 +1,448 @@
+import { randomInt } from "crypto";
+import prisma from "./db.server";
+import { customerEmail, orderGid, orderName } from "./entitlements.server";
+import { completeKeyDelivery } from "./deliveries.server";
+
+export const LICENSE_KEY_SOURCES = ["pool", "pattern"];
+const MAX_IMPORT_KEYS = 10000;
+const MAX_KEY_LENGTH = 200;
+const IMPORT_BATCH_SIZE = 500;
+
+// Placeholders of key patterns; every other character is kept as is.
+// Letters and digits that are easy to confuse are left out.
+const PATTERN_CHARACTERS = {
+  X: "ABCDEFGHJKLMNPQRSTUVWXYZ23456789",
+  A: "ABCDEFGHJKLMNPQRSTUVWXYZ",
+  9: "0123456789",
+};
+const MIN_RANDOM_CHARACTERS = 8;
+
+const productGid = (id) => `gid://shopify/Product/${id}`;
+const variantGid = (id) => `gid://shopify/ProductVariant/${id}`;
+
+export function parsePattern(value) {
+  const pattern = (value || "").trim();
+  if (pattern.length > 100) {
+    return { error: "Patterns can be at most 100 characters long" };
+  }
+
+  const random = [...pattern].filter((char) => PATTERN_CHARACTERS[char]);
+  if (random.length < MIN_RANDOM_CHARACTERS) {
+    return {
+      error: `Patterns need at least ${MIN_RANDOM_CHARACTERS} X, A or 9 placeholders so keys cannot be guessed`,
+    };
+  }
+  return { pattern };
+}
+
+export function generateKey(pattern) {
+  return [...pattern]
+    .map((char) => {
+      const characters = PATTERN_CHARACTERS[char];
+      return characters ? characters[randomInt(characters.length)] : char;
+    })
+    .join("");
+}
+
+// Reads keys from a CSV export or a plain list, one per line. Only the
+// first column is used and a "key" header row is skipped.
+export function parseKeyList(text) {
+  const keys = new Set();
+  for (const line of (text || "").split(/\r?\n/)) {
+    const key = line
+      .split(",")[0]
+      .trim()
+      .replace(/^"(.*)"$/, "$1")
+      .trim();
+    if (!key || /^(license )?keys?$/i.test(key)) continue;
+    if (key.length > MAX_KEY_LENGTH) {
+      return {
+        error: `Keys can be at most ${MAX_KEY_LENGTH} characters long`,
+      };
+    }
+    keys.add(key);
+  }
+
+  if (keys.size === 0) {
+    return { error: "No keys found" };
+  }
+  if (keys.size > MAX_IMPORT_KEYS) {
+    return {
+      error: `At most ${MAX_IMPORT_KEYS.toLocaleString("en-US")} keys can be added at once`,
+    };
+  }
+  return { keys: [...keys] };
+}
+
+export async function listLicenseKeyPools(shop) {
+  return prisma.licenseKeyPool.findMany({
+    where: { shop },
+    include: {
+      _count: {
+        select: {
+          keys: { where: { lineItemId: null, revokedAt: null } },
+        },
+      },
+    },
+    orderBy: [{ productTitle: "asc" }, { variantTitle: "asc" }],
+  });
+}
+
+// Counts the keys of each pool that were handed out to orders.
+export async function countAssignedKeys(shop) {
+  const groups = await prisma.licenseKey.groupBy({
+    by: ["poolId"],
+    where: { shop, lineItemId: { not: null } },
+    _count: { _all: true },
+  });
+  return Object.fromEntries(
+    groups.map((group) => [group.poolId, group._count._all]),
+  );
+}
+
+export async function createLicenseKeyPool(shop, target, { source, pattern }) {
+  const existing = await prisma.licenseKeyPool.count({
+    where: {
+      shop,
+      productId: target.productId,
+      variantId: target.variantId,
+    },
+  });
+  if (existing > 0) {
+    return { error: `${target.productTitle} already has license keys` };
+  }
+
+  const pool = await prisma.licenseKeyPool.create({
+    data: {
+      ...target,
+      shop,
+      source,
+      pattern: source === "pattern" ? pattern : null,
+    },
+  });
+  return { pool };
+}
+
+// Pools whose keys went to customers are kept so the keys stay valid.
+export async function deleteLicenseKeyPool(shop, poolId) {
+  const pool = await prisma.licenseKeyPool.findFirst({
+    where: { id: poolId, shop },
+  });
+  if (!pool) {
+    return { error: "Key source not found" };
+  }
+
+  const assigned = await prisma.licenseKey.count({
+    where: { poolId, lineItemId: { not: null } },
+  });
+  if (assigned > 0) {
+    return {
+      error:
+        "Keys from this source were sent to customers, so it cannot be deleted",
+    };
+  }
+
+  // Line items waiting for one of its keys stop waiting with it.
+  const waiting = await prisma.licenseKeyShortage.findMany({
+    where: { poolId },
+    select: { orderId: true },
+    distinct: ["orderId"],
+  });
+  await prisma.licenseKeyPool.delete({ where: { id: poolId } });
+  for (const { orderId } of waiting) {
+    await completeKeyDelivery(shop, orderId);
+  }
+  return { success: true };
+}
+
+// Adds uploaded keys to a pool. Keys the shop already has are skipped.
+export async function importLicenseKeys(shop, poolId, keys) {
+  const pool = await prisma.licenseKeyPool.findFirst({
+    where: { id: poolId, shop, source: "pool" },
+  });
+  if (!pool) {
+    return { error: "Key source not found" };
+  }
+
+  let added = 0;
+  for (let start = 0; start < keys.length; start += IMPORT_BATCH_SIZE) {
+    const batch = keys.slice(start, start + IMPORT_BATCH_SIZE);
+    const existing = await prisma.licenseKey.findMany({
+      where: { shop, key: { in: batch } },
+      select: { key: true },
+    });
+    const known = new Set(existing.map((record) => record.key));
+    const data = batch
+      .filter((key) => !known.has(key))
+      .map((key) => ({ shop, poolId, key }));
+
+    if (data.length > 0) {
+      await prisma.licenseKey.createMany({ data });
+      added += data.length;
+    }
+  }
+
+  const { assigned } = await assignWaitingKeys(pool);
+  return { added, skipped: keys.length - added, assigned };
+}
+
+export async function listAssignedKeys(shop, { query, take }) {
+  const search = query?.trim();
+
+  return prisma.licenseKey.findMany({
+    where: {
+      shop,
+      lineItemId: { not: null },
+      ...(search
+        ? {
+            OR: [
+              { key: { contains: search } },
+              { orderName: { contains: search } },
+              { customerEmail: { contains: search } },
+            ],
+          }
+        : {}),
+    },
+    include: {
+      pool: { select: { productTitle: true, variantTitle: true } },
+    },
+    orderBy: { assignedAt: "desc" },
+    take,
+  });
+}
+
+export async function setLicenseKeyRevoked(shop, keyId, revoked) {
+  const { count } = await prisma.licenseKey.updateMany({
+    where: { id: keyId, shop, lineItemId: { not: null } },
+    data: { revokedAt: revoked ? new Date() : null },
+  });
+  return count > 0;
+}
+
+// Hands the oldest unused key of a pool to a line item. Another delivery
+// can claim the same key in between, in which case the next one is tried.
+async function claimPoolKey(pool, assignment) {
+  for (;;) {
+    const candidate = await prisma.licenseKey.findFirst({
+      where: { poolId: pool.id, lineItemId: null, revokedAt: null },
+      orderBy: { createdAt: "asc" },
+    });
+    if (!candidate) return null;
+
+    const { count } = await prisma.licenseKey.updateMany({
+      where: { id: candidate.id, lineItemId: null },
+      data: assignment,
+    });
+    if (count > 0) {
+      return prisma.licenseKey.findUnique({ where: { id: candidate.id } });
+    }
+  }
+}
+
+async function generatePatternKey(pool, assignment) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await prisma.licenseKey.create({
+        data: {
+          ...assignment,
+          shop: pool.shop,
+          poolId: pool.id,
+          key: generateKey(pool.pattern),
+        },
+      });
+    } catch (error) {
+      // Retry when the generated key is already taken.
+      if (error.code !== "P2002" || attempt >= 4) throw error;
+    }
+  }
+}
+
+// Hands keys of a pool to the line items waiting for one, oldest first,
+// until the pool runs out. Their download pages show the keys from then on.
+async function assignWaitingKeys(pool) {
+  const waiting = await prisma.licenseKeyShortage.findMany({
+    where: { poolId: pool.id },
+    orderBy: { createdAt: "asc" },
+  });
+
+  let assigned = 0;
+  for (const shortage of waiting) {
+    const existing = await prisma.licenseKey.count({
+      where: { poolId: pool.id, lineItemId: shortage.lineItemId },
+    });
+    // A webhook retry may have assigned one in the meantime.
+    if (existing === 0) {
+      const licenseKey = await claimPoolKey(pool, {
+        orderId: shortage.orderId,
+        orderName: shortage.orderName,
+        lineItemId: shortage.lineItemId,
+        customerEmail: shortage.customerEmail,
+        assignedAt: new Date(),
+      });
+      if (!licenseKey) break;
+    }
+
+    await prisma.licenseKeyShortage.deleteMany({ where: { id: shortage.id } });
+    await completeKeyDelivery(pool.shop, shortage.orderId);
+    assigned++;
+  }
+
+  return { assigned, waiting: waiting.length - assigned };
+}
+
+// Assigns keys to every line item of the shop still waiting for one.
+export async function assignMissingKeys(shop) {
+  const pools = await prisma.licenseKeyPool.findMany({
+    where: { shop, source: "pool", shortages: { some: {} } },
+  });
+
+  const result = { assigned: 0, waiting: 0 };
+  for (const pool of pools) {
+    const { assigned, waiting } = await assignWaitingKeys(pool);
+    result.assigned += assigned;
+    result.waiting += waiting;
+  }
+  return result;
+}
+
+// Counts the line items waiting for a key of each pool.
+export async function countWaitingLineItems(shop) {
+  const groups = await prisma.licenseKeyShortage.groupBy({
+    by: ["poolId"],
+    where: { shop },
+    _count: { _all: true },
+  });
+  return Object.fromEntries(
+    groups.map((group) => [group.poolId, group._count._all]),
+  );
+}
+
+// Assigns one key per line item of a paid order from every pool of the
+// purchased product or variant. Webhooks can be delivered more than once,
+// so line items that already have a key keep it. Line items whose pool ran
+// out are recorded as waiting and get a key once the merchant adds more.
+// Returns the keys of the order and the waiting line items.
+export async function assignLicenseKeys(shop, order) {
+  const lineItems = (order.line_items || []).filter((item) => item.product_id);
+  if (lineItems.length === 0) return { licenseKeys: [], shortages: [] };
+
+  const pools = await prisma.licenseKeyPool.findMany({
+    where: {
+      shop,
+      OR: [
+        {
+          productId: {
+            in: lineItems.map((item) => productGid(item.product_id)),
+          },
+          variantId: null,
+        },
+        {
+          variantId: {
+            in: lineItems
+              .filter((item) => item.variant_id)
+              .map((item) => variantGid(item.variant_id)),
+          },
+        },
+      ],
+    },
+  });
+  if (pools.length === 0) return { licenseKeys: [], shortages: [] };
+
+  const licenseKeys = [];
+  const shortages = [];
+
+  for (const item of lineItems) {
+    const productId = productGid(item.product_id);
+    const variantId = item.variant_id ? variantGid(item.variant_id) : null;
+    const lineItemId =
+      item.admin_graphql_api_id || `gid://shopify/LineItem/${item.id}`;
+
+    const itemPools = pools.filter((pool) =>
+      pool.variantId
+        ? pool.variantId === variantId
+        : pool.productId === productId,
+    );
+
+    for (const pool of itemPools) {
+      const existing = await prisma.licenseKey.findFirst({
+        where: { poolId: pool.id, lineItemId },
+      });
+      if (existing) {
+        licenseKeys.push(existing);
+        continue;
+      }
+
+      const details = {
+        orderId: orderGid(order),
+        orderName: orderName(order),
+        lineItemId,
+        customerEmail: customerEmail(order),
+      };
+      const assignment = { ...details, assignedAt: new Date() };
+      const licenseKey =
+        pool.source === "pattern"
+          ? await generatePatternKey(pool, assignment)
+          : await claimPoolKey(pool, assignment);
+
+      if (licenseKey) {
+        licenseKeys.push(licenseKey);
+      } else {
+        shortages.push(
+          await prisma.licenseKeyShortage.upsert({
+            where: { poolId_lineItemId: { poolId: pool.id, lineItemId } },
+            update: {},
+            create: { ...details, shop, poolId: pool.id },
+            include: { pool: true },
+          }),
+        );
+      }
+    }
+  }
+
+  return { licenseKeys, shortages };
+}
+
+export async function findLineItemKeys(shop, lineItemId) {
+  return prisma.licenseKey.findMany({
+    where: { shop, lineItemId },
+    include: {
+      pool: { select: { productTitle: true, variantTitle: true } },
+    },
+    orderBy: { assignedAt: "asc" },
+  });
+}
+
+export async function findLineItemShortages(shop, lineItemId) {
+  return prisma.licenseKeyShortage.findMany({
+    where: { shop, lineItemId },
+    include: {
+      pool: { select: { productTitle: true, variantTitle: true } },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+// Checks a key for the validation endpoint. Keys that were never sold are
+// reported as unknown. Only the product is returned, nothing about the
+// order or the buyer.
+export async function validateLicenseKey(shop, key) {
+  const record = await prisma.licenseKey.findUnique({
+    where: { shop_key: { shop, key } },
+    include: { pool: true },
+  });
+
+  if (!record || !record.lineItemId) {
+    return { valid: false, reason: "not-found" };
+  }
+  if (record.revokedAt) {
+    return { valid: false, reason: "revoked" };
+  }
+
+  return {
+    valid: true,
+    productId: record.pool.productId,
+    product: record.pool.productTitle,
+    variantId: record.pool.variantId,
+    variant: record.pool.variantTitle,
+  };
+}
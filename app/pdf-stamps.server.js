@@ -0,0 +1,327 @@
+import { Readable } from "stream";
+import {
+  EncryptedPDFError,
+  PDFDocument,
+  StandardFonts,
+  degrees,
+  rgb,
+} from "pdf-lib";
+import prisma from "./db.server";
+import storage from "./storage.server";
+import { readFileContents } from "./files.server";
+
+export const STAMP_POSITIONS = ["footer", "header", "diagonal"];
+const MAX_TEMPLATE_LENGTH = 200;
+// Sources are stamped in memory, so larger files cannot be stamped.
+const MAX_SOURCE_SIZE = 200 * 1024 * 1024;
+
+export const STAMP_FAILURES = {
+  "too-large": `PDFs larger than ${MAX_SOURCE_SIZE / 1024 / 1024} MB cannot be stamped`,
+  encrypted: "Password-protected PDFs cannot be stamped",
+  damaged: "This PDF could not be read, so it cannot be stamped",
+};
+
+// PDFs are loaded whole, so stamping runs one file at a time.
+let queue = Promise.resolve();
+
+function enqueue(task) {
+  const job = queue.then(task);
+  queue = job.catch(() => {});
+  return job;
+}
+
+const failureReason = (error) =>
+  error instanceof EncryptedPDFError ? "encrypted" : "damaged";
+
+async function recordStampFailure(shop, sourceKey, reason) {
+  await prisma.stampFailure.upsert({
+    where: { shop_sourceKey: { shop, sourceKey } },
+    update: { reason },
+    create: { shop, sourceKey, reason },
+  });
+}
+
+// Loads a stored PDF the way stamping does. Returns why it cannot be
+// stamped, or null.
+async function checkStampable(fileRecord) {
+  if (fileRecord.size > MAX_SOURCE_SIZE) return "too-large";
+
+  return enqueue(async () => {
+    try {
+      await PDFDocument.load(await readFileContents(fileRecord.storageKey), {
+        updateMetadata: false,
+      });
+      return null;
+    } catch (error) {
+      return failureReason(error);
+    }
+  });
+}
+
+// Maps the storage keys of the given files that failed to stamp to the
+// reason they failed.
+export async function findStampFailures(shop, files) {
+  const failures = await prisma.stampFailure.findMany({
+    where: {
+      shop,
+      sourceKey: { in: files.map((file) => file.storageKey) },
+    },
+  });
+  return new Map(
+    failures.map((failure) => [failure.sourceKey, failure.reason]),
+  );
+}
+
+// Reads the stamp fields of a form. A position of "off" turns stamping off
+// and returns `{ data: null }`.
+export function parseStampInput(formData) {
+  const position = formData.get("position")?.toString();
+  if (position === "off") {
+    return { data: null };
+  }
+  if (!STAMP_POSITIONS.includes(position)) {
+    return { error: "Invalid stamp position" };
+  }
+
+  const template = formData.get("template")?.toString().trim();
+  if (!template) {
+    return { error: "Stamp text is required" };
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    return {
+      error: `Stamp text can be at most ${MAX_TEMPLATE_LENGTH} characters long`,
+    };
+  }
+
+  const opacity = Number(formData.get("opacity"));
+  if (!Number.isInteger(opacity) || opacity < 10 || opacity > 100) {
+    return { error: "Opacity must be a whole percentage from 10 to 100" };
+  }
+
+  return { data: { position, template, opacity: opacity / 100 } };
+}
+
+// Removes every stamped copy made of the given files.
+export async function deleteStampedCopies(fileIds) {
+  const copies = await prisma.stampedCopy.findMany({
+    where: { entitlement: { fileId: { in: fileIds } } },
+  });
+
+  for (const copy of copies) {
+    await storage.delete(copy.storageKey);
+  }
+  await prisma.stampedCopy.deleteMany({
+    where: { id: { in: copies.map((copy) => copy.id) } },
+  });
+}
+
+// Turns stamping of a PDF file on or off. Copies stamped with the old
+// settings are dropped. Stamping is only turned on for PDFs that can be
+// stamped, and saving checks the file again after an earlier failure.
+export async function updateFileStamp(shop, fileId, data) {
+  const file = await prisma.file.findFirst({
+    where: { id: fileId, shop, deletedAt: null },
+  });
+  if (!file) {
+    return { error: "File not found" };
+  }
+  if (data && file.mimeType !== "application/pdf") {
+    return { error: "Only PDF files can be stamped" };
+  }
+
+  if (data) {
+    const reason = await checkStampable(file);
+    if (reason) {
+      await recordStampFailure(shop, file.storageKey, reason);
+      return { error: STAMP_FAILURES[reason] };
+    }
+    await prisma.stampFailure.deleteMany({
+      where: { shop, sourceKey: file.storageKey },
+    });
+    await prisma.pdfStamp.upsert({
+      where: { fileId },
+      update: data,
+      create: { ...data, fileId },
+    });
+  } else {
+    await prisma.pdfStamp.deleteMany({ where: { fileId } });
+  }
+  await deleteStampedCopies([fileId]);
+
+  return { success: true };
+}
+
+// Fills in `{{name}}`, `{{email}}`, `{{order}}` and `{{date}}`.
+export function renderStampText(template, entitlement) {
+  const values = {
+    name: entitlement.customerName || entitlement.customerEmail || "Customer",
+    email: entitlement.customerEmail || "",
+    order: entitlement.orderName,
+    date: entitlement.createdAt.toISOString().slice(0, 10),
+  };
+  return template
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => values[name] ?? match)
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Writes `text` on every page of a PDF. The standard fonts only cover
+// Latin characters, so anything else is replaced with "?".
+export async function stampPdf(source, { position, opacity }, text) {
+  const document = await PDFDocument.load(source);
+  const font = await document.embedFont(StandardFonts.Helvetica);
+  const characters = new Set(font.getCharacterSet());
+  const printable = [...text]
+    .map((char) => (characters.has(char.codePointAt(0)) ? char : "?"))
+    .join("");
+  const unitWidth = font.widthOfTextAtSize(printable, 1) || 1;
+
+  for (const page of document.getPages()) {
+    const { x, y, width, height } = page.getMediaBox();
+
+    if (position === "diagonal") {
+      const angle = Math.atan2(height, width);
+      const size = Math.min(
+        60,
+        Math.max(12, (Math.hypot(width, height) * 0.7) / unitWidth),
+      );
+      const textWidth = unitWidth * size;
+      // Centre the text on the page along its diagonal.
+      page.drawText(printable, {
+        x:
+          x +
+          width / 2 -
+          (textWidth / 2) * Math.cos(angle) +
+          (size / 3) * Math.sin(angle),
+        y:
+          y +
+          height / 2 -
+          (textWidth / 2) * Math.sin(angle) -
+          (size / 3) * Math.cos(angle),
+        size,
+        font,
+        color: rgb(0.5, 0.5, 0.5),
+        opacity,
+        rotate: degrees((angle * 180) / Math.PI),
+      });
+    } else {
+      const size = Math.min(8, (width - 40) / unitWidth);
+      page.drawText(printable, {
+        x: x + (width - unitWidth * size) / 2,
+        y: position === "header" ? y + height - 20 : y + 12,
+        size,
+        font,
+        color: rgb(0.3, 0.3, 0.3),
+        opacity,
+      });
+    }
+  }
+
+  return Buffer.from(await document.save());
+}
+
+async function createStampedCopy(entitlement, fileRecord, stamp, previous) {
+  const { shop } = entitlement;
+  try {
+    const source = await readFileContents(fileRecord.storageKey);
+    let stamped;
+    try {
+      stamped = await stampPdf(
+        source,
+        stamp,
+        renderStampText(stamp.template, entitlement),
+      );
+    } catch (error) {
+      console.error(`Could not stamp ${fileRecord.storageKey}:`, error);
+      await recordStampFailure(
+        shop,
+        fileRecord.storageKey,
+        failureReason(error),
+      );
+      return null;
+    }
+
+    const storageKey = `stamped/${entitlement.id}-${Date.now()}.pdf`;
+    const { size } = await storage.save(storageKey, Readable.from([stamped]), {
+      shop,
+    });
+
+    const data = {
+      sourceKey: fileRecord.storageKey,
+      stampUpdatedAt: stamp.updatedAt,
+      storageKey,
+      size,
+    };
+    const copy = await prisma.stampedCopy.upsert({
+      where: { entitlementId: entitlement.id },
+      update: data,
+      create: { ...data, entitlementId: entitlement.id },
+    });
+    if (previous) {
+      await storage.delete(previous.storageKey);
+    }
+    return copy;
+  } catch (error) {
+    console.error(`Could not store a stamped ${fileRecord.storageKey}:`, error);
+    return null;
+  }
+}
+
+// Concurrent downloads of the same purchase share one stamping run.
+const pending = new Map();
+
+// Returns the record to send for a purchase of a stamped PDF: a copy
+// stamped with the buyer's details, made on first download and kept until
+// the file or its stamp settings change. Other files are returned as is.
+// So are PDFs that cannot be stamped, so customers are never locked out of
+// what they bought; the failure is recorded once per stored file and shown
+// in the admin.
+export async function stampedFile(entitlement, fileRecord) {
+  if (fileRecord.mimeType !== "application/pdf") return fileRecord;
+
+  const stamp = await prisma.pdfStamp.findUnique({
+    where: { fileId: fileRecord.id },
+  });
+  if (!stamp) return fileRecord;
+
+  const { shop } = entitlement;
+  const sourceKey = fileRecord.storageKey;
+  if (fileRecord.size > MAX_SOURCE_SIZE) {
+    await recordStampFailure(shop, sourceKey, "too-large");
+    return fileRecord;
+  }
+
+  let copy = await prisma.stampedCopy.findUnique({
+    where: { entitlementId: entitlement.id },
+  });
+  const current =
+    copy &&
+    copy.sourceKey === sourceKey &&
+    copy.stampUpdatedAt.getTime() === stamp.updatedAt.getTime();
+
+  if (!current) {
+    const failed = await prisma.stampFailure.count({
+      where: { shop, sourceKey },
+    });
+    if (failed > 0) return fileRecord;
+
+    if (!pending.has(entitlement.id)) {
+      pending.set(
+        entitlement.id,
+        enqueue(() =>
+          createStampedCopy(entitlement, fileRecord, stamp, copy),
+        ).finally(() => pending.delete(entitlement.id)),
+      );
+    }
+    copy = await pending.get(entitlement.id);
+    if (!copy) return fileRecord;
+  }
+
+  return {
+    ...fileRecord,
+    id: `${fileRecord.id}-stamped-${copy.id}`,
+    storageKey: copy.storageKey,
+    size: copy.size,
+    updatedAt: copy.updatedAt,
+  };
+}
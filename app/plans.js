@@ -0,0 +1,43 @@
+// Subscription plans. Paid plans are billed through the Shopify Billing API
+// under their name; the free plan needs no subscription.
+export const FREE_PLAN = "Free";
+export const BASIC_PLAN = "Basic";
+export const PRO_PLAN = "Pro";
+
+export const PLANS = {
+  [FREE_PLAN]: {
+    price: 0,
+    storageQuotaMb: 500,
+    fileQuota: 50,
+    downloadPolicies: false,
+    features: [
+      "500 MB of storage",
+      "Up to 50 files",
+      "Unlimited downloads per purchase",
+    ],
+  },
+  [BASIC_PLAN]: {
+    price: 9.99,
+    storageQuotaMb: 10 * 1024,
+    fileQuota: 1000,
+    downloadPolicies: true,
+    features: [
+      "10 GB of storage",
+      "Up to 1,000 files",
+      "Download limits and expiry",
+    ],
+  },
+  [PRO_PLAN]: {
+    price: 29.99,
+    storageQuotaMb: 100 * 1024,
+    fileQuota: null,
+    downloadPolicies: true,
+    features: [
+      "100 GB of storage",
+      "Unlimited files",
+      "Download limits and expiry",
+    ],
+  },
+};
+
+export const PAID_PLANS = [BASIC_PLAN, PRO_PLAN];
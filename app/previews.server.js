@@ -0,0 +1,237 @@
+import { createRequire } from "module";
+import { dirname, join } from "path";
+import { Readable } from "stream";
+import { Jimp } from "jimp";
+import storage from "./storage.server";
+import { readFileContents } from "./files.server";
+import { previewKind } from "./file-types";
+
+const THUMBNAIL_SIZE = 256;
+// Sources are decoded in memory, so larger files get no preview. Images
+// are limited by pixel count too, since a small file can decode to an
+// enormous bitmap.
+const MAX_SOURCE_SIZE = 50 * 1024 * 1024;
+const MAX_PIXELS = 50 * 1000 * 1000;
+// Stored next to a preview that could not be made, so it isn't tried again.
+const FAILED_SUFFIX = ".failed";
+// The fonts PDFs may use without embedding them, shipped with pdf.js.
+const STANDARD_FONTS = join(
+  dirname(createRequire(import.meta.url).resolve("pdfjs-dist/package.json")),
+  "standard_fonts/",
+);
+
+// PDF pages are drawn on a native canvas, loaded on first use so hosts
+// where it cannot load only go without PDF previews.
+let pdfRenderer;
+
+async function loadPdfRenderer() {
+  pdfRenderer ??= Promise.all([
+    import("@napi-rs/canvas"),
+    import("pdfjs-dist/legacy/build/pdf.mjs"),
+  ]).then(
+    ([{ createCanvas }, { getDocument }]) => ({ createCanvas, getDocument }),
+    (error) => {
+      console.error("PDF previews are unavailable:", error);
+      return null;
+    },
+  );
+  return pdfRenderer;
+}
+
+// JPEG start-of-frame markers, which carry the image size.
+const JPEG_FRAMES = [
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+];
+
+function jpegDimensions(source) {
+  let offset = 2;
+  while (offset + 9 < source.length) {
+    if (source[offset] !== 0xff) return null;
+    const marker = source[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (JPEG_FRAMES.includes(marker)) {
+      return {
+        height: source.readUInt16BE(offset + 5),
+        width: source.readUInt16BE(offset + 7),
+      };
+    }
+    offset += 2 + source.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function tiffDimensions(source) {
+  const little = source.toString("latin1", 0, 2) === "II";
+  const read16 = (at) =>
+    little ? source.readUInt16LE(at) : source.readUInt16BE(at);
+  const read32 = (at) =>
+    little ? source.readUInt32LE(at) : source.readUInt32BE(at);
+
+  const ifd = read32(4);
+  const size = {};
+  for (let i = 0; i < read16(ifd); i++) {
+    const entry = ifd + 2 + i * 12;
+    const tag = read16(entry);
+    const value =
+      read16(entry + 2) === 3 ? read16(entry + 8) : read32(entry + 8);
+    if (tag === 256) size.width = value;
+    if (tag === 257) size.height = value;
+  }
+  return size.width && size.height ? size : null;
+}
+
+// Reads an image's width and height from its header without decoding it.
+// Returns null for formats or headers it doesn't recognise.
+function imageDimensions(source) {
+  try {
+    const format = source.toString("latin1", 0, 4);
+    if (format === "\x89PNG") {
+      return {
+        width: source.readUInt32BE(16),
+        height: source.readUInt32BE(20),
+      };
+    }
+    if (format.startsWith("GIF")) {
+      return { width: source.readUInt16LE(6), height: source.readUInt16LE(8) };
+    }
+    if (format.startsWith("BM")) {
+      return source.readUInt32LE(14) === 12
+        ? { width: source.readUInt16LE(18), height: source.readUInt16LE(20) }
+        : {
+            width: Math.abs(source.readInt32LE(18)),
+            height: Math.abs(source.readInt32LE(22)),
+          };
+    }
+    if (source[0] === 0xff && source[1] === 0xd8) {
+      return jpegDimensions(source);
+    }
+    if (format === "II*\0" || format === "MM\0*") {
+      return tiffDimensions(source);
+    }
+  } catch {
+    // Truncated header
+  }
+  return null;
+}
+
+const PREVIEWS = {
+  thumbnail: {
+    suffix: ".thumb.png",
+    mimeType: "image/png",
+    async render(source) {
+      const size = imageDimensions(source);
+      if (!size) {
+        throw new Error("Unrecognised image header");
+      }
+      if (size.width * size.height > MAX_PIXELS) {
+        throw new Error(`Image is too large (${size.width}x${size.height})`);
+      }
+      const image = await Jimp.read(source);
+      image.scaleToFit({ w: THUMBNAIL_SIZE, h: THUMBNAIL_SIZE });
+      return image.getBuffer("image/png");
+    },
+  },
+  "first-page": {
+    suffix: ".page1.png",
+    mimeType: "image/png",
+    async render(source) {
+      const { createCanvas, getDocument } = await loadPdfRenderer();
+      const document = await getDocument({
+        data: new Uint8Array(source),
+        isEvalSupported: false,
+        standardFontDataUrl: STANDARD_FONTS,
+      }).promise;
+      try {
+        const page = await document.getPage(1);
+        const { width, height } = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({
+          scale: THUMBNAIL_SIZE / Math.max(width, height),
+        });
+        const canvas = createCanvas(
+          Math.ceil(viewport.width),
+          Math.ceil(viewport.height),
+        );
+        await page.render({
+          canvas,
+          canvasContext: canvas.getContext("2d"),
+          viewport,
+        }).promise;
+        return canvas.toBuffer("image/png");
+      } finally {
+        await document.destroy();
+      }
+    },
+  },
+};
+
+// Files that cannot be rendered are marked so later requests skip them;
+// errors reading or storing are not, and are tried again next time.
+async function generatePreview({ shop, storageKey }, key, preview) {
+  try {
+    const source = await readFileContents(storageKey);
+    let rendered;
+    try {
+      rendered = await preview.render(source);
+    } catch (error) {
+      console.error(`Could not generate a preview of ${storageKey}:`, error);
+      await storage.save(`${key}${FAILED_SUFFIX}`, Readable.from([]), {
+        shop,
+      });
+      return null;
+    }
+
+    const { size } = await storage.save(key, Readable.from([rendered]), {
+      shop,
+    });
+    return { key, size, mimeType: preview.mimeType };
+  } catch (error) {
+    console.error(`Could not store a preview of ${storageKey}:`, error);
+    return null;
+  }
+}
+
+// Previews are generated one at a time, and concurrent requests for the
+// same preview share a single generation.
+const pending = new Map();
+let queue = Promise.resolve();
+
+// Returns the stored preview of a file as `{ key, size, mimeType }`,
+// generating it next to the file on first use. Returns null when the file
+// has no preview.
+export async function ensurePreview(fileRecord) {
+  const kind = previewKind(fileRecord.mimeType);
+  if (!kind || fileRecord.size > MAX_SOURCE_SIZE) return null;
+
+  if (kind === "first-page" && !(await loadPdfRenderer())) return null;
+
+  const preview = PREVIEWS[kind];
+  const key = `${fileRecord.storageKey}${preview.suffix}`;
+  const stored = await storage.stat(key);
+  if (stored) {
+    return { key, size: stored.size, mimeType: preview.mimeType };
+  }
+  if (await storage.stat(`${key}${FAILED_SUFFIX}`)) return null;
+
+  if (!pending.has(key)) {
+    const job = queue
+      .then(() => generatePreview(fileRecord, key, preview))
+      .finally(() => pending.delete(key));
+    queue = job;
+    pending.set(key, job);
+  }
+  return pending.get(key);
+}
+
+// Removes every preview stored next to a file, and the marks of previews
+// that failed.
+export async function deletePreviews(storageKey) {
+  await Promise.all(
+    Object.values(PREVIEWS).flatMap(({ suffix }) => [
+      storage.delete(`${storageKey}${suffix}`),
+      storage.delete(`${storageKey}${suffix}${FAILED_SUFFIX}`),
+    ]),
+  );
+}
@@ -0,0 +1,107 @@
+import prisma from "./db.server";
+
+const ATTACHMENT_TARGETS_QUERY = `#graphql
+  query attachmentTargets($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        title
+        variantsCount {
+          count
+        }
+      }
+      ... on ProductVariant {
+        id
+        title
+      }
+    }
+  }`;
+
+// Resolves a resource picker selection into attachment targets. A product
+// picked with every variant (or with none) is attached as a whole, otherwise
+// each picked variant gets its own attachment.
+export async function resolveTargets(admin, selection) {
+  const ids = selection.flatMap((product) => [
+    product.id,
+    ...(product.variants || []).map((variant) => variant.id),
+  ]);
+  if (ids.length === 0) return [];
+
+  const response = await admin.graphql(ATTACHMENT_TARGETS_QUERY, {
+    variables: { ids },
+  });
+  const { data } = await response.json();
+  const nodes = new Map(
+    (data?.nodes || []).filter(Boolean).map((node) => [node.id, node]),
+  );
+
+  const targets = [];
+  for (const item of selection) {
+    const product = nodes.get(item.id);
+    if (!product) continue;
+
+    const variants = (item.variants || [])
+      .map((variant) => nodes.get(variant.id))
+      .filter(Boolean);
+
+    if (
+      variants.length === 0 ||
+      variants.length >= (product.variantsCount?.count ?? 0)
+    ) {
+      targets.push({
+        productId: product.id,
+        productTitle: product.title,
+        variantId: null,
+        variantTitle: null,
+      });
+      continue;
+    }
+
+    for (const variant of variants) {
+      targets.push({
+        productId: product.id,
+        productTitle: product.title,
+        variantId: variant.id,
+        variantTitle: variant.title,
+      });
+    }
+  }
+
+  return targets;
+}
+
+export async function attachFilesToProducts(admin, shop, fileIds, selection) {
+  const targets = await resolveTargets(admin, selection);
+  if (targets.length === 0) return 0;
+
+  const files = await prisma.file.findMany({
+    where: { id: { in: fileIds }, shop },
+    include: { attachments: true },
+  });
+
+  let created = 0;
+  for (const file of files) {
+    for (const target of targets) {
+      const exists = file.attachments.some(
+        (attachment) =>
+          attachment.productId === target.productId &&
+          attachment.variantId === target.variantId,
+      );
+      if (exists) continue;
+
+      await prisma.fileAttachment.create({
+        data: { ...target, shop, fileId: file.id },
+      });
+      created++;
+    }
+  }
+
+  return created;
+}
+
+export async function detachFileAttachment(shop, attachmentId) {
+  const { count } = await prisma.fileAttachment.deleteMany({
+    where: { id: attachmentId, shop },
+  });
+  return count > 0;
+}
@@ -0,0 +1,163 @@
+import prisma, { toBytes } from "./db.server";
+import { getShopSettings } from "./download-policies.server";
+import { getShopPlan } from "./billing.server";
+import { getFileTypeCategory } from "./file-types";
+import { folderPath } from "./folder-tree";
+
+const MB = 1024 * 1024;
+
+// Limits come from the shop's plan unless the shop has its own override.
+// Null means unlimited.
+export async function getShopQuota(shop) {
+  const [settings, plan] = await Promise.all([
+    getShopSettings(shop),
+    getShopPlan(shop),
+  ]);
+  const quotaMb = settings.storageQuotaMb ?? plan.storageQuotaMb;
+
+  return {
+    maxBytes: quotaMb != null ? quotaMb * MB : null,
+    maxFiles: settings.fileQuota ?? plan.fileQuota,
+  };
+}
+
+// Identical contents are stored once, so bytes are summed over the shop's
+// blobs rather than its versions. Versions uploaded before blobs were
+// tracked have none and count on their own. Files in the trash count too,
+// since they occupy storage until they are purged.
+export async function getStorageUsage(shop) {
+  const [blobs, legacy, files] = await Promise.all([
+    prisma.storageBlob.aggregate({
+      where: { shop },
+      _sum: { size: true },
+    }),
+    prisma.fileVersion.aggregate({
+      where: { sha256: null, file: { shop } },
+      _sum: { size: true },
+    }),
+    prisma.file.count({ where: { shop } }),
+  ]);
+
+  return {
+    bytes: toBytes(blobs._sum.size) + toBytes(legacy._sum.size),
+    files,
+  };
+}
+
+// Bytes and new files that chunked uploads still in progress have claimed.
+async function getReservedUsage(shop) {
+  const [{ _sum }, files] = await Promise.all([
+    prisma.uploadSession.aggregate({ where: { shop }, _sum: { size: true } }),
+    prisma.uploadSession.count({ where: { shop, fileId: null } }),
+  ]);
+
+  return { bytes: toBytes(_sum.size), files };
+}
+
+// Returns an error message when adding `bytes` and `files` would go over the
+// shop's quota, counting uploads in progress, otherwise null.
+export async function checkQuota(shop, { bytes = 0, files = 0 }) {
+  const [quota, stored, reserved] = await Promise.all([
+    getShopQuota(shop),
+    getStorageUsage(shop),
+    getReservedUsage(shop),
+  ]);
+  const usage = {
+    bytes: stored.bytes + reserved.bytes,
+    files: stored.files + reserved.files,
+  };
+
+  if (quota.maxFiles != null && usage.files + files > quota.maxFiles) {
+    return `You have reached your limit of ${quota.maxFiles} files. Delete files, empty the trash or upgrade your plan to upload more.`;
+  }
+  if (quota.maxBytes != null && usage.bytes + bytes > quota.maxBytes) {
+    const remaining = Math.max(quota.maxBytes - usage.bytes, 0);
+    return `This upload needs ${Math.ceil(bytes / MB)} MB but only ${Math.floor(
+      remaining / MB,
+    )} MB of your ${quota.maxBytes / MB} MB storage is left. Delete files, empty the trash or upgrade your plan to free up space.`;
+  }
+  return null;
+}
+
+// Breaks stored bytes down by folder and by file type category. Bytes are
+// counted the way `getStorageUsage` counts them: each blob once per group,
+// however many versions in it share the blob, and versions without a blob
+// on their own.
+export async function getUsageBreakdown(shop) {
+  const [versions, blobs, folders] = await Promise.all([
+    prisma.fileVersion.findMany({
+      where: { file: { shop } },
+      select: {
+        fileId: true,
+        storageKey: true,
+        size: true,
+        sha256: true,
+        mimeType: true,
+        file: { select: { folderId: true, deletedAt: true } },
+      },
+    }),
+    prisma.storageBlob.findMany({
+      where: { shop },
+      select: { storageKey: true, size: true },
+    }),
+    prisma.folder.findMany({
+      where: { shop },
+      select: { id: true, name: true, parentId: true },
+    }),
+  ]);
+
+  const blobSizes = new Map(
+    blobs.map((blob) => [blob.storageKey, toBytes(blob.size)]),
+  );
+  const byFolder = new Map();
+  const byType = new Map();
+  const add = (groups, key, name, version) => {
+    const group = groups.get(key) || {
+      key,
+      name,
+      bytes: 0,
+      files: new Set(),
+      blobs: new Set(),
+    };
+    if (!version.sha256) {
+      group.bytes += version.size;
+    } else if (
+      blobSizes.has(version.storageKey) &&
+      !group.blobs.has(version.storageKey)
+    ) {
+      group.bytes += blobSizes.get(version.storageKey);
+      group.blobs.add(version.storageKey);
+    }
+    group.files.add(version.fileId);
+    groups.set(key, group);
+  };
+
+  for (const version of versions) {
+    const { folderId, deletedAt } = version.file;
+    if (deletedAt) {
+      add(byFolder, "trash", "Trash", version);
+    } else if (folderId) {
+      const name = folderPath(folders, folderId)
+        .map((folder) => folder.name)
+        .join(" / ");
+      add(byFolder, folderId, name, version);
+    } else {
+      add(byFolder, "root", "All Files (top level)", version);
+    }
+
+    const category = getFileTypeCategory(version.mimeType);
+    add(byType, category, category, version);
+  }
+
+  const summarize = (groups) =>
+    [...groups.values()]
+      .map((group) => ({
+        key: group.key,
+        name: group.name,
+        bytes: group.bytes,
+        files: group.files.size,
+      }))
+      .sort((a, b) => b.bytes - a.bytes);
+
+  return { byFolder: summarize(byFolder), byType: summarize(byType) };
+}
@@ -0,0 +1,26 @@
+// Counts hits per key in fixed windows, in memory. Counts reset when the
+// server restarts, which is fine for slowing down guessing.
+export function createRateLimiter({ limit, window }) {
+  const windows = new Map();
+
+  // Returns the seconds to wait when `key` is over its limit, otherwise 0.
+  return function hit(key) {
+    const now = Date.now();
+    if (windows.size > 10000) {
+      for (const [stored, { resetAt }] of windows) {
+        if (resetAt <= now) windows.delete(stored);
+      }
+    }
+
+    let current = windows.get(key);
+    if (!current || current.resetAt <= now) {
+      current = { count: 0, resetAt: now + window };
+      windows.set(key, current);
+    }
+    current.count++;
+
+    return current.count > limit
+      ? Math.ceil((current.resetAt - now) / 1000)
+      : 0;
+  };
+}
@@ -1,243 +1,228 @@
-import { useEffect } from "react";
-import { useFetcher } from "react-router";
-import { useAppBridge } from "@shopify/app-bridge-react";
+import { useLoaderData, useRouteError } from "react-router";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { getShopQuota, getStorageUsage } from "../quotas.server";
+import { formatDateTime, formatFileSize } from "../format";
 
-export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+const DAY = 24 * 60 * 60 * 1000;
 
-  return null;
-};
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const { shop } = session;
+  const since = new Date(Date.now() - 30 * DAY);
 
-export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-  const color = ["Red", "Orange", "Yellow", "Green"][
-    Math.floor(Math.random() * 4)
-  ];
-  const response = await admin.graphql(
-    `#graphql
-      mutation populateProduct($product: ProductCreateInput!) {
-        productCreate(product: $product) {
-          product {
-            id
-            title
-            handle
-            status
-            variants(first: 10) {
-              edges {
-                node {
-                  id
-                  price
-                  barcode
-                  createdAt
-                }
-              }
-            }
-          }
-        }
-      }`,
-    {
-      variables: {
-        product: {
-          title: `${color} Snowboard`,
-        },
-      },
-    },
-  );
-  const responseJson = await response.json();
-  const product = responseJson.data.productCreate.product;
-  const variantId = product.variants.edges[0].node.id;
-  const variantResponse = await admin.graphql(
-    `#graphql
-    mutation shopifyReactRouterTemplateUpdateVariant($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-        productVariants {
-          id
-          price
-          barcode
-          createdAt
-        }
-      }
-    }`,
-    {
-      variables: {
-        productId: product.id,
-        variants: [{ id: variantId, price: "100.00" }],
+  const [
+    usage,
+    quota,
+    products,
+    purchases,
+    downloads,
+    recentDeliveries,
+    failedDeliveries,
+  ] = await Promise.all([
+    getStorageUsage(shop),
+    getShopQuota(shop),
+    prisma.fileAttachment.groupBy({
+      by: ["productId"],
+      where: { shop, file: { deletedAt: null } },
+      _count: { fileId: true },
+    }),
+    prisma.entitlement.count({ where: { shop, createdAt: { gte: since } } }),
+    prisma.downloadEvent.count({
+      where: {
+        shop,
+        source: "customer",
+        rangeStart: 0,
+        createdAt: { gte: since },
       },
+    }),
+    prisma.delivery.findMany({
+      where: { shop, status: { in: ["delivered", "awaiting-keys"] } },
+      orderBy: { updatedAt: "desc" },
+      take: 10,
+    }),
+    prisma.delivery.findMany({
+      where: { shop, status: "failed" },
+      orderBy: { updatedAt: "desc" },
+      take: 10,
+    }),
+  ]);
+
+  // Attachments keep the product title from when they were made, so the
+  // newest one is shown.
+  const titles = await prisma.fileAttachment.findMany({
+    where: {
+      shop,
+      productId: { in: products.map((product) => product.productId) },
     },
+    select: { productId: true, productTitle: true },
+    orderBy: { createdAt: "desc" },
+    distinct: ["productId"],
+  });
+  const productTitles = new Map(
+    titles.map((title) => [title.productId, title.productTitle]),
   );
-  const variantResponseJson = await variantResponse.json();
 
   return {
-    product: responseJson.data.productCreate.product,
-    variant: variantResponseJson.data.productVariantsBulkUpdate.productVariants,
+    usage,
+    quota,
+    products: products
+      .map((product) => ({
+        productId: product.productId,
+        productTitle: productTitles.get(product.productId),
+        fileCount: product._count.fileId,
+      }))
+      .sort((a, b) => a.productTitle.localeCompare(b.productTitle)),
+    purchases,
+    downloads,
+    recentDeliveries,
+    failedDeliveries,
   };
 };
 
-export default function Index() {
-  const fetcher = useFetcher();
-  const shopify = useAppBridge();
-  const isLoading =
-    ["loading", "submitting"].includes(fetcher.state) &&
-    fetcher.formMethod === "POST";
+const renderStat = (label, value, detail) => (
+  <s-box padding="base" borderWidth="base" borderRadius="base">
+    <s-stack direction="block" gap="tight">
+      <s-text tone="subdued">{label}</s-text>
+      <s-heading>{value}</s-heading>
+      {detail && (
+        <s-text tone="subdued" size="small">
+          {detail}
+        </s-text>
+      )}
+    </s-stack>
+  </s-box>
+);
 
-  useEffect(() => {
-    if (fetcher.data?.product?.id) {
-      shopify.toast.show("Product created");
-    }
-  }, [fetcher.data?.product?.id, shopify]);
-  const generateProduct = () => fetcher.submit({}, { method: "POST" });
+export default function Index() {
+  const {
+    usage,
+    quota,
+    products,
+    purchases,
+    downloads,
+    recentDeliveries,
+    failedDeliveries,
+  } = useLoaderData();
 
   return (
-    <s-page heading="Shopify app template">
-      <s-button slot="primary-action" onClick={generateProduct}>
-        Generate a product
+    <s-page heading="Overview">
+      <s-button slot="primary-action" variant="primary" href="/files">
+        Manage files
       </s-button>
 
-      <s-section heading="Congrats on creating a new Shopify app 🎉">
-        <s-paragraph>
-          This embedded app template uses{" "}
-          <s-link
-            href="https://shopify.dev/docs/apps/tools/app-bridge"
-            target="_blank"
-          >
-            App Bridge
-          </s-link>{" "}
-          interface examples like an{" "}
-          <s-link href="/additional">additional page in the app nav</s-link>, as
-          well as an{" "}
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql"
-            target="_blank"
-          >
-            Admin GraphQL
-          </s-link>{" "}
-          mutation demo, to provide a starting point for app development.
-        </s-paragraph>
-      </s-section>
-      <s-section heading="Get started with products">
-        <s-paragraph>
-          Generate a product with GraphQL and get the JSON output for that
-          product. Learn more about the{" "}
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql/latest/mutations/productCreate"
-            target="_blank"
-          >
-            productCreate
-          </s-link>{" "}
-          mutation in our API references.
-        </s-paragraph>
-        <s-stack direction="inline" gap="base">
-          <s-button
-            onClick={generateProduct}
-            {...(isLoading ? { loading: true } : {})}
-          >
-            Generate a product
-          </s-button>
-          {fetcher.data?.product && (
-            <s-button
-              onClick={() => {
-                shopify.intents.invoke?.("edit:shopify/Product", {
-                  value: fetcher.data?.product?.id,
-                });
-              }}
-              target="_blank"
-              variant="tertiary"
-            >
-              Edit product
-            </s-button>
+      {failedDeliveries.length > 0 && (
+        <s-banner
+          tone="critical"
+          heading={`${failedDeliveries.length} order(s) could not be delivered`}
+        >
+          Shopify retries failed deliveries automatically. Orders that keep
+          failing are listed below.
+        </s-banner>
+      )}
+
+      <s-section>
+        <s-grid gridTemplateColumns="repeat(4, 1fr)" gap="base">
+          {renderStat(
+            "Files",
+            usage.files.toLocaleString("en-US"),
+            quota.maxFiles != null
+              ? `of ${quota.maxFiles.toLocaleString("en-US")} on your plan`
+              : null,
           )}
-        </s-stack>
-        {fetcher.data?.product && (
-          <s-section heading="productCreate mutation">
-            <s-stack direction="block" gap="base">
-              <s-box
-                padding="base"
-                borderWidth="base"
-                borderRadius="base"
-                background="subdued"
-              >
-                <pre style={{ margin: 0 }}>
-                  <code>{JSON.stringify(fetcher.data.product, null, 2)}</code>
-                </pre>
-              </s-box>
+          {renderStat(
+            "Storage",
+            formatFileSize(usage.bytes),
+            quota.maxBytes != null
+              ? `of ${formatFileSize(quota.maxBytes)} on your plan`
+              : null,
+          )}
+          {renderStat(
+            "Linked products",
+            products.length.toLocaleString("en-US"),
+          )}
+          {renderStat(
+            "Downloads",
+            downloads.toLocaleString("en-US"),
+            `${purchases} purchase(s) in the last 30 days`,
+          )}
+        </s-grid>
+      </s-section>
 
-              <s-heading>productVariantsBulkUpdate mutation</s-heading>
-              <s-box
-                padding="base"
-                borderWidth="base"
-                borderRadius="base"
-                background="subdued"
-              >
-                <pre style={{ margin: 0 }}>
-                  <code>{JSON.stringify(fetcher.data.variant, null, 2)}</code>
-                </pre>
-              </s-box>
-            </s-stack>
-          </s-section>
+      <s-section heading="Failed deliveries">
+        {failedDeliveries.length === 0 ? (
+          <s-text tone="subdued">Every recent order was delivered.</s-text>
+        ) : (
+          <s-stack direction="block" gap="base">
+            {failedDeliveries.map((delivery) => (
+              <s-stack key={delivery.id} direction="block" gap="none">
+                <s-text fontWeight="bold">
+                  Order {delivery.orderName} ·{" "}
+                  {formatDateTime(delivery.updatedAt)}
+                </s-text>
+                <s-text tone="critical">{delivery.error}</s-text>
+              </s-stack>
+            ))}
+          </s-stack>
         )}
       </s-section>
 
-      <s-section slot="aside" heading="App template specs">
-        <s-paragraph>
-          <s-text>Framework: </s-text>
-          <s-link href="https://reactrouter.com/" target="_blank">
-            React Router
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>Interface: </s-text>
-          <s-link
-            href="https://shopify.dev/docs/api/app-home/using-polaris-components"
-            target="_blank"
-          >
-            Polaris web components
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>API: </s-text>
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql"
-            target="_blank"
-          >
-            GraphQL
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>Database: </s-text>
-          <s-link href="https://www.prisma.io/" target="_blank">
-            Prisma
-          </s-link>
-        </s-paragraph>
+      <s-section heading="Recently delivered orders">
+        {recentDeliveries.length === 0 ? (
+          <s-text tone="subdued">No orders delivered yet.</s-text>
+        ) : (
+          <s-stack direction="block" gap="base">
+            {recentDeliveries.map((delivery) => (
+              <s-stack
+                key={delivery.id}
+                direction="inline"
+                gap="base"
+                align="space-between"
+              >
+                <s-stack direction="block" gap="none">
+                  <s-text fontWeight="bold">Order {delivery.orderName}</s-text>
+                  <s-text tone="subdued">
+                    {delivery.customerEmail || "No email"}
+                  </s-text>
+                </s-stack>
+                <s-text tone="subdued">
+                  {delivery.status === "awaiting-keys" &&
+                    "Waiting for license keys · "}
+                  {delivery.fileCount} file(s) ·{" "}
+                  {formatDateTime(delivery.updatedAt)}
+                </s-text>
+              </s-stack>
+            ))}
+          </s-stack>
+        )}
       </s-section>
 
-      <s-section slot="aside" heading="Next steps">
-        <s-unordered-list>
-          <s-list-item>
-            Build an{" "}
-            <s-link
-              href="https://shopify.dev/docs/apps/getting-started/build-app-example"
-              target="_blank"
-            >
-              example app
-            </s-link>
-          </s-list-item>
-          <s-list-item>
-            Explore Shopify&apos;s API with{" "}
-            <s-link
-              href="https://shopify.dev/docs/apps/tools/graphiql-admin-api"
-              target="_blank"
-            >
-              GraphiQL
-            </s-link>
-          </s-list-item>
-        </s-unordered-list>
+      <s-section slot="aside" heading="Linked products">
+        {products.length === 0 ? (
+          <s-paragraph>
+            No products have files yet.{" "}
+            <s-link href="/files">Attach files to products</s-link> to start
+            delivering them.
+          </s-paragraph>
+        ) : (
+          <s-unordered-list>
+            {products.map((product) => (
+              <s-list-item key={product.productId}>
+                {product.productTitle} · {product.fileCount} file(s)
+              </s-list-item>
+            ))}
+          </s-unordered-list>
+        )}
       </s-section>
     </s-page>
   );
 }
 
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
 export const headers = (headersArgs) => {
   return boundary.headers(headersArgs);
 };
@@ -0,0 +1,18 @@
+import { authenticate } from "../shopify.server";
+import {
+  parseEventFilters,
+  streamDownloadEventsCsv,
+} from "../download-events.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const filters = parseEventFilters(request.url);
+
+  return new Response(streamDownloadEventsCsv(session.shop, filters), {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="downloads-${filters.from}-to-${filters.to}.csv"`,
+      "Cache-Control": "private, no-store",
+    },
+  });
+};
@@ -0,0 +1,293 @@
+import { useState } from "react";
+import { useLoaderData, useRouteError, useSearchParams } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import {
+  listDownloadEvents,
+  parseEventFilters,
+  summarizeDownloadEvents,
+} from "../download-events.server";
+import { formatDateTime, formatFileSize } from "../format";
+
+const EVENT_LIMIT = 100;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const filters = parseEventFilters(request.url);
+
+  const [summary, events, files] = await Promise.all([
+    summarizeDownloadEvents(session.shop, filters),
+    listDownloadEvents(session.shop, filters, { take: EVENT_LIMIT }),
+    prisma.file.findMany({
+      where: { shop: session.shop, deletedAt: null },
+      select: { id: true, originalName: true },
+      orderBy: { originalName: "asc" },
+    }),
+  ]);
+
+  return { filters, ...summary, events, files };
+};
+
+const STATUS_TONES = {
+  completed: "success",
+  aborted: "critical",
+  started: "info",
+};
+
+const renderStat = (label, value) => (
+  <s-box padding="base" borderWidth="base" borderRadius="base">
+    <s-stack direction="block" gap="tight">
+      <s-text tone="subdued">{label}</s-text>
+      <s-heading>{value}</s-heading>
+    </s-stack>
+  </s-box>
+);
+
+const renderBarChart = (days, valueFor, format) => {
+  const max = Math.max(...days.map(valueFor), 0);
+
+  return (
+    <s-stack direction="block" gap="tight">
+      <div
+        style={{
+          display: "flex",
+          alignItems: "flex-end",
+          gap: "2px",
+          height: "120px",
+          borderBottom: "1px solid #e1e3e5",
+        }}
+      >
+        {days.map((day) => (
+          <div
+            key={day.date}
+            title={`${day.date}: ${format(valueFor(day))}`}
+            style={{
+              flex: 1,
+              height: max > 0 ? `${(valueFor(day) / max) * 100}%` : 0,
+              minHeight: valueFor(day) > 0 ? "2px" : 0,
+              backgroundColor: "#008060",
+              borderRadius: "2px 2px 0 0",
+            }}
+          />
+        ))}
+      </div>
+      <s-stack direction="inline" gap="base" align="space-between">
+        <s-text tone="subdued">{days[0]?.date}</s-text>
+        <s-text tone="subdued">Peak {format(max)}</s-text>
+        <s-text tone="subdued">{days[days.length - 1]?.date}</s-text>
+      </s-stack>
+    </s-stack>
+  );
+};
+
+export default function Analytics() {
+  const { filters, totals, days, topFiles, events, files } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const [draft, setDraft] = useState(filters);
+
+  const updateDraft = (key) => (e) =>
+    setDraft((current) => ({ ...current, [key]: e.target.value }));
+
+  const queryString = (values) =>
+    new URLSearchParams(
+      Object.entries(values).filter(([, value]) => value),
+    ).toString();
+
+  const handleApply = () => {
+    setSearchParams(queryString(draft));
+  };
+
+  const handleExport = () => {
+    window.location.href = `/analytics/export?${queryString(filters)}`;
+  };
+
+  return (
+    <s-page heading="Download analytics">
+      <s-button slot="primary-action" onClick={handleExport}>
+        Export CSV
+      </s-button>
+
+      <s-section heading="Filters">
+        <s-stack direction="block" gap="base">
+          <s-grid gridTemplateColumns="repeat(3, 1fr)" gap="base">
+            <s-date-field
+              label="From"
+              value={draft.from}
+              onChange={updateDraft("from")}
+            />
+            <s-date-field
+              label="To"
+              value={draft.to}
+              onChange={updateDraft("to")}
+            />
+            <s-text-field
+              label="Order, email or IP"
+              value={draft.query}
+              onChange={updateDraft("query")}
+            />
+            <s-select
+              label="File"
+              value={draft.fileId}
+              onChange={updateDraft("fileId")}
+            >
+              <s-option value="">All files</s-option>
+              {files.map((file) => (
+                <s-option key={file.id} value={file.id}>
+                  {file.originalName}
+                </s-option>
+              ))}
+            </s-select>
+            <s-select
+              label="Status"
+              value={draft.status}
+              onChange={updateDraft("status")}
+            >
+              <s-option value="">Any status</s-option>
+              <s-option value="completed">Completed</s-option>
+              <s-option value="aborted">Aborted</s-option>
+              <s-option value="started">In progress</s-option>
+            </s-select>
+            <s-select
+              label="Source"
+              value={draft.source}
+              onChange={updateDraft("source")}
+            >
+              <s-option value="">Customers and staff</s-option>
+              <s-option value="customer">Customer download links</s-option>
+              <s-option value="admin">Staff downloads</s-option>
+            </s-select>
+          </s-grid>
+          <s-stack direction="inline" gap="base">
+            <s-button variant="primary" onClick={handleApply}>
+              Apply filters
+            </s-button>
+          </s-stack>
+        </s-stack>
+      </s-section>
+
+      <s-section>
+        <s-grid gridTemplateColumns="repeat(3, 1fr)" gap="base">
+          {renderStat("Downloads", totals.downloads.toLocaleString("en-US"))}
+          {renderStat("Aborted", totals.aborted.toLocaleString("en-US"))}
+          {renderStat("Data served", formatFileSize(totals.bytesServed))}
+        </s-grid>
+      </s-section>
+
+      <s-section heading="Downloads per day">
+        {renderBarChart(
+          days,
+          (day) => day.downloads,
+          (count) => count.toLocaleString("en-US"),
+        )}
+      </s-section>
+
+      <s-section heading="Data served per day">
+        {renderBarChart(days, (day) => day.bytesServed, formatFileSize)}
+      </s-section>
+
+      <s-section heading="Events">
+        {events.length === 0 ? (
+          <s-text tone="subdued">No downloads match these filters.</s-text>
+        ) : (
+          <s-stack direction="block" gap="base">
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid #e1e3e5" }}>
+                  <th style={{ textAlign: "left", padding: "12px" }}>Time</th>
+                  <th style={{ textAlign: "left", padding: "12px" }}>File</th>
+                  <th style={{ textAlign: "left", padding: "12px" }}>Order</th>
+                  <th style={{ textAlign: "left", padding: "12px" }}>Client</th>
+                  <th style={{ textAlign: "right", padding: "12px" }}>
+                    Served
+                  </th>
+                  <th style={{ textAlign: "left", padding: "12px" }}>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map((event) => (
+                  <tr
+                    key={event.id}
+                    style={{ borderBottom: "1px solid #e1e3e5" }}
+                  >
+                    <td style={{ padding: "12px" }}>
+                      {formatDateTime(event.createdAt)}
+                    </td>
+                    <td style={{ padding: "12px" }}>
+                      {event.fileName}
+                      {event.fileVersion != null && ` (v${event.fileVersion})`}
+                    </td>
+                    <td style={{ padding: "12px" }}>
+                      {event.source === "admin" ? (
+                        <s-text tone="subdued">Staff download</s-text>
+                      ) : (
+                        <s-stack direction="block" gap="none">
+                          <s-text>{event.orderName}</s-text>
+                          <s-text tone="subdued">
+                            {event.customerEmail || "No email"}
+                          </s-text>
+                        </s-stack>
+                      )}
+                    </td>
+                    <td style={{ padding: "12px" }}>
+                      <s-stack direction="block" gap="none">
+                        <s-text>{event.ip || "Unknown IP"}</s-text>
+                        <s-text tone="subdued">{event.userAgent}</s-text>
+                      </s-stack>
+                    </td>
+                    <td style={{ padding: "12px", textAlign: "right" }}>
+                      {formatFileSize(event.bytesServed)}
+                      {event.rangeStart > 0 && (
+                        <s-text tone="subdued">
+                          {" "}
+                          from byte {event.rangeStart.toLocaleString("en-US")}
+                        </s-text>
+                      )}
+                    </td>
+                    <td style={{ padding: "12px" }}>
+                      <s-badge tone={STATUS_TONES[event.status]}>
+                        {event.status === "started"
+                          ? "In progress"
+                          : event.status === "completed"
+                            ? "Completed"
+                            : "Aborted"}
+                      </s-badge>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {events.length === EVENT_LIMIT && (
+              <s-text tone="subdued">
+                Showing the latest {EVENT_LIMIT} events. Export a CSV for the
+                full log.
+              </s-text>
+            )}
+          </s-stack>
+        )}
+      </s-section>
+
+      <s-section slot="aside" heading="Top files">
+        {topFiles.length === 0 ? (
+          <s-text tone="subdued">No downloads in this period.</s-text>
+        ) : (
+          <s-unordered-list>
+            {topFiles.map((file) => (
+              <s-list-item key={file.fileId}>
+                {file.fileName} · {file.downloads} download(s)
+              </s-list-item>
+            ))}
+          </s-unordered-list>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
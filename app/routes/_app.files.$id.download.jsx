@@ -1,7 +1,9 @@
-import { existsSync } from "fs";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
-import { readFileBuffer } from "../files.server";
+import { fileExists } from "../files.server";
+import { createDownloadResponse } from "../downloads.server";
+import { trackDownload } from "../download-events.server";
+import { canDisplayInline } from "../file-types";
 
 export const loader = async ({ request, params }) => {
   const { session } = await authenticate.admin(request);
@@ -15,17 +17,32 @@ export const loader = async ({ request, params }) => {
     throw new Response("File not found", { status: 404 });
   }
 
-  if (!existsSync(fileRecord.path)) {
+  if (fileRecord.scanStatus === "quarantined") {
+    throw new Response("This file failed a malware scan", { status: 403 });
+  }
+
+  if (!(await fileExists(fileRecord.storageKey))) {
     throw new Response("File not found on disk", { status: 404 });
   }
 
-  const fileBuffer = await readFileBuffer(fileRecord.path);
+  // `?inline=1` plays or shows the file in the admin's preview, which is
+  // not logged as a download.
+  const inline =
+    new URL(request.url).searchParams.get("inline") === "1" &&
+    canDisplayInline(fileRecord.mimeType);
+  if (inline) {
+    return createDownloadResponse(request, fileRecord, {
+      disposition: "inline",
+    });
+  }
+
+  const response = await createDownloadResponse(request, fileRecord);
 
-  return new Response(fileBuffer, {
-    headers: {
-      "Content-Type": fileRecord.mimeType,
-      "Content-Disposition": `attachment; filename="${fileRecord.originalName}"`,
-      "Content-Length": fileRecord.size.toString(),
-    },
+  return trackDownload(request, response, {
+    shop: session.shop,
+    fileId: fileRecord.id,
+    fileName: fileRecord.originalName,
+    fileVersion: fileRecord.version,
+    source: "admin",
   });
 };
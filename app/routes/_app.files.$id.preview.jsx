@@ -0,0 +1,37 @@
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { ensurePreview } from "../previews.server";
+import { createDownloadResponse } from "../downloads.server";
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const fileRecord = await prisma.file.findFirst({
+    where: { id: params.id, shop: session.shop },
+  });
+
+  if (!fileRecord) {
+    throw new Response("File not found", { status: 404 });
+  }
+
+  if (fileRecord.scanStatus === "quarantined") {
+    throw new Response("This file failed a malware scan", { status: 403 });
+  }
+
+  const preview = await ensurePreview(fileRecord);
+  if (!preview) {
+    throw new Response("No preview available", { status: 404 });
+  }
+
+  return createDownloadResponse(
+    request,
+    {
+      ...fileRecord,
+      id: `${fileRecord.id}-preview`,
+      storageKey: preview.key,
+      mimeType: preview.mimeType,
+      size: preview.size,
+    },
+    { disposition: "inline", cacheControl: "private, max-age=3600" },
+  );
+};
@@ -1,22 +1,38 @@
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { childFolders, collectFolderIds, folderPath } from "../folder-tree";
 
 export const loader = async ({ request, params }) => {
   const { session } = await authenticate.admin(request);
   const { id } = params;
 
-  const folder = await prisma.folder.findFirst({
-    where: { id, shop: session.shop },
-    include: {
-      files: {
-        orderBy: { createdAt: "desc" },
-      },
-    },
+  const url = new URL(request.url);
+  const recursive = url.searchParams.get("recursive") === "true";
+
+  const folders = await prisma.folder.findMany({
+    where: { shop: session.shop, deletedAt: null },
+    orderBy: { name: "asc" },
   });
+  const folder = folders.find((f) => f.id === id);
 
   if (!folder) {
     throw new Response("Folder not found", { status: 404 });
   }
 
-  return { files: folder.files };
+  // With `recursive=true` the listing also includes files in subfolders.
+  const files = await prisma.file.findMany({
+    where: {
+      shop: session.shop,
+      deletedAt: null,
+      folderId: { in: recursive ? collectFolderIds(folders, id) : [id] },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+
+  return {
+    folder,
+    breadcrumbs: folderPath(folders, id),
+    folders: childFolders(folders, id),
+    files,
+  };
 };
@@ -1,4 +1,4 @@
-import { useState, useEffect, useMemo, useCallback } from "react";
+import { useState, useEffect, useMemo, useCallback, useRef } from "react";
 import {
   useFetcher,
   useLoaderData,
@@ -10,45 +10,114 @@ import { useAppBridge } from "@shopify/app-bridge-react";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
-import { ensureUploadDir, saveFile, deleteFile } from "../files.server";
+import {
+  attachFilesToProducts,
+  detachFileAttachment,
+} from "../products.server";
+import { parsePolicyInput } from "../download-policies.server";
+import { listPendingUploads } from "../chunked-uploads.server";
+import {
+  createFolder,
+  folderExists,
+  moveFolders,
+  renameFolder,
+} from "../folders.server";
+import { childFolders, collectFolderIds, folderPath } from "../folder-tree";
+import { canDisplayInline, previewKind } from "../file-types";
+import {
+  parseFileQuery,
+  searchFiles,
+  searchFolders,
+} from "../file-search.server";
+import { trashFile, trashFolder } from "../trash.server";
+import { rollbackFile } from "../file-versions.server";
+import { checkPolicyAllowed } from "../billing.server";
+import {
+  listTags,
+  parseMetadata,
+  parseTagNames,
+  tagItems,
+  updateFileDetails,
+} from "../tags.server";
+import { rescanFile } from "../scans.server";
+import {
+  STAMP_FAILURES,
+  findStampFailures,
+  parseStampInput,
+  updateFileStamp,
+} from "../pdf-stamps.server";
+import { formatDate, formatFileSize } from "../format";
 
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
-  await ensureUploadDir();
 
-  const url = new URL(request.url);
-  const folderId = url.searchParams.get("folderId");
+  const fileQuery = parseFileQuery(request.url);
 
   try {
-    const [folders, files] = await Promise.all([
-      prisma.folder.findMany({
-        where: { shop: session.shop },
-        include: {
-          files: {
-            select: { id: true },
+    const [folders, visibleFolders, page, tags, pendingUploads] =
+      await Promise.all([
+        prisma.folder.findMany({
+          where: { shop: session.shop, deletedAt: null },
+          select: { id: true, name: true, parentId: true, createdAt: true },
+          orderBy: { createdAt: "desc" },
+        }),
+        searchFolders(session.shop, fileQuery),
+        searchFiles(session.shop, fileQuery, {
+          attachments: {
+            orderBy: { createdAt: "asc" },
+          },
+          versions: {
+            orderBy: { version: "desc" },
+          },
+          tags: {
+            include: { tag: true },
+            orderBy: { tag: { name: "asc" } },
           },
-        },
-        orderBy: { createdAt: "desc" },
-      }),
-      prisma.file.findMany({
-        where: {
-          shop: session.shop,
-          folderId: folderId === "root" ? null : folderId || null,
-        },
-        orderBy: { createdAt: "desc" },
-      }),
-    ]);
-
-    return { folders, files, currentFolderId: folderId };
+          metadata: {
+            orderBy: { key: "asc" },
+          },
+          stamp: true,
+        }),
+        listTags(session.shop),
+        listPendingUploads(session.shop),
+      ]);
+
+    const stampFailures = await findStampFailures(
+      session.shop,
+      page.files.filter((file) => file.stamp),
+    );
+
+    return {
+      folders,
+      visibleFolders,
+      ...page,
+      files: page.files.map((file) => ({
+        ...file,
+        stampFailure: file.stamp
+          ? STAMP_FAILURES[stampFailures.get(file.storageKey)] || null
+          : null,
+      })),
+      tags,
+      pendingUploads,
+      currentFolderId: fileQuery.folderId,
+    };
   } catch (error) {
     console.error("Error loading files:", error);
-    return { folders: [], files: [], error: error.message };
+    return {
+      folders: [],
+      visibleFolders: [],
+      files: [],
+      nextCursor: null,
+      previousCursor: null,
+      tags: [],
+      pendingUploads: [],
+      error: error.message,
+    };
   }
 };
 
 export const action = async ({ request }) => {
-  const { session } = await authenticate.admin(request);
-  await ensureUploadDir();
+  const { admin, session } = await authenticate.admin(request);
 
   const formData = await request.formData();
   const intent = formData.get("intent");
@@ -59,12 +128,14 @@ export const action = async ({ request }) => {
       return { error: "Folder name is required" };
     }
 
-    const folder = await prisma.folder.create({
-      data: {
-        name,
-        shop: session.shop,
-      },
+    const parentId = formData.get("parentId")?.toString() || null;
+    const { folder, error } = await createFolder(session.shop, {
+      name,
+      parentId,
     });
+    if (error) {
+      return { error };
+    }
 
     return { success: true, folder };
   }
@@ -75,129 +146,149 @@ export const action = async ({ request }) => {
       return { error: "No folder ID provided" };
     }
 
-    const folder = await prisma.folder.findFirst({
-      where: { id: folderId, shop: session.shop },
-      include: { files: true },
-    });
-
-    if (!folder) {
+    const trashed = await trashFolder(session.shop, folderId);
+    if (!trashed) {
       return { error: "Folder not found" };
     }
 
-    for (const file of folder.files) {
-      try {
-        await deleteFile(file.path);
-      } catch (error) {
-        console.error("Error deleting file:", error);
-      }
+    return { success: true };
+  }
+
+  if (intent === "rename-folder") {
+    const folderId = formData.get("folderId");
+    const name = formData.get("name")?.toString().trim();
+    if (!folderId) {
+      return { error: "No folder ID provided" };
+    }
+    if (!name) {
+      return { error: "Folder name is required" };
     }
 
-    await prisma.folder.delete({
-      where: { id: folderId },
-    });
+    const { error } = await renameFolder(session.shop, folderId, name);
+    if (error) {
+      return { error };
+    }
 
     return { success: true };
   }
 
-  if (intent === "upload") {
-    const file = formData.get("file");
-    if (!file || !(file instanceof File)) {
-      return { error: "No file provided" };
+  if (intent === "delete") {
+    const fileId = formData.get("fileId");
+    if (!fileId) {
+      return { error: "No file ID provided" };
     }
 
-    const folderId = formData.get("folderId")?.toString() || null;
+    const trashed = await trashFile(session.shop, fileId);
+    if (!trashed) {
+      return { error: "File not found" };
+    }
 
-    const buffer = Buffer.from(await file.arrayBuffer());
-    const { filename, filePath } = await saveFile(file, buffer);
+    return { success: true };
+  }
 
-    const fileRecord = await prisma.file.create({
-      data: {
-        filename,
-        originalName: file.name,
-        mimeType: file.type || "application/octet-stream",
-        size: file.size,
-        path: filePath,
-        shop: session.shop,
-        folderId: folderId || null,
-      },
-    });
+  if (intent === "bulk-delete") {
+    const itemIds = formData.get("itemIds");
+    if (!itemIds) {
+      return { error: "No items provided" };
+    }
+
+    const ids = JSON.parse(itemIds);
+    const fileIds = ids.filter((id) => id.startsWith("file-"));
+    const folderIds = ids.filter((id) => id.startsWith("folder-"));
+
+    for (const id of fileIds) {
+      await trashFile(session.shop, id.replace("file-", ""));
+    }
 
-    return { success: true, file: fileRecord };
+    for (const id of folderIds) {
+      await trashFolder(session.shop, id.replace("folder-", ""));
+    }
+
+    return { success: true };
   }
 
-  if (intent === "delete") {
+  if (intent === "update-file") {
     const fileId = formData.get("fileId");
+    const name = formData.get("name")?.toString().trim();
     if (!fileId) {
       return { error: "No file ID provided" };
     }
+    if (!name) {
+      return { error: "File name is required" };
+    }
+
+    const { names, error: tagError } = parseTagNames(
+      formData.get("tags")?.toString(),
+    );
+    if (tagError) {
+      return { error: tagError };
+    }
+    const { metadata, error: metadataError } = parseMetadata(
+      formData.get("metadata")?.toString(),
+    );
+    if (metadataError) {
+      return { error: metadataError };
+    }
 
     const fileRecord = await prisma.file.findFirst({
-      where: { id: fileId, shop: session.shop },
+      where: { id: fileId, shop: session.shop, deletedAt: null },
     });
 
     if (!fileRecord) {
       return { error: "File not found" };
     }
 
-    try {
-      await deleteFile(fileRecord.path);
-    } catch (error) {
-      console.error("Error deleting file:", error);
+    const duplicate = await prisma.file.findFirst({
+      where: {
+        shop: session.shop,
+        folderId: fileRecord.folderId,
+        originalName: name,
+        deletedAt: null,
+        id: { not: fileId },
+      },
+    });
+    if (duplicate) {
+      return { error: `A file named "${name}" already exists in this folder` };
     }
 
-    await prisma.file.delete({
+    await prisma.file.update({
       where: { id: fileId },
+      data: { originalName: name },
     });
+    await updateFileDetails(session.shop, fileId, { tags: names, metadata });
 
     return { success: true };
   }
 
-  if (intent === "bulk-delete") {
+  if (intent === "bulk-tag") {
     const itemIds = formData.get("itemIds");
     if (!itemIds) {
       return { error: "No items provided" };
     }
 
-    const ids = JSON.parse(itemIds);
-    const fileIds = ids.filter((id) => id.startsWith("file-"));
-    const folderIds = ids.filter((id) => id.startsWith("folder-"));
-
-    for (const id of fileIds) {
-      const fileId = id.replace("file-", "");
-      const fileRecord = await prisma.file.findFirst({
-        where: { id: fileId, shop: session.shop },
-      });
-
-      if (fileRecord) {
-        try {
-          await deleteFile(fileRecord.path);
-          await prisma.file.delete({ where: { id: fileId } });
-        } catch (error) {
-          console.error("Error deleting file:", error);
-        }
-      }
+    const { names, error } = parseTagNames(formData.get("tags")?.toString());
+    if (error) {
+      return { error };
     }
-
-    for (const id of folderIds) {
-      const folderId = id.replace("folder-", "");
-      const folder = await prisma.folder.findFirst({
-        where: { id: folderId, shop: session.shop },
-        include: { files: true },
-      });
-
-      if (folder) {
-        for (const file of folder.files) {
-          try {
-            await deleteFile(file.path);
-          } catch (error) {
-            console.error("Error deleting file:", error);
-          }
-        }
-        await prisma.folder.delete({ where: { id: folderId } });
-      }
+    if (names.length === 0) {
+      return { error: "Enter at least one tag" };
     }
 
-    return { success: true };
+    const ids = JSON.parse(itemIds);
+    const tagged = await tagItems(
+      session.shop,
+      {
+        fileIds: ids
+          .filter((id) => id.startsWith("file-"))
+          .map((id) => id.replace("file-", "")),
+        folderIds: ids
+          .filter((id) => id.startsWith("folder-"))
+          .map((id) => id.replace("folder-", "")),
+      },
+      names,
+    );
+
+    return { success: true, tagged };
   }
 
   if (intent === "move-file") {
@@ -209,13 +300,17 @@ export const action = async ({ request }) => {
     }
 
     const fileRecord = await prisma.file.findFirst({
-      where: { id: fileId, shop: session.shop },
+      where: { id: fileId, shop: session.shop, deletedAt: null },
     });
 
     if (!fileRecord) {
       return { error: "File not found" };
     }
 
+    if (folderId && !(await folderExists(session.shop, folderId))) {
+      return { error: "Destination folder not found" };
+    }
+
     await prisma.file.update({
       where: { id: fileId },
       data: { folderId },
@@ -225,21 +320,161 @@ export const action = async ({ request }) => {
   }
 
   if (intent === "bulk-move") {
-    const fileIds = formData.get("fileIds");
+    const itemIds = formData.get("itemIds");
     const folderId = formData.get("folderId")?.toString() || null;
 
+    if (!itemIds) {
+      return { error: "No items provided" };
+    }
+
+    const ids = JSON.parse(itemIds);
+    const fileIds = ids
+      .filter((id) => id.startsWith("file-"))
+      .map((id) => id.replace("file-", ""));
+    const folderIds = ids
+      .filter((id) => id.startsWith("folder-"))
+      .map((id) => id.replace("folder-", ""));
+
+    if (folderIds.length > 0) {
+      const { error } = await moveFolders(session.shop, folderIds, folderId);
+      if (error) {
+        return { error };
+      }
+    } else if (folderId && !(await folderExists(session.shop, folderId))) {
+      return { error: "Destination folder not found" };
+    }
+
+    await prisma.file.updateMany({
+      where: { id: { in: fileIds }, shop: session.shop, deletedAt: null },
+      data: { folderId },
+    });
+
+    return { success: true };
+  }
+
+  if (intent === "attach-products") {
+    const fileIds = formData.get("fileIds");
+    const selection = formData.get("selection");
+
     if (!fileIds) {
       return { error: "No files provided" };
     }
+    if (!selection) {
+      return { error: "No products selected" };
+    }
 
-    const ids = JSON.parse(fileIds);
+    const ids = JSON.parse(fileIds).map((id) => id.replace("file-", ""));
+    const attached = await attachFilesToProducts(
+      admin,
+      session.shop,
+      ids,
+      JSON.parse(selection),
+    );
 
-    for (const id of ids) {
-      const fileId = id.replace("file-", "");
-      await prisma.file.update({
-        where: { id: fileId },
-        data: { folderId },
-      });
+    return { success: true, attached };
+  }
+
+  if (intent === "detach-product") {
+    const attachmentId = formData.get("attachmentId");
+    if (!attachmentId) {
+      return { error: "No attachment ID provided" };
+    }
+
+    const detached = await detachFileAttachment(session.shop, attachmentId);
+    if (!detached) {
+      return { error: "Attachment not found" };
+    }
+
+    return { success: true };
+  }
+
+  if (intent === "rollback-version") {
+    const fileId = formData.get("fileId");
+    const versionId = formData.get("versionId");
+    if (!fileId || !versionId) {
+      return { error: "No version provided" };
+    }
+
+    const { error } = await rollbackFile(session.shop, fileId, versionId);
+    if (error) {
+      return { error };
+    }
+
+    return { success: true };
+  }
+
+  if (intent === "rescan-file") {
+    const fileId = formData.get("fileId");
+    if (!fileId) {
+      return { error: "No file ID provided" };
+    }
+
+    const { error } = await rescanFile(session.shop, fileId);
+    if (error) {
+      return { error };
+    }
+
+    return { success: true };
+  }
+
+  if (intent === "update-delivery") {
+    const fileId = formData.get("fileId");
+    if (!fileId) {
+      return { error: "No file ID provided" };
+    }
+
+    const { count } = await prisma.file.updateMany({
+      where: { id: fileId, shop: session.shop, deletedAt: null },
+      data: { deliverLatest: formData.get("deliverLatest") === "true" },
+    });
+    if (count === 0) {
+      return { error: "File not found" };
+    }
+
+    return { success: true };
+  }
+
+  if (intent === "update-file-policy") {
+    const fileId = formData.get("fileId");
+    if (!fileId) {
+      return { error: "No file ID provided" };
+    }
+
+    const { data, error } = parsePolicyInput(formData);
+    if (error) {
+      return { error };
+    }
+
+    const planError = await checkPolicyAllowed(session.shop, data);
+    if (planError) {
+      return { error: planError };
+    }
+
+    const { count } = await prisma.file.updateMany({
+      where: { id: fileId, shop: session.shop, deletedAt: null },
+      data,
+    });
+    if (count === 0) {
+      return { error: "File not found" };
+    }
+
+    return { success: true };
+  }
+
+  if (intent === "update-stamp") {
+    const fileId = formData.get("fileId");
+    if (!fileId) {
+      return { error: "No file ID provided" };
+    }
+
+    const { data, error } = parseStampInput(formData);
+    if (error) {
+      return { error };
+    }
+
+    const result = await updateFileStamp(session.shop, fileId, data);
+    if (result.error) {
+      return { error: result.error };
     }
 
     return { success: true };
@@ -248,8 +483,135 @@ export const action = async ({ request }) => {
   return { error: "Invalid intent" };
 };
 
+const DEFAULT_STAMP_TEMPLATE =
+  "Licensed to {{name}} ({{email}}), order {{order}}";
+
+const CHUNK_SIZE = 8 * 1024 * 1024;
+
+// Identifies a local file across page reloads so interrupted uploads resume.
+const uploadKey = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+const postUploadRequest = async (params, body) => {
+  const response = await fetch(
+    `/files/uploads?${new URLSearchParams(params)}`,
+    { method: "POST", body },
+  );
+  return response.json();
+};
+
+// Inline players and viewers stream from the download route, which
+// supports range requests so media can seek.
+const renderPreview = (file) => {
+  const src = `/files/${file.id}/download?inline=1`;
+
+  if (!canDisplayInline(file.mimeType)) {
+    return (
+      <s-paragraph>
+        There is no preview for this type of file. Download it to open it.
+      </s-paragraph>
+    );
+  }
+  if (file.mimeType.startsWith("video/")) {
+    return (
+      <video
+        key={file.id}
+        src={src}
+        controls
+        preload="metadata"
+        style={{ width: "100%", maxHeight: "70vh" }}
+      >
+        <track kind="captions" />
+      </video>
+    );
+  }
+  if (file.mimeType.startsWith("audio/")) {
+    return (
+      <audio key={file.id} src={src} controls style={{ width: "100%" }}>
+        <track kind="captions" />
+      </audio>
+    );
+  }
+  if (file.mimeType === "application/pdf") {
+    return (
+      <iframe
+        key={file.id}
+        src={src}
+        title={file.originalName}
+        style={{ width: "100%", height: "70vh", border: "none" }}
+      />
+    );
+  }
+  return (
+    <img
+      src={src}
+      alt={file.originalName}
+      style={{ display: "block", maxWidth: "100%", margin: "0 auto" }}
+    />
+  );
+};
+
+const renderScanStatus = (file, onRescan) => {
+  if (file.scanStatus === "clean") {
+    return <s-badge tone="success">Clean</s-badge>;
+  }
+  if (file.scanStatus === "pending") {
+    return <s-badge tone="info">Scanning</s-badge>;
+  }
+  if (file.scanStatus === "unscanned") {
+    return <s-badge>Not scanned yet</s-badge>;
+  }
+
+  return (
+    <s-stack direction="block" gap="small-300">
+      <s-badge tone="critical">Quarantined</s-badge>
+      {file.scanResult && (
+        <s-text tone="subdued" size="small">
+          {file.scanResult}
+        </s-text>
+      )}
+      <s-link onClick={() => onRescan(file.id)}>Scan again</s-link>
+    </s-stack>
+  );
+};
+
+function FolderTreePicker({ folders, parentId, depth, disabledIds, onSelect }) {
+  return childFolders(folders, parentId)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((folder) => (
+      <s-stack key={folder.id} direction="block" gap="tight">
+        <s-button
+          variant="secondary"
+          disabled={disabledIds.has(folder.id)}
+          onClick={() => onSelect(folder.id)}
+          style={{
+            width: "100%",
+            justifyContent: "flex-start",
+            paddingInlineStart: `${depth * 16}px`,
+          }}
+        >
+          📁 {folder.name}
+        </s-button>
+        <FolderTreePicker
+          folders={folders}
+          parentId={folder.id}
+          depth={depth + 1}
+          disabledIds={disabledIds}
+          onSelect={onSelect}
+        />
+      </s-stack>
+    ));
+}
+
 export default function Files() {
-  const { folders, files } = useLoaderData();
+  const {
+    folders,
+    visibleFolders,
+    files,
+    nextCursor,
+    previousCursor,
+    tags,
+    pendingUploads,
+  } = useLoaderData();
   const fetcher = useFetcher();
   const revalidator = useRevalidator();
   const shopify = useAppBridge();
@@ -258,9 +620,18 @@ export default function Files() {
   const [searchParams, setSearchParams] = useSearchParams();
   const currentFolderId = searchParams.get("folderId");
 
-  const [uploading, setUploading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
-  const [uploadFileName, setUploadFileName] = useState("");
+  // Scans run in the background, so reload while any are pending.
+  const scanning = files.some((file) =>
+    ["pending", "unscanned"].includes(file.scanStatus),
+  );
+  useEffect(() => {
+    if (!scanning) return;
+    const timer = setInterval(() => revalidator.revalidate(), 10000);
+    return () => clearInterval(timer);
+  }, [scanning, revalidator]);
+
+  const [uploads, setUploads] = useState([]);
+  const cancelledUploads = useRef(new Set());
   const [viewMode, setViewMode] = useState("list");
   const [folderName, setFolderName] = useState("");
 
@@ -269,27 +640,88 @@ export default function Files() {
     [folders, currentFolderId],
   );
   const [selectedItems, setSelectedItems] = useState(new Set());
-  const [searchQuery, setSearchQuery] = useState("");
+  const searchQuery = searchParams.get("query") || "";
+  const [searchInput, setSearchInput] = useState(searchQuery);
   const [lastProcessedAction, setLastProcessedAction] = useState(null);
-  const [filterType, setFilterType] = useState("all");
-  const [sortBy, setSortBy] = useState("name");
-  const [sortOrder, setSortOrder] = useState("asc");
+  const filterType = searchParams.get("type") || "all";
+  const sortBy = searchParams.get("sort") || "name";
+  const sortOrder = searchParams.get("order") || "asc";
+  const hasFilters = [
+    "query",
+    "tag",
+    "type",
+    "from",
+    "to",
+    "minSize",
+    "maxSize",
+  ].some((key) => searchParams.get(key));
   const [isDragging, setIsDragging] = useState(false);
   const [itemsToMove, setItemsToMove] = useState([]);
   const [showSearch, setShowSearch] = useState(false);
   const [showFilter, setShowFilter] = useState(false);
   const [showSortMenu, setShowSortMenu] = useState(false);
+  const [limitsFile, setLimitsFile] = useState(null);
+  const [limitDownloads, setLimitDownloads] = useState("");
+  const [limitExpiryDays, setLimitExpiryDays] = useState("");
+  const [stampFile, setStampFile] = useState(null);
+  const [stampPosition, setStampPosition] = useState("off");
+  const [stampTemplate, setStampTemplate] = useState("");
+  const [stampOpacity, setStampOpacity] = useState("");
+  const [editItem, setEditItem] = useState(null);
+  const [versionsFileId, setVersionsFileId] = useState(null);
+  const [previewFile, setPreviewFile] = useState(null);
+  const [brokenPreviews, setBrokenPreviews] = useState(new Set());
+  const [editName, setEditName] = useState("");
+  const [editTags, setEditTags] = useState("");
+  const [editMetadata, setEditMetadata] = useState([]);
+  const [bulkTags, setBulkTags] = useState("");
+
+  // Search, filters and sorting live in the URL and are applied by the
+  // loader. Any change goes back to the first page.
+  const updateSearchParams = useCallback(
+    (changes) => {
+      setSearchParams((current) => {
+        const next = new URLSearchParams(current);
+        next.delete("after");
+        next.delete("before");
+        for (const [key, value] of Object.entries(changes)) {
+          if (value) {
+            next.set(key, value);
+          } else {
+            next.delete(key);
+          }
+        }
+        return next;
+      });
+    },
+    [setSearchParams],
+  );
+
+  useEffect(() => {
+    if (searchInput.trim() === searchQuery) return;
+    const timeout = setTimeout(
+      () => updateSearchParams({ query: searchInput.trim() }),
+      300,
+    );
+    return () => clearTimeout(timeout);
+  }, [searchInput, searchQuery, updateSearchParams]);
+
+  const openFolder = (folderId) => {
+    setSearchInput("");
+    setSearchParams(folderId ? { folderId } : {});
+    setSelectedItems(new Set());
+  };
 
   // Build breadcrumbs
   const breadcrumbs = useMemo(() => {
     const crumbs = [{ id: "root", name: "All Files" }];
-    // If we support nested folders in the future, we would recursively find parents here.
-    // For now, it's just Root -> Current Folder.
     if (selectedFolder) {
-      crumbs.push({ id: selectedFolder.id, name: selectedFolder.name });
+      for (const folder of folderPath(folders, selectedFolder.id)) {
+        crumbs.push({ id: folder.id, name: folder.name });
+      }
     }
     return crumbs;
-  }, [selectedFolder]);
+  }, [folders, selectedFolder]);
 
   // Handle fetcher responses
   useEffect(() => {
@@ -308,33 +740,27 @@ export default function Files() {
         setFolderName("");
         setLastProcessedAction(actionKey);
         setTimeout(() => revalidator.revalidate(), 100);
-      } else if (fetcher.data?.file) {
-        shopify.toast.show("File uploaded successfully", { duration: 3000 });
-        setUploading(false);
-        setUploadProgress(0);
-        setUploadFileName("");
-        setLastProcessedAction(actionKey);
-        setTimeout(() => revalidator.revalidate(), 100);
       } else if (intent === "delete") {
-        shopify.toast.show("File deleted successfully", { duration: 3000 });
+        shopify.toast.show("File moved to trash", { duration: 3000 });
         setSelectedItems(new Set());
         setLastProcessedAction(actionKey);
         setTimeout(() => revalidator.revalidate(), 100);
       } else if (intent === "bulk-delete") {
-        shopify.toast.show("Items deleted successfully", { duration: 3000 });
+        shopify.toast.show("Items moved to trash", { duration: 3000 });
         setSelectedItems(new Set());
         setLastProcessedAction(actionKey);
         setTimeout(() => revalidator.revalidate(), 100);
       } else if (intent === "delete-folder") {
-        shopify.toast.show("Folder deleted successfully", { duration: 3000 });
-        if (currentFolderId === fetcher.formData.get("folderId")) {
+        shopify.toast.show("Folder moved to trash", { duration: 3000 });
+        const deletedId = fetcher.formData.get("folderId");
+        if (breadcrumbs.some((segment) => segment.id === deletedId)) {
           setSearchParams({});
         }
         setSelectedItems(new Set());
         setLastProcessedAction(actionKey);
         setTimeout(() => revalidator.revalidate(), 100);
       } else if (intent === "move-file" || intent === "bulk-move") {
-        shopify.toast.show("Files moved successfully", { duration: 3000 });
+        shopify.toast.show("Items moved successfully", { duration: 3000 });
         const modal = document.getElementById("move-modal");
         if (modal && typeof modal.hide === "function") {
           modal.hide();
@@ -343,19 +769,70 @@ export default function Files() {
         setSelectedItems(new Set());
         setLastProcessedAction(actionKey);
         setTimeout(() => revalidator.revalidate(), 100);
+      } else if (intent === "attach-products") {
+        shopify.toast.show(
+          fetcher.data.attached > 0
+            ? "Files attached to products"
+            : "Files were already attached to these products",
+          { duration: 3000 },
+        );
+        setSelectedItems(new Set());
+        setLastProcessedAction(actionKey);
+        setTimeout(() => revalidator.revalidate(), 100);
+      } else if (intent === "detach-product") {
+        shopify.toast.show("Product detached", { duration: 3000 });
+        setLastProcessedAction(actionKey);
+        setTimeout(() => revalidator.revalidate(), 100);
+      } else if (intent === "update-file" || intent === "rename-folder") {
+        shopify.toast.show("Changes saved", { duration: 3000 });
+        document.getElementById("edit-modal")?.hideOverlay();
+        setEditItem(null);
+        setLastProcessedAction(actionKey);
+        setTimeout(() => revalidator.revalidate(), 100);
+      } else if (intent === "bulk-tag") {
+        shopify.toast.show(`Tagged ${fetcher.data.tagged} file(s)`, {
+          duration: 3000,
+        });
+        document.getElementById("tag-modal")?.hideOverlay();
+        setBulkTags("");
+        setSelectedItems(new Set());
+        setLastProcessedAction(actionKey);
+        setTimeout(() => revalidator.revalidate(), 100);
+      } else if (intent === "rollback-version") {
+        shopify.toast.show("Version restored", { duration: 3000 });
+        setLastProcessedAction(actionKey);
+        setTimeout(() => revalidator.revalidate(), 100);
+      } else if (intent === "rescan-file") {
+        shopify.toast.show("Scan started", { duration: 3000 });
+        setLastProcessedAction(actionKey);
+        setTimeout(() => revalidator.revalidate(), 100);
+      } else if (intent === "update-delivery") {
+        shopify.toast.show("Delivery setting saved", { duration: 3000 });
+        setLastProcessedAction(actionKey);
+        setTimeout(() => revalidator.revalidate(), 100);
+      } else if (intent === "update-file-policy") {
+        shopify.toast.show("Download limits saved", { duration: 3000 });
+        document.getElementById("limits-modal")?.hideOverlay();
+        setLimitsFile(null);
+        setLastProcessedAction(actionKey);
+        setTimeout(() => revalidator.revalidate(), 100);
+      } else if (intent === "update-stamp") {
+        shopify.toast.show("Stamp settings saved", { duration: 3000 });
+        document.getElementById("stamp-modal")?.hideOverlay();
+        setStampFile(null);
+        setLastProcessedAction(actionKey);
+        setTimeout(() => revalidator.revalidate(), 100);
       }
     }
     if (fetcher.data?.error) {
       shopify.toast.show(fetcher.data.error, { isError: true, duration: 3000 });
-      setUploading(false);
-      setUploadProgress(0);
-      setUploadFileName("");
       setLastProcessedAction(actionKey);
     }
   }, [
     fetcher.data,
     shopify,
     selectedFolder,
+    breadcrumbs,
     revalidator,
     lastProcessedAction,
     setSearchParams,
@@ -368,6 +845,134 @@ export default function Files() {
     }
   }, [fetcher.state, fetcher.data, revalidator]);
 
+  // Chunked upload handlers
+  const updateUpload = useCallback((key, changes) => {
+    setUploads((current) =>
+      current.map((upload) =>
+        upload.key === key ? { ...upload, ...changes } : upload,
+      ),
+    );
+  }, []);
+
+  const uploadFile = useCallback(
+    async (file, folderId, fileId) => {
+      const key = uploadKey(file);
+      const init = await postUploadRequest({
+        intent: "init",
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        folderId: folderId || "",
+        fingerprint: key,
+        fileId: fileId || "",
+      });
+      if (init.error) throw new Error(init.error);
+
+      const { uploadId } = init;
+      let offset = init.offset;
+      updateUpload(key, { uploaded: offset });
+
+      while (offset < file.size) {
+        if (cancelledUploads.current.has(key)) {
+          await postUploadRequest({ intent: "abort", uploadId });
+          return false;
+        }
+
+        const part = await postUploadRequest(
+          { intent: "part", uploadId, offset },
+          file.slice(offset, offset + CHUNK_SIZE),
+        );
+        // On an offset mismatch the server reports where to continue from.
+        if (part.error && part.error !== "Offset mismatch") {
+          throw new Error(part.error);
+        }
+        offset = part.offset;
+        updateUpload(key, { uploaded: offset });
+      }
+
+      const complete = await postUploadRequest({
+        intent: "complete",
+        uploadId,
+      });
+      if (complete.error) throw new Error(complete.error);
+
+      return true;
+    },
+    [updateUpload],
+  );
+
+  const uploadFiles = useCallback(
+    async (fileList, folderId, fileId) => {
+      if (fileList.length === 0) return;
+
+      setUploads((current) => [
+        ...current.filter(
+          (upload) => !fileList.some((file) => uploadKey(file) === upload.key),
+        ),
+        ...fileList.map((file) => ({
+          key: uploadKey(file),
+          name: file.name,
+          size: file.size,
+          uploaded: 0,
+          status: "queued",
+        })),
+      ]);
+
+      for (const file of fileList) {
+        cancelledUploads.current.delete(uploadKey(file));
+      }
+
+      let completed = 0;
+      for (const file of fileList) {
+        const key = uploadKey(file);
+        // Files cancelled while waiting in the queue are never started.
+        if (cancelledUploads.current.has(key)) {
+          cancelledUploads.current.delete(key);
+          updateUpload(key, { status: "cancelled" });
+          continue;
+        }
+        updateUpload(key, { status: "uploading" });
+
+        try {
+          const finished = await uploadFile(file, folderId, fileId);
+          updateUpload(key, { status: finished ? "done" : "cancelled" });
+          if (finished) completed++;
+        } catch (error) {
+          updateUpload(key, { status: "error", error: error.message });
+          shopify.toast.show(`${file.name}: ${error.message}`, {
+            isError: true,
+            duration: 5000,
+          });
+        } finally {
+          cancelledUploads.current.delete(key);
+        }
+      }
+
+      if (completed > 0) {
+        shopify.toast.show(
+          completed === 1
+            ? "File uploaded successfully"
+            : `${completed} files uploaded successfully`,
+          { duration: 3000 },
+        );
+      }
+      revalidator.revalidate();
+    },
+    [uploadFile, updateUpload, shopify, revalidator],
+  );
+
+  const handleDiscardUpload = async (uploadId) => {
+    const result = await postUploadRequest({ intent: "abort", uploadId });
+    if (result.error) {
+      shopify.toast.show(result.error, { isError: true, duration: 3000 });
+    }
+    revalidator.revalidate();
+  };
+
+  const uploading = uploads.some(
+    (upload) => upload.status === "uploading" || upload.status === "queued",
+  );
+
   // Drag and drop handlers
   const handleDragEnter = useCallback((e) => {
     e.preventDefault();
@@ -394,56 +999,23 @@ export default function Files() {
       e.stopPropagation();
       setIsDragging(false);
 
-      const droppedFiles = Array.from(e.dataTransfer.files);
-      if (droppedFiles.length === 0) return;
-
-      setUploading(true);
-
-      for (const file of droppedFiles) {
-        const formData = new FormData();
-        formData.append("file", file);
-        formData.append("intent", "upload");
-        if (selectedFolder) {
-          formData.append("folderId", selectedFolder.id);
-        }
-
-        fetcher.submit(formData, {
-          method: "POST",
-          encType: "multipart/form-data",
-        });
-      }
+      uploadFiles(Array.from(e.dataTransfer.files), selectedFolder?.id);
     },
-    [selectedFolder, fetcher],
+    [selectedFolder, uploadFiles],
   );
 
   // File upload handler
   const handleFileUpload = async (event, folderId = null) => {
     const fileInput = event.target;
     const uploadedFiles = Array.from(fileInput.files || []);
-    if (uploadedFiles.length === 0) return;
-
-    setUploading(true);
-
-    for (const file of uploadedFiles) {
-      const formData = new FormData();
-      formData.append("file", file);
-      formData.append("intent", "upload");
-      if (folderId) {
-        formData.append("folderId", folderId);
-      }
-
-      fetcher.submit(formData, {
-        method: "POST",
-        encType: "multipart/form-data",
-      });
-    }
-
     fileInput.value = "";
+
+    uploadFiles(uploadedFiles, folderId);
   };
 
   // Delete handlers
   const handleDelete = (fileId) => {
-    if (!confirm("Are you sure you want to delete this file?")) return;
+    if (!confirm("Move this file to the trash?")) return;
 
     const formData = new FormData();
     formData.append("intent", "delete");
@@ -453,10 +1025,7 @@ export default function Files() {
   };
 
   const handleDeleteFolder = (folderId) => {
-    if (
-      !confirm("Are you sure you want to delete this folder and all its files?")
-    )
-      return;
+    if (!confirm("Move this folder and everything in it to the trash?")) return;
 
     const formData = new FormData();
     formData.append("intent", "delete-folder");
@@ -465,12 +1034,20 @@ export default function Files() {
     fetcher.submit(formData, { method: "POST" });
   };
 
+  const handleBulkTag = () => {
+    if (selectedItems.size === 0 || !bulkTags.trim()) return;
+
+    const formData = new FormData();
+    formData.append("intent", "bulk-tag");
+    formData.append("itemIds", JSON.stringify(Array.from(selectedItems)));
+    formData.append("tags", bulkTags);
+
+    fetcher.submit(formData, { method: "POST" });
+  };
+
   const handleBulkDelete = () => {
     if (selectedItems.size === 0) return;
-    if (
-      !confirm(`Are you sure you want to delete ${selectedItems.size} item(s)?`)
-    )
-      return;
+    if (!confirm(`Move ${selectedItems.size} item(s) to the trash?`)) return;
 
     const formData = new FormData();
     formData.append("intent", "bulk-delete");
@@ -489,10 +1066,18 @@ export default function Files() {
     const formData = new FormData();
     formData.append("intent", "create-folder");
     formData.append("name", folderName.trim());
+    if (selectedFolder) {
+      formData.append("parentId", selectedFolder.id);
+    }
 
     fetcher.submit(formData, { method: "POST" });
   };
 
+  // A preview that failed to load falls back to the file type icon.
+  const markPreviewBroken = (fileId) => {
+    setBrokenPreviews((current) => new Set(current).add(fileId));
+  };
+
   // Download handler
   const handleDownload = (file) => {
     window.location.href = `/files/${file.id}/download`;
@@ -504,18 +1089,28 @@ export default function Files() {
   };
 
   const handleBulkMove = () => {
-    const fileItems = Array.from(selectedItems).filter((id) =>
-      id.startsWith("file-"),
-    );
-    if (fileItems.length === 0) {
-      shopify.toast.show("Please select files to move", { isError: true });
+    if (selectedItems.size === 0) {
+      shopify.toast.show("Please select items to move", { isError: true });
       return;
     }
-    setItemsToMove(fileItems);
+    setItemsToMove(Array.from(selectedItems));
   };
 
+  // Folders being moved, and everything inside them, are not valid targets.
+  const blockedMoveTargets = useMemo(
+    () =>
+      new Set(
+        itemsToMove
+          .filter((id) => id.startsWith("folder-"))
+          .flatMap((id) =>
+            collectFolderIds(folders, id.replace("folder-", "")),
+          ),
+      ),
+    [folders, itemsToMove],
+  );
+
   const handleMoveToFolder = (targetFolderId) => {
-    if (itemsToMove.length === 1) {
+    if (itemsToMove.length === 1 && itemsToMove[0].startsWith("file-")) {
       const fileId = itemsToMove[0].replace("file-", "");
       const formData = new FormData();
       formData.append("intent", "move-file");
@@ -527,7 +1122,7 @@ export default function Files() {
     } else {
       const formData = new FormData();
       formData.append("intent", "bulk-move");
-      formData.append("fileIds", JSON.stringify(itemsToMove));
+      formData.append("itemIds", JSON.stringify(itemsToMove));
       if (targetFolderId) {
         formData.append("folderId", targetFolderId);
       }
@@ -535,6 +1130,177 @@ export default function Files() {
     }
   };
 
+  // Product attachment handlers
+  const handleAttachProducts = async (fileItems) => {
+    if (fileItems.length === 0) {
+      shopify.toast.show("Please select files to attach", { isError: true });
+      return;
+    }
+
+    const selection = await shopify.resourcePicker({
+      type: "product",
+      action: "select",
+      multiple: true,
+      filter: { variants: true },
+    });
+    if (!selection || selection.length === 0) return;
+
+    const formData = new FormData();
+    formData.append("intent", "attach-products");
+    formData.append("fileIds", JSON.stringify(fileItems));
+    formData.append(
+      "selection",
+      JSON.stringify(
+        selection.map((product) => ({
+          id: product.id,
+          variants: (product.variants || []).map((variant) => ({
+            id: variant.id,
+          })),
+        })),
+      ),
+    );
+
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  const handleDetachProduct = (attachmentId) => {
+    const formData = new FormData();
+    formData.append("intent", "detach-product");
+    formData.append("attachmentId", attachmentId);
+
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  // Version handlers
+  const versionsFile = files.find((file) => file.id === versionsFileId);
+
+  const handleVersionUpload = (event) => {
+    const fileInput = event.target;
+    const [file] = Array.from(fileInput.files || []);
+    fileInput.value = "";
+    if (!file || !versionsFile) return;
+
+    uploadFiles([file], versionsFile.folderId, versionsFile.id);
+  };
+
+  const handleRescan = (fileId) => {
+    const formData = new FormData();
+    formData.append("intent", "rescan-file");
+    formData.append("fileId", fileId);
+
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  const handleRollback = (version) => {
+    if (!confirm(`Make version ${version.version} the current version?`))
+      return;
+
+    const formData = new FormData();
+    formData.append("intent", "rollback-version");
+    formData.append("fileId", versionsFile.id);
+    formData.append("versionId", version.id);
+
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  const handleDeliveryChange = (deliverLatest) => {
+    const formData = new FormData();
+    formData.append("intent", "update-delivery");
+    formData.append("fileId", versionsFile.id);
+    formData.append("deliverLatest", String(deliverLatest));
+
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  // Download limit handlers
+  const handleEditLimits = (file) => {
+    setLimitsFile(file);
+    setLimitDownloads(file.downloadLimit?.toString() ?? "");
+    setLimitExpiryDays(file.downloadExpiryDays?.toString() ?? "");
+  };
+
+  const handleSaveLimits = () => {
+    const formData = new FormData();
+    formData.append("intent", "update-file-policy");
+    formData.append("fileId", limitsFile.id);
+    formData.append("downloadLimit", limitDownloads);
+    formData.append("downloadExpiryDays", limitExpiryDays);
+
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  // PDF stamp handlers
+  const handleEditStamp = (file) => {
+    setStampFile(file);
+    setStampPosition(file.stamp?.position ?? "off");
+    setStampTemplate(file.stamp?.template ?? DEFAULT_STAMP_TEMPLATE);
+    setStampOpacity(
+      file.stamp ? Math.round(file.stamp.opacity * 100).toString() : "50",
+    );
+  };
+
+  const handleSaveStamp = () => {
+    const formData = new FormData();
+    formData.append("intent", "update-stamp");
+    formData.append("fileId", stampFile.id);
+    formData.append("position", stampPosition);
+    formData.append("template", stampTemplate);
+    formData.append("opacity", stampOpacity);
+
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  // Edit panel handlers
+  const handleEditItem = (item) => {
+    setEditItem(item);
+    setEditName(item.name);
+    if (item.type === "file") {
+      setEditTags(item.data.tags.map(({ tag }) => tag.name).join(", "));
+      setEditMetadata(
+        item.data.metadata.map(({ key, value }) => ({ key, value })),
+      );
+    }
+  };
+
+  const updateEditMetadata = (index, changes) => {
+    setEditMetadata((current) =>
+      current.map((entry, i) =>
+        i === index ? { ...entry, ...changes } : entry,
+      ),
+    );
+  };
+
+  const handleSaveEdit = () => {
+    if (!editName.trim()) {
+      shopify.toast.show("Name is required", { isError: true });
+      return;
+    }
+
+    const formData = new FormData();
+    if (editItem.type === "folder") {
+      formData.append("intent", "rename-folder");
+      formData.append("folderId", editItem.data.id);
+    } else {
+      formData.append("intent", "update-file");
+      formData.append("fileId", editItem.data.id);
+      formData.append("tags", editTags);
+      formData.append("metadata", JSON.stringify(editMetadata));
+    }
+    formData.append("name", editName.trim());
+
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  const handleDeleteEditItem = () => {
+    document.getElementById("edit-modal")?.hideOverlay();
+    if (editItem.type === "folder") {
+      handleDeleteFolder(editItem.data.id);
+    } else {
+      handleDelete(editItem.data.id);
+    }
+    setEditItem(null);
+  };
+
   // Selection handlers
   const toggleSelection = (itemId) => {
     const newSelection = new Set(selectedItems);
@@ -558,22 +1324,6 @@ export default function Files() {
   };
 
   // Utility functions
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return "0 Bytes";
-    const k = 1024;
-    const sizes = ["Bytes", "KB", "MB", "GB"];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + " " + sizes[i];
-  };
-
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString("en-US", {
-      month: "short",
-      day: "numeric",
-      year: "numeric",
-    });
-  };
-
   const getFileIcon = (mimeType) => {
     if (mimeType.startsWith("image/")) return "🖼️";
     if (mimeType.startsWith("video/")) return "🎥";
@@ -588,24 +1338,6 @@ export default function Files() {
     return "📎";
   };
 
-  const getFileTypeCategory = (mimeType) => {
-    if (mimeType.startsWith("image/")) return "image";
-    if (mimeType.startsWith("video/")) return "video";
-    if (mimeType.startsWith("audio/")) return "audio";
-    if (mimeType.includes("pdf")) return "document";
-    if (
-      mimeType.includes("word") ||
-      mimeType.includes("document") ||
-      mimeType.includes("text")
-    )
-      return "document";
-    if (mimeType.includes("sheet") || mimeType.includes("excel"))
-      return "spreadsheet";
-    if (mimeType.includes("zip") || mimeType.includes("archive"))
-      return "archive";
-    return "other";
-  };
-
   const getFileTypeName = (mimeType) => {
     if (mimeType.startsWith("image/")) return "Image";
     if (mimeType.startsWith("video/")) return "Video";
@@ -636,67 +1368,8 @@ export default function Files() {
     return `${start}...${end}.${extension}`;
   };
 
-  // Filter and sort items
-  const displayItems = useMemo(() => {
-    let items = files;
-
-    if (searchQuery) {
-      items = items.filter((file) =>
-        file.originalName.toLowerCase().includes(searchQuery.toLowerCase()),
-      );
-    }
-
-    if (filterType !== "all") {
-      items = items.filter(
-        (file) => getFileTypeCategory(file.mimeType) === filterType,
-      );
-    }
-
-    items = [...items].sort((a, b) => {
-      let comparison = 0;
-
-      switch (sortBy) {
-        case "name":
-          comparison = a.originalName.localeCompare(b.originalName);
-          break;
-        case "date":
-          comparison =
-            new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
-          break;
-        case "size":
-          comparison = a.size - b.size;
-          break;
-        case "type":
-          comparison = a.mimeType.localeCompare(b.mimeType);
-          break;
-        default:
-          comparison = 0;
-      }
-
-      return sortOrder === "asc" ? comparison : -comparison;
-    });
-
-    return items;
-  }, [selectedFolder, files, searchQuery, filterType, sortBy, sortOrder]);
-
-  const displayFolders = useMemo(() => {
-    if (selectedFolder) return [];
-
-    let folderList = [...folders];
-
-    if (searchQuery) {
-      folderList = folderList.filter((folder) =>
-        folder.name.toLowerCase().includes(searchQuery.toLowerCase()),
-      );
-    }
-
-    folderList.sort((a, b) => {
-      const comparison = a.name.localeCompare(b.name);
-      return sortOrder === "asc" ? comparison : -comparison;
-    });
-
-    return folderList;
-  }, [selectedFolder, folders, searchQuery, sortOrder]);
+  const displayItems = files;
+  const displayFolders = visibleFolders;
 
   // Combine folders and files for table view
   const allItems = useMemo(() => {
@@ -709,7 +1382,7 @@ export default function Files() {
         type: "folder",
         name: folder.name,
         fileType: "Folder",
-        size: `${folder.files.length} items`,
+        size: `${folder._count.files + folder._count.children} items`,
         date: formatDate(folder.createdAt),
         data: folder,
       });
@@ -731,6 +1404,16 @@ export default function Files() {
     return items;
   }, [displayFolders, displayItems]);
 
+  // Search results come from every folder, so show where each one lives.
+  const itemLocation = (item) => {
+    const parentId =
+      item.type === "folder" ? item.data.parentId : item.data.folderId;
+    if (!parentId) return "All Files";
+    return folderPath(folders, parentId)
+      .map((folder) => folder.name)
+      .join(" / ");
+  };
+
   // Keyboard shortcuts and click outside handler
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -761,9 +1444,6 @@ export default function Files() {
     };
   }, [selectedItems, showSortMenu]);
 
-  const totalFiles =
-    files.length + folders.reduce((acc, f) => acc + f.files.length, 0);
-
   return (
     <div
       onDragEnter={handleDragEnter}
@@ -776,6 +1456,9 @@ export default function Files() {
         <s-button slot="secondary-actions" commandFor="modal">
           New Folder
         </s-button>
+        <s-button slot="secondary-actions" href="/files/trash">
+          Trash
+        </s-button>
         <s-button
           slot="primary-action"
           variant="primary"
@@ -877,7 +1560,7 @@ export default function Files() {
                         <div
                           key={sortType}
                           onClick={() => {
-                            setSortBy(sortType);
+                            updateSearchParams({ sort: sortType });
                           }}
                           style={{
                             padding: "10px 12px",
@@ -949,7 +1632,7 @@ export default function Files() {
                         }}
                       >
                         <div
-                          onClick={() => setSortOrder("asc")}
+                          onClick={() => updateSearchParams({ order: "asc" })}
                           style={{
                             padding: "10px 12px",
                             cursor: "pointer",
@@ -974,7 +1657,7 @@ export default function Files() {
                           ↑ Lowest to highest
                         </div>
                         <div
-                          onClick={() => setSortOrder("desc")}
+                          onClick={() => updateSearchParams({ order: "desc" })}
                           style={{
                             padding: "10px 12px",
                             cursor: "pointer",
@@ -1007,9 +1690,9 @@ export default function Files() {
               {/* Expandable Search Bar */}
               {showSearch && (
                 <s-text-field
-                  placeholder="Search files and folders..."
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
+                  placeholder="Search files and folders in every folder..."
+                  value={searchInput}
+                  onInput={(e) => setSearchInput(e.target.value)}
                   style={{ width: "100%" }}
                   autoFocus
                 />
@@ -1017,28 +1700,134 @@ export default function Files() {
 
               {/* Expandable Filter Options */}
               {showFilter && (
-                <s-stack direction="inline" gap="tight" align="center">
-                  <s-text size="small" fontWeight="medium">
-                    Type:
-                  </s-text>
-                  <s-select
-                    value={filterType}
-                    onChange={(e) => setFilterType(e.target.value)}
-                    style={{ minWidth: "150px" }}
-                  >
-                    <option value="all">All Types</option>
-                    <option value="image">Images</option>
-                    <option value="video">Videos</option>
-                    <option value="audio">Audio</option>
-                    <option value="document">Documents</option>
-                    <option value="archive">Archives</option>
-                  </s-select>
+                <s-stack direction="block" gap="base">
+                  <s-stack direction="inline" gap="tight" align="center">
+                    <s-text size="small" fontWeight="medium">
+                      Type:
+                    </s-text>
+                    <s-select
+                      value={filterType}
+                      onChange={(e) =>
+                        updateSearchParams({
+                          type: e.target.value === "all" ? "" : e.target.value,
+                        })
+                      }
+                      style={{ minWidth: "150px" }}
+                    >
+                      <option value="all">All Types</option>
+                      <option value="image">Images</option>
+                      <option value="video">Videos</option>
+                      <option value="audio">Audio</option>
+                      <option value="document">Documents</option>
+                      <option value="spreadsheet">Spreadsheets</option>
+                      <option value="archive">Archives</option>
+                      <option value="other">Other</option>
+                    </s-select>
+                    {tags.length > 0 && (
+                      <>
+                        <s-text size="small" fontWeight="medium">
+                          Tag:
+                        </s-text>
+                        <s-select
+                          value={searchParams.get("tag") || ""}
+                          onChange={(e) =>
+                            updateSearchParams({ tag: e.target.value })
+                          }
+                          style={{ minWidth: "150px" }}
+                        >
+                          <option value="">All Tags</option>
+                          {tags.map((tag) => (
+                            <option key={tag.id} value={tag.id}>
+                              {tag.name}
+                            </option>
+                          ))}
+                        </s-select>
+                      </>
+                    )}
+                  </s-stack>
+                  <s-grid gridTemplateColumns="repeat(4, 1fr)" gap="base">
+                    <s-date-field
+                      label="Uploaded from"
+                      value={searchParams.get("from") || ""}
+                      onChange={(e) =>
+                        updateSearchParams({ from: e.target.value })
+                      }
+                    />
+                    <s-date-field
+                      label="Uploaded until"
+                      value={searchParams.get("to") || ""}
+                      onChange={(e) =>
+                        updateSearchParams({ to: e.target.value })
+                      }
+                    />
+                    <s-number-field
+                      label="Minimum size (MB)"
+                      min={0}
+                      value={searchParams.get("minSize") || ""}
+                      onChange={(e) =>
+                        updateSearchParams({ minSize: e.target.value })
+                      }
+                    />
+                    <s-number-field
+                      label="Maximum size (MB)"
+                      min={0}
+                      value={searchParams.get("maxSize") || ""}
+                      onChange={(e) =>
+                        updateSearchParams({ maxSize: e.target.value })
+                      }
+                    />
+                  </s-grid>
                 </s-stack>
               )}
             </s-stack>
           </s-box>
         </s-section>
 
+        {/* Interrupted Uploads */}
+        {!uploading && pendingUploads.length > 0 && (
+          <s-section>
+            <s-banner heading="Incomplete uploads" tone="warning">
+              <s-stack direction="block" gap="tight">
+                <s-text>
+                  Select the same file again to continue where it stopped.
+                </s-text>
+                {pendingUploads.map((pending) => (
+                  <s-stack
+                    key={pending.id}
+                    direction="inline"
+                    gap="base"
+                    align="space-between"
+                  >
+                    <s-text size="small">
+                      {pending.originalName} ·{" "}
+                      {formatFileSize(pending.received)} of{" "}
+                      {formatFileSize(pending.size)}
+                    </s-text>
+                    <s-stack direction="inline" gap="tight">
+                      <s-button
+                        variant="secondary"
+                        size="small"
+                        onClick={() =>
+                          document.getElementById("file-upload")?.click()
+                        }
+                      >
+                        Resume
+                      </s-button>
+                      <s-button
+                        variant="tertiary"
+                        size="small"
+                        onClick={() => handleDiscardUpload(pending.id)}
+                      >
+                        Discard
+                      </s-button>
+                    </s-stack>
+                  </s-stack>
+                ))}
+              </s-stack>
+            </s-banner>
+          </s-section>
+        )}
+
         {/* Bulk Actions Bar */}
         {selectedItems.size > 0 && (
           <s-section>
@@ -1056,7 +1845,11 @@ export default function Files() {
                   <s-button
                     variant="secondary"
                     onClick={() =>
-                      shopify.toast.show("Coming soon: Attach to Products")
+                      handleAttachProducts(
+                        Array.from(selectedItems).filter((id) =>
+                          id.startsWith("file-"),
+                        ),
+                      )
                     }
                     size="small"
                   >
@@ -1064,6 +1857,13 @@ export default function Files() {
                   </s-button>
                 </s-stack>
                 <s-stack direction="inline" gap="tight">
+                  <s-button
+                    variant="secondary"
+                    commandFor="tag-modal"
+                    size="small"
+                  >
+                    Tag
+                  </s-button>
                   <s-button
                     variant="secondary"
                     onClick={handleBulkMove}
@@ -1120,12 +1920,9 @@ export default function Files() {
                             href="#"
                             onClick={(event) => {
                               event.preventDefault();
-                              if (segment.id === "root") {
-                                setSearchParams({});
-                              } else {
-                                setSearchParams({ folderId: segment.id });
-                              }
-                              clearSelection();
+                              openFolder(
+                                segment.id === "root" ? null : segment.id,
+                              );
                             }}
                           >
                             {segment.name}
@@ -1172,14 +1969,14 @@ export default function Files() {
               <s-stack direction="block" gap="base" align="center">
                 <s-text style={{ fontSize: "64px" }}>📁</s-text>
                 <s-heading size="large">
-                  {searchQuery ? "No results found" : "No files or folders yet"}
+                  {hasFilters ? "No results found" : "No files or folders yet"}
                 </s-heading>
                 <s-text tone="subdued" style={{ textAlign: "center" }}>
-                  {searchQuery
-                    ? "Try adjusting your search"
+                  {hasFilters
+                    ? "Try adjusting your search or filters"
                     : "Create folders or upload files to get started"}
                 </s-text>
-                {!searchQuery && (
+                {!hasFilters && (
                   <s-stack direction="inline" gap="base">
                     <s-button variant="secondary" commandFor="modal">
                       Create Folder
@@ -1238,6 +2035,9 @@ export default function Files() {
                     <th style={{ textAlign: "left", padding: "12px" }}>File</th>
                     <th style={{ textAlign: "left", padding: "12px" }}>Type</th>
                     <th style={{ textAlign: "left", padding: "12px" }}>Size</th>
+                    <th style={{ textAlign: "left", padding: "12px" }}>
+                      Status
+                    </th>
                     <th style={{ textAlign: "left", padding: "12px" }}>
                       Usage
                     </th>
@@ -1256,8 +2056,7 @@ export default function Files() {
                       }}
                       onClick={() => {
                         if (item.type === "folder") {
-                          setSearchParams({ folderId: item.data.id });
-                          clearSelection();
+                          openFolder(item.data.id);
                         }
                       }}
                     >
@@ -1281,14 +2080,29 @@ export default function Files() {
                               ? "📁"
                               : getFileIcon(item.data.mimeType)}
                           </s-text>
-                          <s-text
-                            style={{
-                              fontWeight:
-                                item.type === "folder" ? "500" : "400",
-                            }}
-                          >
-                            {item.name}
-                          </s-text>
+                          <s-stack direction="block" gap="none">
+                            <s-text
+                              style={{
+                                fontWeight:
+                                  item.type === "folder" ? "500" : "400",
+                              }}
+                            >
+                              {item.name}
+                            </s-text>
+                            {searchQuery && (
+                              <s-text tone="subdued" size="small">
+                                {itemLocation(item)}
+                              </s-text>
+                            )}
+                            {item.type === "file" &&
+                              item.data.tags.length > 0 && (
+                                <s-stack direction="inline" gap="small-300">
+                                  {item.data.tags.map(({ tag }) => (
+                                    <s-badge key={tag.id}>{tag.name}</s-badge>
+                                  ))}
+                                </s-stack>
+                              )}
+                          </s-stack>
                         </s-stack>
                       </td>
                       <td style={{ padding: "12px" }}>
@@ -1301,26 +2115,139 @@ export default function Files() {
                           {item.size}
                         </s-text>
                       </td>
-                      <td style={{ padding: "12px" }}>
-                        <s-text tone="subdued" size="small">
-                          Not used yet
-                        </s-text>
+                      <td
+                        style={{ padding: "12px" }}
+                        onClick={(e) => e.stopPropagation()}
+                      >
+                        {item.type === "folder" ? (
+                          <s-text tone="subdued" size="small">
+                            —
+                          </s-text>
+                        ) : (
+                          renderScanStatus(item.data, handleRescan)
+                        )}
+                      </td>
+                      <td
+                        style={{ padding: "12px" }}
+                        onClick={(e) => e.stopPropagation()}
+                      >
+                        {item.type === "folder" ? (
+                          <s-text tone="subdued" size="small">
+                            —
+                          </s-text>
+                        ) : item.data.attachments.length === 0 ? (
+                          <s-text tone="subdued" size="small">
+                            Not used yet
+                          </s-text>
+                        ) : (
+                          <s-stack direction="block" gap="small">
+                            {item.data.attachments.map((attachment) => (
+                              <s-stack
+                                key={attachment.id}
+                                direction="inline"
+                                gap="small"
+                                align="center"
+                              >
+                                <s-text size="small">
+                                  {attachment.variantTitle
+                                    ? `${attachment.productTitle} – ${attachment.variantTitle}`
+                                    : attachment.productTitle}
+                                </s-text>
+                                <s-button
+                                  variant="tertiary"
+                                  size="small"
+                                  accessibilityLabel={`Detach ${attachment.productTitle}`}
+                                  onClick={() =>
+                                    handleDetachProduct(attachment.id)
+                                  }
+                                >
+                                  ×
+                                </s-button>
+                              </s-stack>
+                            ))}
+                          </s-stack>
+                        )}
                       </td>
                       <td
                         style={{ padding: "12px" }}
                         onClick={(e) => e.stopPropagation()}
                       >
+                        {item.type === "file" && (
+                          <s-link
+                            href="#"
+                            onClick={(e) => {
+                              e.preventDefault();
+                              e.stopPropagation();
+                              handleAttachProducts([item.id]);
+                            }}
+                            style={{
+                              textDecoration: "none",
+                              color: "#0066cc",
+                              marginRight: "12px",
+                            }}
+                          >
+                            Attach
+                          </s-link>
+                        )}
+                        {item.type === "file" && (
+                          <s-link
+                            commandFor="limits-modal"
+                            onClick={() => handleEditLimits(item.data)}
+                            style={{
+                              textDecoration: "none",
+                              color: "#0066cc",
+                              marginRight: "12px",
+                            }}
+                          >
+                            Limits
+                          </s-link>
+                        )}
+                        {item.type === "file" &&
+                          item.data.mimeType === "application/pdf" && (
+                            <s-link
+                              commandFor="stamp-modal"
+                              onClick={() => handleEditStamp(item.data)}
+                              style={{
+                                textDecoration: "none",
+                                color: "#0066cc",
+                                marginRight: "12px",
+                              }}
+                            >
+                              Stamp
+                            </s-link>
+                          )}
+                        {item.type === "file" && item.data.stampFailure && (
+                          <s-badge tone="warning">Cannot be stamped</s-badge>
+                        )}
+                        {item.type === "file" && (
+                          <s-link
+                            commandFor="preview-modal"
+                            onClick={() => setPreviewFile(item.data)}
+                            style={{
+                              textDecoration: "none",
+                              color: "#0066cc",
+                              marginRight: "12px",
+                            }}
+                          >
+                            Preview
+                          </s-link>
+                        )}
+                        {item.type === "file" && (
+                          <s-link
+                            commandFor="versions-modal"
+                            onClick={() => setVersionsFileId(item.data.id)}
+                            style={{
+                              textDecoration: "none",
+                              color: "#0066cc",
+                              marginRight: "12px",
+                            }}
+                          >
+                            Versions
+                          </s-link>
+                        )}
                         <s-link
-                          href="#"
-                          onClick={(e) => {
-                            e.preventDefault();
-                            e.stopPropagation();
-                            if (item.type === "file") {
-                              handleDownload(item.data);
-                            } else {
-                              handleDeleteFolder(item.data.id);
-                            }
-                          }}
+                          commandFor="edit-modal"
+                          onClick={() => handleEditItem(item)}
                           style={{
                             textDecoration: "none",
                             color: "#0066cc",
@@ -1369,7 +2296,7 @@ export default function Files() {
                     }}
                   />
                   <div
-                    onClick={() => setSearchParams({ folderId: folder.id })}
+                    onClick={() => openFolder(folder.id)}
                     style={{ cursor: "pointer" }}
                     title={folder.name}
                   >
@@ -1421,8 +2348,13 @@ export default function Files() {
                         zIndex: 1,
                       }}
                     />
-                    <div title={file.originalName}>
-                      {file.mimeType.startsWith("image/") ? (
+                    <s-clickable
+                      commandFor="preview-modal"
+                      onClick={() => setPreviewFile(file)}
+                      accessibilityLabel={`Preview ${file.originalName}`}
+                    >
+                      {previewKind(file.mimeType) &&
+                      !brokenPreviews.has(file.id) ? (
                         <div
                           style={{
                             position: "relative",
@@ -1430,12 +2362,19 @@ export default function Files() {
                           }}
                         >
                           <img
-                            src={`/files/${file.id}/download`}
+                            src={`/files/${file.id}/preview`}
                             alt={file.originalName}
+                            loading="lazy"
+                            onError={() => markPreviewBroken(file.id)}
                             style={{
                               width: "72px",
-                              height: "72px",
+                              // First pages of PDFs keep a portrait shape.
+                              height:
+                                previewKind(file.mimeType) === "first-page"
+                                  ? "96px"
+                                  : "72px",
                               objectFit: "cover",
+                              objectPosition: "top",
                               borderRadius: "4px",
                               border: "1px solid #e1e3e5",
                             }}
@@ -1490,17 +2429,35 @@ export default function Files() {
                       >
                         {truncateFilename(file.originalName, 18)}
                       </s-text>
-                    </div>
+                    </s-clickable>
                   </div>
                 );
               })}
             </div>
           )}
+          {(previousCursor || nextCursor) && (
+            <s-stack direction="inline" gap="base" align="center">
+              <s-button
+                variant="secondary"
+                disabled={!previousCursor}
+                onClick={() => updateSearchParams({ before: previousCursor })}
+              >
+                Previous
+              </s-button>
+              <s-button
+                variant="secondary"
+                disabled={!nextCursor}
+                onClick={() => updateSearchParams({ after: nextCursor })}
+              >
+                Next
+              </s-button>
+            </s-stack>
+          )}
         </s-section>
       </s-page>
 
       {/* Upload Progress Indicator */}
-      {uploading && (
+      {uploads.length > 0 && (
         <div
           style={{
             position: "fixed",
@@ -1518,44 +2475,82 @@ export default function Files() {
             background="base"
             style={{ boxShadow: "0 4px 12px rgba(0,0,0,0.15)" }}
           >
-            <s-stack direction="block" gap="tight">
+            <s-stack direction="block" gap="base">
               <s-stack direction="inline" gap="base" align="space-between">
                 <s-text size="small" fontWeight="medium">
-                  Uploading: {uploadFileName}
+                  {uploading ? "Uploading files" : "Uploads finished"}
                 </s-text>
                 <s-button
                   variant="tertiary"
                   size="small"
-                  onClick={() => {
-                    setUploading(false);
-                    setUploadProgress(0);
-                    setUploadFileName("");
-                  }}
+                  disabled={uploading}
+                  onClick={() => setUploads([])}
                 >
                   ×
                 </s-button>
               </s-stack>
-              <div
-                style={{
-                  width: "100%",
-                  height: "6px",
-                  backgroundColor: "rgba(0,0,0,0.1)",
-                  borderRadius: "3px",
-                  overflow: "hidden",
-                }}
-              >
-                <div
-                  style={{
-                    width: `${uploadProgress}%`,
-                    height: "100%",
-                    backgroundColor: "#008060",
-                    transition: "width 0.3s ease",
-                  }}
-                />
-              </div>
-              <s-text tone="subdued" size="small">
-                {uploadProgress}%
-              </s-text>
+              {uploads.map((upload) => {
+                const progress =
+                  upload.size > 0
+                    ? Math.floor((upload.uploaded / upload.size) * 100)
+                    : 100;
+
+                return (
+                  <s-stack key={upload.key} direction="block" gap="tight">
+                    <s-stack
+                      direction="inline"
+                      gap="base"
+                      align="space-between"
+                    >
+                      <s-text size="small">
+                        {truncateFilename(upload.name, 28)}
+                      </s-text>
+                      {upload.status === "uploading" ||
+                      upload.status === "queued" ? (
+                        <s-button
+                          variant="tertiary"
+                          size="small"
+                          onClick={() =>
+                            cancelledUploads.current.add(upload.key)
+                          }
+                        >
+                          Cancel
+                        </s-button>
+                      ) : null}
+                    </s-stack>
+                    <div
+                      style={{
+                        width: "100%",
+                        height: "6px",
+                        backgroundColor: "rgba(0,0,0,0.1)",
+                        borderRadius: "3px",
+                        overflow: "hidden",
+                      }}
+                    >
+                      <div
+                        style={{
+                          width: `${progress}%`,
+                          height: "100%",
+                          backgroundColor:
+                            upload.status === "error" ? "#d72c0d" : "#008060",
+                          transition: "width 0.3s ease",
+                        }}
+                      />
+                    </div>
+                    <s-text tone="subdued" size="small">
+                      {upload.status === "queued"
+                        ? "Waiting…"
+                        : upload.status === "done"
+                          ? "Done"
+                          : upload.status === "cancelled"
+                            ? "Cancelled"
+                            : upload.status === "error"
+                              ? upload.error
+                              : `${progress}% · ${formatFileSize(upload.uploaded)} of ${formatFileSize(upload.size)}`}
+                    </s-text>
+                  </s-stack>
+                );
+              })}
             </s-stack>
           </s-box>
         </div>
@@ -1627,8 +2622,348 @@ export default function Files() {
         </s-button>
       </s-modal>
 
+      {/* Download Limits Modal */}
+      <s-modal
+        id="limits-modal"
+        heading={
+          limitsFile
+            ? `Download limits for ${limitsFile.originalName}`
+            : "Download limits"
+        }
+      >
+        <s-stack direction="block" gap="base">
+          <s-text tone="subdued">
+            Overrides the product and shop defaults for new purchases of this
+            file. Leave a field blank to inherit them.
+          </s-text>
+          <s-number-field
+            label="Maximum downloads per purchase"
+            min={1}
+            value={limitDownloads}
+            onChange={(e) => setLimitDownloads(e.target.value)}
+          />
+          <s-number-field
+            label="Days until downloads expire"
+            min={1}
+            value={limitExpiryDays}
+            onChange={(e) => setLimitExpiryDays(e.target.value)}
+          />
+        </s-stack>
+        <s-button
+          slot="secondary-actions"
+          commandFor="limits-modal"
+          command="--hide"
+          onClick={() => setLimitsFile(null)}
+        >
+          Cancel
+        </s-button>
+        <s-button
+          slot="primary-action"
+          variant="primary"
+          disabled={!limitsFile}
+          onClick={handleSaveLimits}
+        >
+          Save
+        </s-button>
+      </s-modal>
+
+      {/* PDF Stamp Modal */}
+      <s-modal
+        id="stamp-modal"
+        heading={stampFile ? `Stamp ${stampFile.originalName}` : "Stamp PDF"}
+      >
+        <s-stack direction="block" gap="base">
+          <s-text tone="subdued">
+            Each customer gets a copy with their details printed on every page,
+            made when they first download it.
+          </s-text>
+          {stampFile?.stampFailure && (
+            <s-banner tone="warning" heading="Cannot be stamped">
+              {stampFile.stampFailure}. Customers get the file unstamped. Save
+              to check the file again.
+            </s-banner>
+          )}
+          <s-select
+            label="Position"
+            value={stampPosition}
+            onChange={(e) => setStampPosition(e.target.value)}
+          >
+            <s-option value="off">Off</s-option>
+            <s-option value="footer">Footer</s-option>
+            <s-option value="header">Header</s-option>
+            <s-option value="diagonal">Diagonal watermark</s-option>
+          </s-select>
+          {stampPosition !== "off" && (
+            <>
+              <s-text-field
+                label="Text"
+                details="{{name}}, {{email}}, {{order}} and {{date}} are replaced with the purchase's details"
+                value={stampTemplate}
+                onChange={(e) => setStampTemplate(e.target.value)}
+              />
+              <s-number-field
+                label="Opacity (%)"
+                min={10}
+                max={100}
+                value={stampOpacity}
+                onChange={(e) => setStampOpacity(e.target.value)}
+              />
+            </>
+          )}
+        </s-stack>
+        <s-button
+          slot="secondary-actions"
+          commandFor="stamp-modal"
+          command="--hide"
+          onClick={() => setStampFile(null)}
+        >
+          Cancel
+        </s-button>
+        <s-button
+          slot="primary-action"
+          variant="primary"
+          disabled={!stampFile}
+          onClick={handleSaveStamp}
+        >
+          Save
+        </s-button>
+      </s-modal>
+
+      {/* Edit Modal */}
+      <s-modal
+        id="edit-modal"
+        heading={editItem?.type === "folder" ? "Edit folder" : "Edit file"}
+      >
+        <s-stack direction="block" gap="base">
+          <s-text-field
+            label={editItem?.type === "folder" ? "Folder name" : "File name"}
+            details={
+              editItem?.type === "file"
+                ? "Shown in the admin and on customer download pages"
+                : undefined
+            }
+            value={editName}
+            onChange={(e) => setEditName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") {
+                handleSaveEdit();
+              }
+            }}
+          />
+          {editItem?.type === "file" && (
+            <>
+              <s-text-field
+                label="Tags"
+                details="Separate tags with commas, for example English, Deluxe edition"
+                value={editTags}
+                onChange={(e) => setEditTags(e.target.value)}
+              />
+              <s-stack direction="block" gap="tight">
+                <s-text fontWeight="bold">Metadata</s-text>
+                {editMetadata.map((entry, index) => (
+                  <s-stack
+                    key={index}
+                    direction="inline"
+                    gap="tight"
+                    alignItems="end"
+                  >
+                    <s-text-field
+                      label="Key"
+                      value={entry.key}
+                      onChange={(e) =>
+                        updateEditMetadata(index, { key: e.target.value })
+                      }
+                    />
+                    <s-text-field
+                      label="Value"
+                      value={entry.value}
+                      onChange={(e) =>
+                        updateEditMetadata(index, { value: e.target.value })
+                      }
+                    />
+                    <s-button
+                      variant="tertiary"
+                      accessibilityLabel="Remove field"
+                      onClick={() =>
+                        setEditMetadata((current) =>
+                          current.filter((_, i) => i !== index),
+                        )
+                      }
+                    >
+                      ×
+                    </s-button>
+                  </s-stack>
+                ))}
+                <s-stack direction="inline" gap="tight">
+                  <s-button
+                    onClick={() =>
+                      setEditMetadata((current) => [
+                        ...current,
+                        { key: "", value: "" },
+                      ])
+                    }
+                  >
+                    Add field
+                  </s-button>
+                </s-stack>
+              </s-stack>
+            </>
+          )}
+          <s-stack direction="inline" gap="tight">
+            {editItem?.type === "file" && (
+              <s-button onClick={() => handleDownload(editItem.data)}>
+                Download
+              </s-button>
+            )}
+            <s-button tone="critical" onClick={handleDeleteEditItem}>
+              {editItem?.type === "folder" ? "Delete folder" : "Delete file"}
+            </s-button>
+          </s-stack>
+        </s-stack>
+        <s-button
+          slot="secondary-actions"
+          commandFor="edit-modal"
+          command="--hide"
+          onClick={() => setEditItem(null)}
+        >
+          Cancel
+        </s-button>
+        <s-button
+          slot="primary-action"
+          variant="primary"
+          disabled={!editItem || !editName.trim()}
+          onClick={handleSaveEdit}
+        >
+          Save
+        </s-button>
+      </s-modal>
+
+      {/* Tag Modal */}
+      <s-modal id="tag-modal" heading="Tag selected items">
+        <s-stack direction="block" gap="base">
+          <s-text-field
+            label="Tags to add"
+            details="Separate tags with commas. Files inside selected folders are tagged too."
+            value={bulkTags}
+            onChange={(e) => setBulkTags(e.target.value)}
+          />
+        </s-stack>
+        <s-button
+          slot="secondary-actions"
+          commandFor="tag-modal"
+          command="--hide"
+        >
+          Cancel
+        </s-button>
+        <s-button
+          slot="primary-action"
+          variant="primary"
+          disabled={selectedItems.size === 0 || !bulkTags.trim()}
+          onClick={handleBulkTag}
+        >
+          Add tags
+        </s-button>
+      </s-modal>
+
+      {/* Preview Modal */}
+      <s-modal
+        id="preview-modal"
+        heading={previewFile ? previewFile.originalName : "Preview"}
+        size="large"
+      >
+        {previewFile && renderPreview(previewFile)}
+        <s-button
+          slot="secondary-actions"
+          commandFor="preview-modal"
+          command="--hide"
+          onClick={() => setPreviewFile(null)}
+        >
+          Close
+        </s-button>
+        <s-button
+          slot="primary-action"
+          disabled={!previewFile}
+          onClick={() => handleDownload(previewFile)}
+        >
+          Download
+        </s-button>
+      </s-modal>
+
+      {/* Versions Modal */}
+      <s-modal
+        id="versions-modal"
+        heading={
+          versionsFile
+            ? `Versions of ${versionsFile.originalName}`
+            : "File versions"
+        }
+      >
+        {versionsFile && (
+          <s-stack direction="block" gap="base">
+            <s-checkbox
+              label="Send past buyers the latest version"
+              details="When unchecked, buyers keep getting the version that was current when they ordered"
+              checked={versionsFile.deliverLatest}
+              onChange={(e) => handleDeliveryChange(e.target.checked)}
+            />
+            <input
+              id="version-upload"
+              type="file"
+              style={{ display: "none" }}
+              onChange={handleVersionUpload}
+              disabled={uploading}
+            />
+            <s-stack direction="inline" gap="base">
+              <s-button
+                onClick={() =>
+                  document.getElementById("version-upload")?.click()
+                }
+                disabled={uploading}
+                loading={uploading}
+              >
+                Upload new version
+              </s-button>
+            </s-stack>
+            {versionsFile.versions.map((version) => (
+              <s-stack
+                key={version.id}
+                direction="inline"
+                gap="base"
+                align="space-between"
+              >
+                <s-stack direction="block" gap="none">
+                  <s-text fontWeight="bold">Version {version.version}</s-text>
+                  <s-text tone="subdued" size="small">
+                    {formatFileSize(version.size)} · uploaded{" "}
+                    {formatDate(version.createdAt)}
+                  </s-text>
+                </s-stack>
+                {version.version === versionsFile.version ? (
+                  <s-badge tone="success">Current</s-badge>
+                ) : (
+                  <s-button
+                    variant="tertiary"
+                    onClick={() => handleRollback(version)}
+                  >
+                    Make current
+                  </s-button>
+                )}
+              </s-stack>
+            ))}
+          </s-stack>
+        )}
+        <s-button
+          slot="secondary-actions"
+          commandFor="versions-modal"
+          command="--hide"
+          onClick={() => setVersionsFileId(null)}
+        >
+          Close
+        </s-button>
+      </s-modal>
+
       {/* Move to Folder Modal */}
-      <s-modal id="move-modal" heading={`Move ${itemsToMove.length} file(s)`}>
+      <s-modal id="move-modal" heading={`Move ${itemsToMove.length} item(s)`}>
         <s-stack direction="block" gap="tight">
           <s-button
             variant="secondary"
@@ -1638,16 +2973,13 @@ export default function Files() {
             📁 Root
           </s-button>
 
-          {folders.map((folder) => (
-            <s-button
-              key={folder.id}
-              variant="secondary"
-              onClick={() => handleMoveToFolder(folder.id)}
-              style={{ width: "100%", justifyContent: "flex-start" }}
-            >
-              📁 {folder.name}
-            </s-button>
-          ))}
+          <FolderTreePicker
+            folders={folders}
+            parentId={null}
+            depth={1}
+            disabledIds={blockedMoveTargets}
+            onSelect={handleMoveToFolder}
+          />
         </s-stack>
         <s-button
           slot="secondary-actions"
@@ -0,0 +1,49 @@
+import { authenticate } from "../shopify.server";
+import {
+  abortUpload,
+  appendUploadPart,
+  completeUpload,
+  initUpload,
+} from "../chunked-uploads.server";
+
+// Chunked upload protocol. Parameters travel in the query string because
+// `part` requests carry the raw chunk bytes as their body:
+//   init      name, type, size, folderId, fingerprint,
+//             fileId (optional, uploads a new version) -> { uploadId, offset }
+//   part      uploadId, offset (body: chunk)          -> { offset }
+//   complete  uploadId                                -> { file }
+//   abort     uploadId                                -> { success }
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const intent = url.searchParams.get("intent");
+  const uploadId = url.searchParams.get("uploadId");
+
+  let result;
+  if (intent === "init") {
+    result = await initUpload(session.shop, {
+      name: url.searchParams.get("name"),
+      type: url.searchParams.get("type"),
+      size: Number(url.searchParams.get("size")),
+      folderId: url.searchParams.get("folderId"),
+      fingerprint: url.searchParams.get("fingerprint"),
+      fileId: url.searchParams.get("fileId"),
+    });
+  } else if (intent === "part") {
+    result = await appendUploadPart(
+      session.shop,
+      uploadId,
+      Number(url.searchParams.get("offset")),
+      request.body,
+    );
+  } else if (intent === "complete") {
+    result = await completeUpload(session.shop, uploadId);
+  } else if (intent === "abort") {
+    result = await abortUpload(session.shop, uploadId);
+  } else {
+    result = { error: "Invalid intent" };
+  }
+
+  return Response.json(result, { status: result.error ? 400 : 200 });
+};
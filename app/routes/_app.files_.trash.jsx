@@ -0,0 +1,199 @@
+import { useEffect } from "react";
+import { useFetcher, useLoaderData, useRouteError } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  emptyTrash,
+  listTrash,
+  purgeFile,
+  purgeFolder,
+  restoreFile,
+  restoreFolder,
+} from "../trash.server";
+import { formatDate } from "../format";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  return listTrash(session.shop);
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "empty-trash") {
+    await emptyTrash(session.shop);
+    return { success: true };
+  }
+
+  const itemId = formData.get("itemId")?.toString();
+  if (!itemId) {
+    return { error: "No item ID provided" };
+  }
+
+  const isFolder = itemId.startsWith("folder-");
+  const id = itemId.replace(/^(file|folder)-/, "");
+
+  if (intent === "restore") {
+    const restored = isFolder
+      ? await restoreFolder(session.shop, id)
+      : await restoreFile(session.shop, id);
+    if (!restored) {
+      return { error: "Item not found in trash" };
+    }
+
+    return { success: true };
+  }
+
+  if (intent === "purge") {
+    const purged = isFolder
+      ? await purgeFolder(session.shop, id)
+      : await purgeFile(session.shop, id);
+    if (!purged) {
+      return { error: "Item not found in trash" };
+    }
+
+    return { success: true };
+  }
+
+  return { error: "Invalid intent" };
+};
+
+const TOASTS = {
+  restore: "Item restored",
+  purge: "Item permanently deleted",
+  "empty-trash": "Trash emptied",
+};
+
+export default function Trash() {
+  const { folders, files, retentionDays } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data) return;
+
+    if (fetcher.data.error) {
+      shopify.toast.show(fetcher.data.error, { isError: true, duration: 3000 });
+    } else if (fetcher.data.success) {
+      const intent = fetcher.formData?.get("intent");
+      shopify.toast.show(TOASTS[intent] || "Done", { duration: 3000 });
+    }
+  }, [fetcher.state, fetcher.data, fetcher.formData, shopify]);
+
+  const items = [
+    ...folders.map((folder) => ({
+      id: `folder-${folder.id}`,
+      name: folder.name,
+      type: "Folder",
+      location: folder.location,
+      deletedAt: folder.deletedAt,
+      purgeAt: folder.purgeAt,
+    })),
+    ...files.map((file) => ({
+      id: `file-${file.id}`,
+      name: file.originalName,
+      type: "File",
+      location: file.location,
+      deletedAt: file.deletedAt,
+      purgeAt: file.purgeAt,
+    })),
+  ];
+
+  const submit = (intent, itemId) => {
+    fetcher.submit({ intent, itemId }, { method: "POST" });
+  };
+
+  const handlePurge = (item) => {
+    if (!confirm(`Permanently delete "${item.name}"? This cannot be undone.`))
+      return;
+    submit("purge", item.id);
+  };
+
+  const handleEmptyTrash = () => {
+    if (
+      !confirm(
+        "Permanently delete everything in the trash? This cannot be undone.",
+      )
+    )
+      return;
+    fetcher.submit({ intent: "empty-trash" }, { method: "POST" });
+  };
+
+  return (
+    <s-page heading="Trash">
+      <s-link slot="breadcrumb-actions" href="/files">
+        Files
+      </s-link>
+      <s-button
+        slot="secondary-actions"
+        tone="critical"
+        disabled={items.length === 0}
+        onClick={handleEmptyTrash}
+      >
+        Empty trash
+      </s-button>
+
+      <s-section>
+        <s-stack direction="block" gap="base">
+          <s-paragraph>
+            Deleted files and folders stay here for {retentionDays} day(s)
+            before they are removed permanently. Trashed files are not delivered
+            to customers.
+          </s-paragraph>
+
+          {items.length === 0 ? (
+            <s-text tone="subdued">The trash is empty.</s-text>
+          ) : (
+            items.map((item) => (
+              <s-stack
+                key={item.id}
+                direction="inline"
+                gap="base"
+                align="space-between"
+              >
+                <s-stack direction="block" gap="none">
+                  <s-text fontWeight="bold">
+                    {item.type === "Folder" ? "📁" : "📄"} {item.name}
+                  </s-text>
+                  <s-text tone="subdued">
+                    {`From ${item.location || "All Files"} · deleted ${formatDate(
+                      item.deletedAt,
+                    )} · removed ${formatDate(item.purgeAt)}`}
+                  </s-text>
+                </s-stack>
+                <s-stack direction="inline" gap="tight">
+                  <s-button
+                    variant="tertiary"
+                    onClick={() => submit("restore", item.id)}
+                  >
+                    Restore
+                  </s-button>
+                  <s-button
+                    variant="tertiary"
+                    tone="critical"
+                    onClick={() => handlePurge(item)}
+                  >
+                    Delete permanently
+                  </s-button>
+                </s-stack>
+              </s-stack>
+            ))
+          )}
+        </s-stack>
+      </s-section>
+    </s-page>
+  );
+}
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
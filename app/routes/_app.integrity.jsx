@@ -0,0 +1,169 @@
+import { useEffect } from "react";
+import {
+  useFetcher,
+  useLoaderData,
+  useRevalidator,
+  useRouteError,
+} from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import {
+  getIntegrityCheck,
+  listDamagedBlobs,
+  queueIntegrityCheck,
+} from "../blobs.server";
+import { formatDateTime } from "../format";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const [blobCount, lastCheck, unhashed, damaged] = await Promise.all([
+    prisma.storageBlob.count({ where: { shop: session.shop } }),
+    prisma.storageBlob.aggregate({
+      where: { shop: session.shop },
+      _max: { verifiedAt: true },
+    }),
+    prisma.fileVersion.count({
+      where: { sha256: null, file: { shop: session.shop } },
+    }),
+    listDamagedBlobs(session.shop),
+  ]);
+
+  return {
+    blobCount,
+    lastVerifiedAt: lastCheck._max.verifiedAt,
+    unhashed,
+    damaged,
+    check: getIntegrityCheck(session.shop),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  if (formData.get("intent") !== "verify") {
+    return { error: "Invalid intent" };
+  }
+
+  // Reading back every stored file takes too long for a request, so the
+  // check runs in the background and the page follows its progress.
+  queueIntegrityCheck(session.shop);
+  return { success: true };
+};
+
+const STATUS_LABELS = {
+  mismatch: "Contents changed",
+  missing: "Missing from storage",
+};
+
+export default function Integrity() {
+  const { blobCount, lastVerifiedAt, unhashed, damaged, check } =
+    useLoaderData();
+  const fetcher = useFetcher();
+  const revalidator = useRevalidator();
+  const shopify = useAppBridge();
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data) return;
+
+    if (fetcher.data.error) {
+      shopify.toast.show(fetcher.data.error, { isError: true, duration: 3000 });
+    } else if (fetcher.data.success) {
+      shopify.toast.show("Integrity check started", { duration: 3000 });
+    }
+  }, [fetcher.state, fetcher.data, shopify]);
+
+  // The check runs in the background, so reload while it is queued.
+  const isChecking = fetcher.state !== "idle" || Boolean(check);
+  useEffect(() => {
+    if (!check) return;
+    const timer = setInterval(() => revalidator.revalidate(), 3000);
+    return () => clearInterval(timer);
+  }, [check, revalidator]);
+
+  return (
+    <s-page heading="Integrity check">
+      <s-button
+        slot="primary-action"
+        variant="primary"
+        onClick={() => fetcher.submit({ intent: "verify" }, { method: "POST" })}
+        {...(isChecking ? { loading: true } : {})}
+      >
+        Run check
+      </s-button>
+
+      <s-section heading="Stored files">
+        <s-stack direction="block" gap="base">
+          <s-paragraph>
+            Every upload is fingerprinted with SHA-256 and identical uploads
+            share one stored copy. The check reads each stored copy back and
+            compares it with its fingerprint.
+          </s-paragraph>
+          {check ? (
+            <s-banner tone="info">
+              {check.total === null
+                ? "Fingerprinting older files…"
+                : `Checking stored files: ${check.checked} of ${check.total}`}
+            </s-banner>
+          ) : (
+            <s-text>
+              {blobCount} stored file(s)
+              {lastVerifiedAt
+                ? ` · last check ${formatDateTime(lastVerifiedAt, { year: true })}, ${damaged.length} problem(s) found`
+                : " · not checked yet"}
+            </s-text>
+          )}
+          {unhashed > 0 && (
+            <s-text tone="subdued">
+              {unhashed} file version(s) were uploaded before fingerprinting.
+              The next check fingerprints them; versions no longer in storage
+              stay counted here.
+            </s-text>
+          )}
+        </s-stack>
+      </s-section>
+
+      <s-section heading="Problems">
+        {damaged.length === 0 ? (
+          <s-text tone="subdued">No problems found.</s-text>
+        ) : (
+          <s-stack direction="block" gap="base">
+            {damaged.map((blob) => (
+              <s-banner key={blob.id} tone="critical">
+                <s-stack direction="block" gap="tight">
+                  <s-text fontWeight="bold">
+                    {STATUS_LABELS[blob.status] || blob.status}
+                  </s-text>
+                  <s-text size="small">
+                    Used by{" "}
+                    {blob.versions
+                      .map(
+                        (version) =>
+                          `${version.file.originalName} (version ${version.version})`,
+                      )
+                      .join(", ") || "no files"}
+                  </s-text>
+                  <s-text size="small" tone="subdued">
+                    Checked {formatDateTime(blob.verifiedAt, { year: true })} ·
+                    SHA-256 {blob.sha256.slice(0, 12)}…
+                  </s-text>
+                </s-stack>
+              </s-banner>
+            ))}
+          </s-stack>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
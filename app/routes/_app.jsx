@@ -17,7 +17,12 @@ export default function App() {
     <AppProvider embedded apiKey={apiKey}>
       <s-app-nav>
         <s-link href="/files">Files</s-link>
-        <s-link href="/additional">Additional page</s-link>
+        <s-link href="/license-keys">License keys</s-link>
+        <s-link href="/usage">Storage</s-link>
+        <s-link href="/analytics">Analytics</s-link>
+        <s-link href="/integrity">Integrity</s-link>
+        <s-link href="/settings">Settings</s-link>
+        <s-link href="/plans">Plans</s-link>
       </s-app-nav>
       <Outlet />
     </AppProvider>
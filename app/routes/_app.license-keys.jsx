@@ -0,0 +1,602 @@
+import { useEffect, useState } from "react";
+import {
+  useFetcher,
+  useLoaderData,
+  useRouteError,
+  useSearchParams,
+} from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { resolveTargets } from "../products.server";
+import {
+  LICENSE_KEY_SOURCES,
+  assignMissingKeys,
+  countAssignedKeys,
+  countWaitingLineItems,
+  createLicenseKeyPool,
+  deleteLicenseKeyPool,
+  importLicenseKeys,
+  listAssignedKeys,
+  listLicenseKeyPools,
+  parseKeyList,
+  parsePattern,
+  setLicenseKeyRevoked,
+} from "../license-keys.server";
+import { formatDate } from "../format";
+
+const KEY_LIMIT = 100;
+const DEFAULT_PATTERN = "XXXXX-XXXXX-XXXXX-XXXXX";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const query = new URL(request.url).searchParams.get("query") || "";
+
+  const [pools, assignedCounts, waitingCounts, keys] = await Promise.all([
+    listLicenseKeyPools(session.shop),
+    countAssignedKeys(session.shop),
+    countWaitingLineItems(session.shop),
+    listAssignedKeys(session.shop, { query, take: KEY_LIMIT }),
+  ]);
+
+  return {
+    query,
+    pools: pools.map((pool) => ({
+      ...pool,
+      available: pool._count.keys,
+      assigned: assignedCounts[pool.id] || 0,
+      waiting: waitingCounts[pool.id] || 0,
+    })),
+    keys,
+    // eslint-disable-next-line no-undef
+    validateUrl: `${process.env.SHOPIFY_APP_URL || ""}/api/license-keys/validate`,
+    shop: session.shop,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "create-pool") {
+    const selection = formData.get("selection");
+    if (!selection) {
+      return { error: "No product selected" };
+    }
+
+    const source = formData.get("source")?.toString();
+    if (!LICENSE_KEY_SOURCES.includes(source)) {
+      return { error: "Invalid key source" };
+    }
+
+    let pattern = null;
+    if (source === "pattern") {
+      const parsed = parsePattern(formData.get("pattern")?.toString());
+      if (parsed.error) {
+        return { error: parsed.error };
+      }
+      pattern = parsed.pattern;
+    }
+
+    const targets = await resolveTargets(admin, JSON.parse(selection));
+    if (targets.length === 0) {
+      return { error: "Product not found" };
+    }
+    if (targets.length > 1) {
+      return { error: "Pick a whole product or a single variant" };
+    }
+
+    const { error } = await createLicenseKeyPool(session.shop, targets[0], {
+      source,
+      pattern,
+    });
+    if (error) {
+      return { error };
+    }
+
+    return { success: true };
+  }
+
+  if (intent === "import-keys") {
+    const poolId = formData.get("poolId");
+    if (!poolId) {
+      return { error: "No key source provided" };
+    }
+
+    const { keys, error } = parseKeyList(formData.get("keys")?.toString());
+    if (error) {
+      return { error };
+    }
+
+    const result = await importLicenseKeys(session.shop, poolId, keys);
+    if (result.error) {
+      return { error: result.error };
+    }
+
+    return { success: true, ...result };
+  }
+
+  if (intent === "assign-missing-keys") {
+    return { success: true, ...(await assignMissingKeys(session.shop)) };
+  }
+
+  if (intent === "delete-pool") {
+    const poolId = formData.get("poolId");
+    if (!poolId) {
+      return { error: "No key source provided" };
+    }
+
+    return deleteLicenseKeyPool(session.shop, poolId);
+  }
+
+  if (intent === "revoke-key" || intent === "restore-key") {
+    const keyId = formData.get("keyId");
+    if (!keyId) {
+      return { error: "No key ID provided" };
+    }
+
+    const updated = await setLicenseKeyRevoked(
+      session.shop,
+      keyId,
+      intent === "revoke-key",
+    );
+    if (!updated) {
+      return { error: "License key not found" };
+    }
+
+    return { success: true };
+  }
+
+  return { error: "Invalid intent" };
+};
+
+const targetTitle = (pool) =>
+  pool.variantTitle
+    ? `${pool.productTitle} – ${pool.variantTitle}`
+    : pool.productTitle;
+
+const describePool = (pool) => {
+  const assigned = `${pool.assigned} sent to customers`;
+  if (pool.source === "pattern") {
+    return `Generated from ${pool.pattern} · ${assigned}`;
+  }
+  const waiting = pool.waiting > 0 ? ` · ${pool.waiting} waiting` : "";
+  return `${pool.available} available · ${assigned}${waiting}`;
+};
+
+const TOASTS = {
+  "create-pool": "Key source added",
+  "delete-pool": "Key source deleted",
+  "revoke-key": "License key revoked",
+  "restore-key": "License key restored",
+};
+
+export default function LicenseKeys() {
+  const { query, pools, keys, validateUrl, shop } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [, setSearchParams] = useSearchParams();
+
+  const [search, setSearch] = useState(query);
+  const [newPool, setNewPool] = useState(null);
+  const [importPool, setImportPool] = useState(null);
+  const [keyList, setKeyList] = useState("");
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data) return;
+
+    if (fetcher.data.error) {
+      shopify.toast.show(fetcher.data.error, { isError: true, duration: 3000 });
+      return;
+    }
+    if (!fetcher.data.success) return;
+
+    const intent = fetcher.formData?.get("intent");
+    if (intent === "import-keys") {
+      const { added, skipped, assigned } = fetcher.data;
+      shopify.toast.show(
+        [
+          `${added} key(s) added`,
+          skipped > 0 && `${skipped} already existed`,
+          assigned > 0 && `${assigned} sent to waiting orders`,
+        ]
+          .filter(Boolean)
+          .join(", "),
+        { duration: 3000 },
+      );
+      setImportPool(null);
+      setKeyList("");
+    } else if (intent === "assign-missing-keys") {
+      const { assigned, waiting } = fetcher.data;
+      shopify.toast.show(
+        waiting > 0
+          ? `${assigned} key(s) assigned, ${waiting} line item(s) still waiting`
+          : `${assigned} key(s) assigned`,
+        { isError: waiting > 0, duration: 3000 },
+      );
+    } else {
+      shopify.toast.show(TOASTS[intent] || "Done", { duration: 3000 });
+      if (intent === "create-pool") setNewPool(null);
+    }
+  }, [fetcher.state, fetcher.data, fetcher.formData, shopify]);
+
+  const handlePickProduct = async () => {
+    const selection = await shopify.resourcePicker({
+      type: "product",
+      action: "select",
+      multiple: false,
+      filter: { variants: true },
+    });
+    if (!selection || selection.length === 0) return;
+
+    const [product] = selection;
+    const variants = product.variants || [];
+    setNewPool({
+      title:
+        variants.length === 1 && variants[0].title
+          ? `${product.title} – ${variants[0].title}`
+          : product.title,
+      selection: [
+        {
+          id: product.id,
+          variants: variants.map((variant) => ({ id: variant.id })),
+        },
+      ],
+      source: "pool",
+      pattern: DEFAULT_PATTERN,
+    });
+  };
+
+  const handleCreatePool = () => {
+    fetcher.submit(
+      {
+        intent: "create-pool",
+        selection: JSON.stringify(newPool.selection),
+        source: newPool.source,
+        pattern: newPool.pattern,
+      },
+      { method: "POST" },
+    );
+  };
+
+  const handleKeyFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    setKeyList(await file.text());
+    event.target.value = "";
+  };
+
+  const handleImportKeys = () => {
+    fetcher.submit(
+      { intent: "import-keys", poolId: importPool.id, keys: keyList },
+      { method: "POST" },
+    );
+  };
+
+  const handleDeletePool = (pool) => {
+    if (
+      !confirm(
+        `Delete the license keys of "${targetTitle(pool)}"? Unused keys are removed.`,
+      )
+    )
+      return;
+    fetcher.submit(
+      { intent: "delete-pool", poolId: pool.id },
+      { method: "POST" },
+    );
+  };
+
+  const handleRevoke = (licenseKey, revoke) => {
+    if (
+      revoke &&
+      !confirm(
+        `Revoke ${licenseKey.key}? The validation endpoint will report it as revoked.`,
+      )
+    )
+      return;
+    fetcher.submit(
+      { intent: revoke ? "revoke-key" : "restore-key", keyId: licenseKey.id },
+      { method: "POST" },
+    );
+  };
+
+  const handleSearch = () => {
+    setSearchParams(search.trim() ? { query: search.trim() } : {});
+  };
+
+  const isSaving = fetcher.state !== "idle";
+  const waiting = pools.reduce((sum, pool) => sum + pool.waiting, 0);
+
+  return (
+    <s-page heading="License keys">
+      {waiting > 0 && (
+        <s-banner
+          tone="warning"
+          heading={`${waiting} line item(s) are waiting for a license key`}
+        >
+          <s-paragraph>
+            Their key sources ran out. Added keys go to them first, oldest order
+            first, and show up on their download pages.
+          </s-paragraph>
+          <s-button
+            slot="secondary-actions"
+            onClick={() =>
+              fetcher.submit(
+                { intent: "assign-missing-keys" },
+                { method: "POST" },
+              )
+            }
+            {...(isSaving ? { loading: true } : {})}
+          >
+            Assign missing keys
+          </s-button>
+        </s-banner>
+      )}
+      <s-section heading="Key sources">
+        <s-stack direction="block" gap="base">
+          <s-paragraph>
+            Every paid line item of a product or variant gets one key from its
+            source, shown next to its downloads. Keys come from lists you upload
+            or are generated from a pattern.
+          </s-paragraph>
+
+          {pools.length === 0 ? (
+            <s-text tone="subdued">No products have license keys yet.</s-text>
+          ) : (
+            pools.map((pool) => (
+              <s-stack
+                key={pool.id}
+                direction="inline"
+                gap="base"
+                align="space-between"
+              >
+                <s-stack direction="block" gap="none">
+                  <s-stack direction="inline" gap="small-300">
+                    <s-text fontWeight="bold">{targetTitle(pool)}</s-text>
+                    {pool.source === "pool" && pool.available === 0 && (
+                      <s-badge tone="critical">Out of keys</s-badge>
+                    )}
+                  </s-stack>
+                  <s-text tone="subdued">{describePool(pool)}</s-text>
+                </s-stack>
+                <s-stack direction="inline" gap="tight">
+                  {pool.source === "pool" && (
+                    <s-button
+                      variant="tertiary"
+                      onClick={() => {
+                        setImportPool(pool);
+                        setKeyList("");
+                      }}
+                    >
+                      Add keys
+                    </s-button>
+                  )}
+                  <s-button
+                    variant="tertiary"
+                    tone="critical"
+                    disabled={pool.assigned > 0}
+                    onClick={() => handleDeletePool(pool)}
+                  >
+                    Delete
+                  </s-button>
+                </s-stack>
+              </s-stack>
+            ))
+          )}
+
+          {importPool && (
+            <s-box
+              padding="base"
+              borderWidth="base"
+              borderRadius="base"
+              background="subdued"
+            >
+              <s-stack direction="block" gap="base">
+                <s-text fontWeight="bold">
+                  Add keys to {targetTitle(importPool)}
+                </s-text>
+                <s-text-area
+                  label="Keys"
+                  details="One key per line. For CSV files the first column is used."
+                  rows={8}
+                  value={keyList}
+                  onChange={(e) => setKeyList(e.target.value)}
+                />
+                <input
+                  type="file"
+                  accept=".csv,.txt,text/csv,text/plain"
+                  onChange={handleKeyFile}
+                />
+                <s-stack direction="inline" gap="tight">
+                  <s-button
+                    variant="primary"
+                    disabled={!keyList.trim()}
+                    onClick={handleImportKeys}
+                    {...(isSaving ? { loading: true } : {})}
+                  >
+                    Add keys
+                  </s-button>
+                  <s-button
+                    variant="tertiary"
+                    onClick={() => setImportPool(null)}
+                  >
+                    Cancel
+                  </s-button>
+                </s-stack>
+              </s-stack>
+            </s-box>
+          )}
+
+          {newPool ? (
+            <s-box
+              padding="base"
+              borderWidth="base"
+              borderRadius="base"
+              background="subdued"
+            >
+              <s-stack direction="block" gap="base">
+                <s-text fontWeight="bold">{newPool.title}</s-text>
+                <s-select
+                  label="Keys"
+                  value={newPool.source}
+                  onChange={(e) =>
+                    setNewPool({ ...newPool, source: e.target.value })
+                  }
+                >
+                  <s-option value="pool">From uploaded lists</s-option>
+                  <s-option value="pattern">Generated from a pattern</s-option>
+                </s-select>
+                {newPool.source === "pattern" && (
+                  <s-text-field
+                    label="Pattern"
+                    details="X is a random letter or digit, A a letter and 9 a digit. Other characters are kept as is."
+                    value={newPool.pattern}
+                    onChange={(e) =>
+                      setNewPool({ ...newPool, pattern: e.target.value })
+                    }
+                  />
+                )}
+                <s-stack direction="inline" gap="tight">
+                  <s-button
+                    variant="primary"
+                    onClick={handleCreatePool}
+                    {...(isSaving ? { loading: true } : {})}
+                  >
+                    Save
+                  </s-button>
+                  <s-button variant="tertiary" onClick={() => setNewPool(null)}>
+                    Cancel
+                  </s-button>
+                </s-stack>
+              </s-stack>
+            </s-box>
+          ) : (
+            <s-stack direction="inline" gap="base">
+              <s-button onClick={handlePickProduct}>Add product</s-button>
+            </s-stack>
+          )}
+        </s-stack>
+      </s-section>
+
+      <s-section heading="Issued keys">
+        <s-stack direction="block" gap="base">
+          <s-stack direction="inline" gap="base">
+            <s-text-field
+              label="Key, order or email"
+              labelAccessibilityVisibility="exclusive"
+              placeholder="Search by key, order or email"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") handleSearch();
+              }}
+            />
+            <s-button onClick={handleSearch}>Search</s-button>
+          </s-stack>
+
+          {keys.length === 0 ? (
+            <s-text tone="subdued">
+              {query
+                ? "No issued keys match this search."
+                : "No keys have been sent to customers yet."}
+            </s-text>
+          ) : (
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid #e1e3e5" }}>
+                  <th style={{ textAlign: "left", padding: "12px" }}>Key</th>
+                  <th style={{ textAlign: "left", padding: "12px" }}>
+                    Product
+                  </th>
+                  <th style={{ textAlign: "left", padding: "12px" }}>Order</th>
+                  <th style={{ textAlign: "left", padding: "12px" }}>Status</th>
+                  <th style={{ textAlign: "right", padding: "12px" }}>
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {keys.map((licenseKey) => (
+                  <tr
+                    key={licenseKey.id}
+                    style={{ borderBottom: "1px solid #e1e3e5" }}
+                  >
+                    <td style={{ padding: "12px", fontFamily: "monospace" }}>
+                      {licenseKey.key}
+                    </td>
+                    <td style={{ padding: "12px" }}>
+                      {targetTitle(licenseKey.pool)}
+                    </td>
+                    <td style={{ padding: "12px" }}>
+                      <s-stack direction="block" gap="none">
+                        <s-text>
+                          {licenseKey.orderName} ·{" "}
+                          {formatDate(licenseKey.assignedAt)}
+                        </s-text>
+                        <s-text tone="subdued">
+                          {licenseKey.customerEmail || "No email"}
+                        </s-text>
+                      </s-stack>
+                    </td>
+                    <td style={{ padding: "12px" }}>
+                      {licenseKey.revokedAt ? (
+                        <s-badge tone="critical">Revoked</s-badge>
+                      ) : (
+                        <s-badge tone="success">Active</s-badge>
+                      )}
+                    </td>
+                    <td style={{ padding: "12px", textAlign: "right" }}>
+                      <s-button
+                        variant="tertiary"
+                        tone={licenseKey.revokedAt ? undefined : "critical"}
+                        onClick={() =>
+                          handleRevoke(licenseKey, !licenseKey.revokedAt)
+                        }
+                      >
+                        {licenseKey.revokedAt ? "Restore" : "Revoke"}
+                      </s-button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {keys.length === KEY_LIMIT && (
+            <s-text tone="subdued">
+              Showing the latest {KEY_LIMIT} keys. Search to find older ones.
+            </s-text>
+          )}
+        </s-stack>
+      </s-section>
+
+      <s-section slot="aside" heading="Validating keys">
+        <s-stack direction="block" gap="base">
+          <s-paragraph>
+            Your software can check a key by sending a GET or POST request with
+            the shop and key to:
+          </s-paragraph>
+          <s-text fontWeight="bold">{validateUrl}</s-text>
+          <s-paragraph>
+            For example {`${validateUrl}?shop=${shop}&key=…`}. The response is
+            JSON with <s-text fontWeight="bold">valid</s-text> set to true and
+            the product, or false with a reason of not-found or revoked.
+          </s-paragraph>
+          <s-paragraph>
+            Each address can check 30 keys a minute. Past that the response is a
+            429 with a reason of rate-limited and a Retry-After header.
+          </s-paragraph>
+        </s-stack>
+      </s-section>
+    </s-page>
+  );
+}
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
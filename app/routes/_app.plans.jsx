@@ -0,0 +1,164 @@
+import { useEffect } from "react";
+import { useFetcher, useLoaderData, useRouteError } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getShopSettings } from "../download-policies.server";
+import {
+  getShopPlan,
+  isTestBilling,
+  recordSubscription,
+  syncSubscription,
+} from "../billing.server";
+import { FREE_PLAN, PAID_PLANS, PLANS } from "../plans";
+
+export const loader = async ({ request }) => {
+  const { billing, session } = await authenticate.admin(request);
+
+  await syncSubscription(billing, session.shop);
+
+  return { plan: await getShopPlan(session.shop) };
+};
+
+export const action = async ({ request }) => {
+  const { billing, session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "subscribe") {
+    const plan = formData.get("plan")?.toString();
+    if (!PAID_PLANS.includes(plan)) {
+      return { error: "Unknown plan" };
+    }
+
+    // Redirects the merchant to Shopify to approve the charge.
+    await billing.request({ plan, isTest: isTestBilling });
+    return null;
+  }
+
+  if (intent === "downgrade") {
+    const settings = await getShopSettings(session.shop);
+    if (settings.subscriptionId && settings.subscriptionStatus === "ACTIVE") {
+      await billing.cancel({
+        subscriptionId: settings.subscriptionId,
+        isTest: isTestBilling,
+        prorate: true,
+      });
+    }
+
+    await recordSubscription(session.shop, null);
+
+    return { success: true };
+  }
+
+  return { error: "Invalid intent" };
+};
+
+const STATUS_MESSAGES = {
+  FROZEN:
+    "Your subscription is frozen because a payment failed. Free plan limits apply until the store's billing is resolved. Your files are kept and existing buyers can still download.",
+  CANCELLED:
+    "Your subscription was cancelled. Free plan limits now apply. Your files are kept and existing buyers can still download.",
+  DECLINED:
+    "The subscription charge was declined. Choose a plan again to upgrade.",
+  EXPIRED:
+    "The subscription request expired before it was approved. Choose a plan again to upgrade.",
+};
+
+export default function Plans() {
+  const { plan } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data) return;
+
+    if (fetcher.data.error) {
+      shopify.toast.show(fetcher.data.error, { isError: true, duration: 3000 });
+    } else if (fetcher.data.success) {
+      shopify.toast.show("Switched to the Free plan", { duration: 3000 });
+    }
+  }, [fetcher.state, fetcher.data, shopify]);
+
+  const handleChoose = (name) => {
+    if (name === FREE_PLAN) {
+      if (
+        !confirm(
+          "Cancel your subscription and switch to the Free plan? Uploads beyond the Free plan limits will be blocked.",
+        )
+      )
+        return;
+      fetcher.submit({ intent: "downgrade" }, { method: "POST" });
+      return;
+    }
+
+    fetcher.submit({ intent: "subscribe", plan: name }, { method: "POST" });
+  };
+
+  const statusMessage =
+    plan.subscribedPlan !== FREE_PLAN &&
+    STATUS_MESSAGES[plan.subscriptionStatus];
+
+  return (
+    <s-page heading="Plans">
+      {statusMessage && (
+        <s-banner tone="warning" heading={`${plan.subscribedPlan} plan`}>
+          {statusMessage}
+        </s-banner>
+      )}
+
+      <s-section>
+        <s-grid gridTemplateColumns="repeat(3, 1fr)" gap="base">
+          {Object.entries(PLANS).map(([name, details]) => {
+            const isCurrent = name === plan.name;
+
+            return (
+              <s-box
+                key={name}
+                padding="base"
+                borderWidth="base"
+                borderRadius="base"
+                background={isCurrent ? "subdued" : "base"}
+              >
+                <s-stack direction="block" gap="base">
+                  <s-stack direction="inline" gap="tight" align="center">
+                    <s-heading>{name}</s-heading>
+                    {isCurrent && <s-badge tone="success">Current</s-badge>}
+                  </s-stack>
+                  <s-text fontWeight="bold">
+                    {details.price > 0 ? `$${details.price} / 30 days` : "Free"}
+                  </s-text>
+                  <s-unordered-list>
+                    {details.features.map((feature) => (
+                      <s-list-item key={feature}>{feature}</s-list-item>
+                    ))}
+                  </s-unordered-list>
+                  <s-button
+                    variant={isCurrent ? "secondary" : "primary"}
+                    disabled={isCurrent}
+                    onClick={() => handleChoose(name)}
+                  >
+                    {isCurrent
+                      ? "Current plan"
+                      : name === FREE_PLAN
+                        ? "Downgrade"
+                        : `Choose ${name}`}
+                  </s-button>
+                </s-stack>
+              </s-box>
+            );
+          })}
+        </s-grid>
+      </s-section>
+    </s-page>
+  );
+}
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,428 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useRouteError } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import {
+  getShopSettings,
+  parsePolicyInput,
+  updateShopSettings,
+} from "../download-policies.server";
+import { checkPolicyAllowed, getShopPlan } from "../billing.server";
+import { parseAllowedTypes } from "../upload-validation.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const [settings, productPolicies, plan] = await Promise.all([
+    getShopSettings(session.shop),
+    prisma.productPolicy.findMany({
+      where: { shop: session.shop },
+      orderBy: { productTitle: "asc" },
+    }),
+    getShopPlan(session.shop),
+  ]);
+
+  return {
+    settings,
+    productPolicies,
+    policiesAllowed: plan.downloadPolicies,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "update-defaults") {
+    const { data, error } = parsePolicyInput(formData);
+    if (error) {
+      return { error };
+    }
+
+    const planError = await checkPolicyAllowed(session.shop, data);
+    if (planError) {
+      return { error: planError };
+    }
+
+    await updateShopSettings(session.shop, data);
+
+    return { success: true };
+  }
+
+  if (intent === "update-trash-retention") {
+    const days = Number(formData.get("trashRetentionDays"));
+    if (!Number.isInteger(days) || days < 1) {
+      return {
+        error: "Retention must be a whole number of days of at least 1",
+      };
+    }
+
+    await updateShopSettings(session.shop, { trashRetentionDays: days });
+
+    return { success: true };
+  }
+
+  if (intent === "update-upload-rules") {
+    const { allowedFileTypes, error } = parseAllowedTypes(
+      formData.get("allowedFileTypes")?.toString(),
+    );
+    if (error) {
+      return { error };
+    }
+
+    const raw = formData.get("maxUploadMb")?.toString().trim();
+    const maxUploadMb = raw ? Number(raw) : null;
+    if (
+      maxUploadMb !== null &&
+      (!Number.isInteger(maxUploadMb) || maxUploadMb < 1)
+    ) {
+      return {
+        error: "Maximum file size must be a whole number of MB of at least 1",
+      };
+    }
+
+    await updateShopSettings(session.shop, { allowedFileTypes, maxUploadMb });
+
+    return { success: true };
+  }
+
+  if (intent === "save-product-policy") {
+    const productId = formData.get("productId")?.toString();
+    const productTitle = formData.get("productTitle")?.toString();
+    if (!productId || !productTitle) {
+      return { error: "No product provided" };
+    }
+
+    const { data, error } = parsePolicyInput(formData);
+    if (error) {
+      return { error };
+    }
+
+    const planError = await checkPolicyAllowed(session.shop, data);
+    if (planError) {
+      return { error: planError };
+    }
+
+    await prisma.productPolicy.upsert({
+      where: { shop_productId: { shop: session.shop, productId } },
+      update: { ...data, productTitle },
+      create: { ...data, productTitle, productId, shop: session.shop },
+    });
+
+    return { success: true };
+  }
+
+  if (intent === "delete-product-policy") {
+    const policyId = formData.get("policyId");
+    if (!policyId) {
+      return { error: "No policy ID provided" };
+    }
+
+    await prisma.productPolicy.deleteMany({
+      where: { id: policyId, shop: session.shop },
+    });
+
+    return { success: true };
+  }
+
+  return { error: "Invalid intent" };
+};
+
+const describePolicy = (policy) => {
+  const limit =
+    policy.downloadLimit != null
+      ? `${policy.downloadLimit} download(s)`
+      : "Unlimited downloads";
+  const expiry =
+    policy.downloadExpiryDays != null
+      ? `expires after ${policy.downloadExpiryDays} day(s)`
+      : "never expires";
+  return `${limit}, ${expiry}`;
+};
+
+export default function Settings() {
+  const { settings, productPolicies, policiesAllowed } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [downloadLimit, setDownloadLimit] = useState(
+    settings.downloadLimit?.toString() ?? "",
+  );
+  const [downloadExpiryDays, setDownloadExpiryDays] = useState(
+    settings.downloadExpiryDays?.toString() ?? "",
+  );
+  const [trashRetentionDays, setTrashRetentionDays] = useState(
+    settings.trashRetentionDays.toString(),
+  );
+  const [allowedFileTypes, setAllowedFileTypes] = useState(
+    settings.allowedFileTypes ?? "",
+  );
+  const [maxUploadMb, setMaxUploadMb] = useState(
+    settings.maxUploadMb?.toString() ?? "",
+  );
+  const [policyProduct, setPolicyProduct] = useState(null);
+  const [policyLimit, setPolicyLimit] = useState("");
+  const [policyExpiryDays, setPolicyExpiryDays] = useState("");
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data) return;
+
+    if (fetcher.data.error) {
+      shopify.toast.show(fetcher.data.error, { isError: true, duration: 3000 });
+    } else if (fetcher.data.success) {
+      shopify.toast.show("Settings saved", { duration: 3000 });
+      setPolicyProduct(null);
+      setPolicyLimit("");
+      setPolicyExpiryDays("");
+    }
+  }, [fetcher.state, fetcher.data, shopify]);
+
+  const handleSaveDefaults = () => {
+    fetcher.submit(
+      { intent: "update-defaults", downloadLimit, downloadExpiryDays },
+      { method: "POST" },
+    );
+  };
+
+  const handleSaveRetention = () => {
+    fetcher.submit(
+      { intent: "update-trash-retention", trashRetentionDays },
+      { method: "POST" },
+    );
+  };
+
+  const handleSaveUploadRules = () => {
+    fetcher.submit(
+      { intent: "update-upload-rules", allowedFileTypes, maxUploadMb },
+      { method: "POST" },
+    );
+  };
+
+  const handlePickProduct = async () => {
+    const selection = await shopify.resourcePicker({
+      type: "product",
+      action: "select",
+      multiple: false,
+      filter: { variants: false },
+    });
+    if (!selection || selection.length === 0) return;
+
+    const [product] = selection;
+    const existing = productPolicies.find((p) => p.productId === product.id);
+    setPolicyProduct({ id: product.id, title: product.title });
+    setPolicyLimit(existing?.downloadLimit?.toString() ?? "");
+    setPolicyExpiryDays(existing?.downloadExpiryDays?.toString() ?? "");
+  };
+
+  const handleEditPolicy = (policy) => {
+    setPolicyProduct({ id: policy.productId, title: policy.productTitle });
+    setPolicyLimit(policy.downloadLimit?.toString() ?? "");
+    setPolicyExpiryDays(policy.downloadExpiryDays?.toString() ?? "");
+  };
+
+  const handleSavePolicy = () => {
+    fetcher.submit(
+      {
+        intent: "save-product-policy",
+        productId: policyProduct.id,
+        productTitle: policyProduct.title,
+        downloadLimit: policyLimit,
+        downloadExpiryDays: policyExpiryDays,
+      },
+      { method: "POST" },
+    );
+  };
+
+  const handleDeletePolicy = (policyId) => {
+    fetcher.submit(
+      { intent: "delete-product-policy", policyId },
+      { method: "POST" },
+    );
+  };
+
+  const isSaving = fetcher.state !== "idle";
+
+  return (
+    <s-page heading="Settings">
+      {!policiesAllowed && (
+        <s-banner tone="info" heading="Download limits need a paid plan">
+          Limits and expiry dates are available on the Basic and Pro plans.{" "}
+          <s-link href="/plans">Compare plans</s-link>
+        </s-banner>
+      )}
+      <s-section heading="Download defaults">
+        <s-stack direction="block" gap="base">
+          <s-paragraph>
+            These limits apply to every new purchase unless a product or file
+            overrides them. Leave a field blank for no limit.
+          </s-paragraph>
+          <s-number-field
+            label="Maximum downloads per purchase"
+            min={1}
+            value={downloadLimit}
+            onChange={(e) => setDownloadLimit(e.target.value)}
+          />
+          <s-number-field
+            label="Days until downloads expire"
+            details="Counted from the date of purchase"
+            min={1}
+            value={downloadExpiryDays}
+            onChange={(e) => setDownloadExpiryDays(e.target.value)}
+          />
+          <s-stack direction="inline" gap="base">
+            <s-button
+              variant="primary"
+              onClick={handleSaveDefaults}
+              {...(isSaving ? { loading: true } : {})}
+            >
+              Save defaults
+            </s-button>
+          </s-stack>
+        </s-stack>
+      </s-section>
+
+      <s-section heading="Product overrides">
+        <s-stack direction="block" gap="base">
+          {productPolicies.length === 0 ? (
+            <s-paragraph>
+              No product overrides yet. Every product uses the defaults above.
+            </s-paragraph>
+          ) : (
+            productPolicies.map((policy) => (
+              <s-stack
+                key={policy.id}
+                direction="inline"
+                gap="base"
+                align="space-between"
+              >
+                <s-stack direction="block" gap="none">
+                  <s-text fontWeight="bold">{policy.productTitle}</s-text>
+                  <s-text tone="subdued">{describePolicy(policy)}</s-text>
+                </s-stack>
+                <s-stack direction="inline" gap="tight">
+                  <s-button
+                    variant="tertiary"
+                    onClick={() => handleEditPolicy(policy)}
+                  >
+                    Edit
+                  </s-button>
+                  <s-button
+                    variant="tertiary"
+                    tone="critical"
+                    onClick={() => handleDeletePolicy(policy.id)}
+                  >
+                    Remove
+                  </s-button>
+                </s-stack>
+              </s-stack>
+            ))
+          )}
+
+          {policyProduct ? (
+            <s-box
+              padding="base"
+              borderWidth="base"
+              borderRadius="base"
+              background="subdued"
+            >
+              <s-stack direction="block" gap="base">
+                <s-text fontWeight="bold">{policyProduct.title}</s-text>
+                <s-number-field
+                  label="Maximum downloads per purchase"
+                  min={1}
+                  value={policyLimit}
+                  onChange={(e) => setPolicyLimit(e.target.value)}
+                />
+                <s-number-field
+                  label="Days until downloads expire"
+                  min={1}
+                  value={policyExpiryDays}
+                  onChange={(e) => setPolicyExpiryDays(e.target.value)}
+                />
+                <s-stack direction="inline" gap="tight">
+                  <s-button variant="primary" onClick={handleSavePolicy}>
+                    Save override
+                  </s-button>
+                  <s-button
+                    variant="tertiary"
+                    onClick={() => setPolicyProduct(null)}
+                  >
+                    Cancel
+                  </s-button>
+                </s-stack>
+              </s-stack>
+            </s-box>
+          ) : (
+            <s-stack direction="inline" gap="base">
+              <s-button onClick={handlePickProduct}>
+                Add product override
+              </s-button>
+            </s-stack>
+          )}
+        </s-stack>
+      </s-section>
+
+      <s-section heading="Uploads">
+        <s-stack direction="block" gap="base">
+          <s-text-field
+            label="Allowed file types"
+            details="Extensions or MIME types separated by commas, such as .pdf, .zip, audio/*. Leave blank to allow any type."
+            value={allowedFileTypes}
+            onChange={(e) => setAllowedFileTypes(e.target.value)}
+          />
+          <s-number-field
+            label="Maximum file size (MB)"
+            details="Leave blank for no limit"
+            min={1}
+            value={maxUploadMb}
+            onChange={(e) => setMaxUploadMb(e.target.value)}
+          />
+          <s-paragraph>
+            Uploads are checked against their contents, so a file whose
+            extension does not match what it contains is rejected.
+          </s-paragraph>
+          <s-stack direction="inline" gap="base">
+            <s-button
+              onClick={handleSaveUploadRules}
+              {...(isSaving ? { loading: true } : {})}
+            >
+              Save upload rules
+            </s-button>
+          </s-stack>
+        </s-stack>
+      </s-section>
+
+      <s-section heading="Trash">
+        <s-stack direction="block" gap="base">
+          <s-number-field
+            label="Days to keep deleted files"
+            details="Files and folders in the trash are removed permanently after this many days"
+            min={1}
+            value={trashRetentionDays}
+            onChange={(e) => setTrashRetentionDays(e.target.value)}
+          />
+          <s-stack direction="inline" gap="base">
+            <s-button
+              onClick={handleSaveRetention}
+              {...(isSaving ? { loading: true } : {})}
+            >
+              Save retention
+            </s-button>
+          </s-stack>
+        </s-stack>
+      </s-section>
+    </s-page>
+  );
+}
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
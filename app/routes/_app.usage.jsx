@@ -0,0 +1,147 @@
+import { useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  getShopQuota,
+  getStorageUsage,
+  getUsageBreakdown,
+} from "../quotas.server";
+import { formatFileSize } from "../format";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const [quota, usage, breakdown] = await Promise.all([
+    getShopQuota(session.shop),
+    getStorageUsage(session.shop),
+    getUsageBreakdown(session.shop),
+  ]);
+
+  return { quota, usage, ...breakdown };
+};
+
+const TYPE_LABELS = {
+  image: "Images",
+  video: "Videos",
+  audio: "Audio",
+  document: "Documents",
+  spreadsheet: "Spreadsheets",
+  archive: "Archives",
+  other: "Other",
+};
+
+const renderMeter = (label, used, limit, format) => {
+  const percent = limit ? Math.min(Math.round((used / limit) * 100), 100) : 0;
+
+  return (
+    <s-stack direction="block" gap="tight">
+      <s-stack direction="inline" gap="base" align="space-between">
+        <s-text fontWeight="bold">{label}</s-text>
+        <s-text tone="subdued">
+          {limit != null
+            ? `${format(used)} of ${format(limit)} (${percent}%)`
+            : `${format(used)} · no limit`}
+        </s-text>
+      </s-stack>
+      {limit != null && (
+        <div
+          style={{
+            width: "100%",
+            height: "6px",
+            backgroundColor: "rgba(0,0,0,0.1)",
+            borderRadius: "3px",
+            overflow: "hidden",
+          }}
+        >
+          <div
+            style={{
+              width: `${percent}%`,
+              height: "100%",
+              backgroundColor: percent >= 90 ? "#d72c0d" : "#008060",
+            }}
+          />
+        </div>
+      )}
+    </s-stack>
+  );
+};
+
+const renderUsageTable = (heading, rows, total, labelFor) => {
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse" }}>
+      <thead>
+        <tr style={{ borderBottom: "1px solid #e1e3e5" }}>
+          <th style={{ textAlign: "left", padding: "12px" }}>{heading}</th>
+          <th style={{ textAlign: "right", padding: "12px" }}>Files</th>
+          <th style={{ textAlign: "right", padding: "12px" }}>Size</th>
+          <th style={{ textAlign: "right", padding: "12px" }}>Share</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row.key} style={{ borderBottom: "1px solid #e1e3e5" }}>
+            <td style={{ padding: "12px" }}>{labelFor(row)}</td>
+            <td style={{ padding: "12px", textAlign: "right" }}>{row.files}</td>
+            <td style={{ padding: "12px", textAlign: "right" }}>
+              {formatFileSize(row.bytes)}
+            </td>
+            <td style={{ padding: "12px", textAlign: "right" }}>
+              {total > 0 ? Math.round((row.bytes / total) * 100) : 0}%
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default function Usage() {
+  const { quota, usage, byFolder, byType } = useLoaderData();
+
+  return (
+    <s-page heading="Storage">
+      <s-section heading="Usage">
+        <s-stack direction="block" gap="base">
+          {renderMeter("Storage", usage.bytes, quota.maxBytes, formatFileSize)}
+          {renderMeter("Files", usage.files, quota.maxFiles, (count) =>
+            count.toLocaleString("en-US"),
+          )}
+          <s-text tone="subdued">
+            Every version of a file counts towards your storage, including files
+            in the trash until they are removed. Identical contents are stored
+            and counted once.
+          </s-text>
+        </s-stack>
+      </s-section>
+
+      <s-section heading="By folder">
+        {byFolder.length === 0 ? (
+          <s-text tone="subdued">No files uploaded yet.</s-text>
+        ) : (
+          renderUsageTable("Folder", byFolder, usage.bytes, (row) => row.name)
+        )}
+      </s-section>
+
+      <s-section heading="By file type">
+        {byType.length === 0 ? (
+          <s-text tone="subdued">No files uploaded yet.</s-text>
+        ) : (
+          renderUsageTable(
+            "Type",
+            byType,
+            usage.bytes,
+            (row) => TYPE_LABELS[row.key] || row.name,
+          )
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
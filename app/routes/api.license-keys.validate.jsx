@@ -0,0 +1,77 @@
+import { validateLicenseKey } from "../license-keys.server";
+import { clientIp } from "../download-events.server";
+import { createRateLimiter } from "../rate-limits.server";
+
+// Called by merchants' software, so any origin may use it and results are
+// never cached.
+const HEADERS = {
+  "Cache-Control": "no-store",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+const SHOP_DOMAIN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+// Anyone can call this, so guessing keys is slowed down per caller. There is
+// no budget shared by a whole shop, which a few callers could use up to stop
+// every install of that shop's software from validating.
+const MINUTE = 60 * 1000;
+const limitPerIp = createRateLimiter({ limit: 30, window: MINUTE });
+
+const invalidRequest = () =>
+  Response.json(
+    { valid: false, reason: "invalid-request" },
+    { status: 400, headers: HEADERS },
+  );
+
+const rateLimited = (retryAfter) =>
+  Response.json(
+    { valid: false, reason: "rate-limited" },
+    {
+      status: 429,
+      headers: { ...HEADERS, "Retry-After": String(retryAfter) },
+    },
+  );
+
+async function readParams(request) {
+  if (request.method === "GET") {
+    return new URL(request.url).searchParams;
+  }
+  if (request.headers.get("Content-Type")?.includes("application/json")) {
+    const body = await request.json().catch(() => ({}));
+    return new Map(Object.entries(body || {}));
+  }
+  return request.formData();
+}
+
+async function validate(request) {
+  const ipRetry = limitPerIp(clientIp(request) || "unknown");
+  if (ipRetry) return rateLimited(ipRetry);
+
+  let params;
+  try {
+    params = await readParams(request);
+  } catch {
+    return invalidRequest();
+  }
+  const shop = params.get("shop")?.toString().trim().toLowerCase();
+  const key = params.get("key")?.toString().trim();
+
+  if (!shop || !SHOP_DOMAIN.test(shop) || !key) {
+    return invalidRequest();
+  }
+
+  return Response.json(await validateLicenseKey(shop, key), {
+    headers: HEADERS,
+  });
+}
+
+export const loader = async ({ request }) => validate(request);
+
+export const action = async ({ request }) => {
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: HEADERS });
+  }
+  return validate(request);
+};
@@ -0,0 +1,69 @@
+import { findTokenEntitlements } from "../entitlements.server";
+import {
+  checkEntitlement,
+  claimDownload,
+  downloadDeniedResponse,
+} from "../download-policies.server";
+import { fileExists } from "../files.server";
+import { deliveredFile } from "../file-versions.server";
+import { createDownloadResponse, startsDownload } from "../downloads.server";
+import { trackDownload } from "../download-events.server";
+import { scanDeniedReason } from "../scans.server";
+import { stampedFile } from "../pdf-stamps.server";
+
+export const loader = async ({ request, params }) => {
+  const { token, fileId } = params;
+  const result = await findTokenEntitlements(token);
+
+  if (!result.valid) {
+    throw result.reason === "expired"
+      ? downloadDeniedResponse("expired")
+      : new Response("Invalid download link", { status: 403 });
+  }
+
+  const entitlement = result.entitlements.find((e) => e.fileId === fileId);
+  if (!entitlement) {
+    throw new Response("File not found", { status: 404 });
+  }
+
+  const denied = checkEntitlement(entitlement);
+  if (denied) {
+    throw downloadDeniedResponse(denied);
+  }
+
+  const delivered = await deliveredFile(entitlement);
+  const scanDenied = scanDeniedReason(delivered);
+  if (scanDenied) {
+    throw downloadDeniedResponse(scanDenied);
+  }
+  if (!(await fileExists(delivered.storageKey))) {
+    throw new Response("File not found on disk", { status: 404 });
+  }
+
+  const fileRecord = await stampedFile(entitlement, delivered);
+
+  // Only responses that send the file from the start use up a download;
+  // resumed transfers are part of one that was already counted.
+  if (
+    startsDownload(request, fileRecord) &&
+    !(await claimDownload(entitlement))
+  ) {
+    throw downloadDeniedResponse("limit-reached");
+  }
+
+  const response = await createDownloadResponse(request, fileRecord, {
+    cacheControl: "private, no-store",
+  });
+
+  return trackDownload(request, response, {
+    shop: entitlement.shop,
+    fileId,
+    fileName: fileRecord.originalName,
+    fileVersion: fileRecord.version,
+    source: "customer",
+    entitlementId: entitlement.id,
+    orderId: entitlement.orderId,
+    orderName: entitlement.orderName,
+    customerEmail: entitlement.customerEmail,
+  });
+};
@@ -0,0 +1,178 @@
+import {
+  isRouteErrorResponse,
+  useLoaderData,
+  useRouteError,
+} from "react-router";
+import { findTokenEntitlements } from "../../entitlements.server";
+import { checkEntitlement } from "../../download-policies.server";
+import { deliveredFile } from "../../file-versions.server";
+import { scanDeniedReason } from "../../scans.server";
+import {
+  findLineItemKeys,
+  findLineItemShortages,
+} from "../../license-keys.server";
+import { formatDate, formatFileSize } from "../../format";
+import styles from "./styles.module.css";
+
+export const loader = async ({ params }) => {
+  const result = await findTokenEntitlements(params.token);
+
+  if (!result.valid) {
+    throw new Response(
+      result.reason === "expired"
+        ? "This download link has expired."
+        : "This download link is not valid.",
+      { status: 403 },
+    );
+  }
+
+  const [licenseKeys, waitingKeys] = await Promise.all([
+    findLineItemKeys(result.shop, result.lineItemId),
+    findLineItemShortages(result.shop, result.lineItemId),
+  ]);
+
+  if (
+    result.entitlements.length === 0 &&
+    licenseKeys.length === 0 &&
+    waitingKeys.length === 0
+  ) {
+    throw new Response("There are no downloads for this purchase.", {
+      status: 404,
+    });
+  }
+
+  const files = await Promise.all(result.entitlements.map(deliveredFile));
+
+  return {
+    token: params.token,
+    orderName: (result.entitlements[0] || licenseKeys[0] || waitingKeys[0])
+      .orderName,
+    files: result.entitlements.map((entitlement, index) => ({
+      id: entitlement.file.id,
+      name: entitlement.file.originalName,
+      size: files[index].size,
+      denied: checkEntitlement(entitlement) || scanDeniedReason(files[index]),
+      remaining:
+        entitlement.downloadLimit != null
+          ? entitlement.downloadLimit - entitlement.downloadCount
+          : null,
+      expiresAt: entitlement.expiresAt?.toISOString() ?? null,
+    })),
+    licenseKeys: licenseKeys.map((licenseKey) => ({
+      id: licenseKey.id,
+      key: licenseKey.key,
+      product: licenseKey.pool.variantTitle
+        ? `${licenseKey.pool.productTitle} – ${licenseKey.pool.variantTitle}`
+        : licenseKey.pool.productTitle,
+      revoked: Boolean(licenseKey.revokedAt),
+    })),
+    waitingKeys: waitingKeys.map((shortage) => ({
+      id: shortage.id,
+      product: shortage.pool.variantTitle
+        ? `${shortage.pool.productTitle} – ${shortage.pool.variantTitle}`
+        : shortage.pool.productTitle,
+    })),
+  };
+};
+
+const describeAccess = (file) => {
+  if (file.denied === "expired") return "Download period ended";
+  if (file.denied === "limit-reached") return "Download limit reached";
+  if (file.denied === "scan-pending") return "Being checked, try again soon";
+  if (file.denied === "quarantined") return "Failed a malware check";
+
+  const parts = [];
+  if (file.remaining != null) {
+    parts.push(
+      `${file.remaining} download${file.remaining === 1 ? "" : "s"} left`,
+    );
+  }
+  if (file.expiresAt) {
+    parts.push(`available until ${formatDate(file.expiresAt)}`);
+  }
+  return parts.join(", ");
+};
+
+export default function Downloads() {
+  const { token, orderName, files, licenseKeys, waitingKeys } = useLoaderData();
+
+  return (
+    <div className={styles.page}>
+      <div className={styles.content}>
+        <h1 className={styles.heading}>Your downloads</h1>
+        <p className={styles.text}>Order {orderName}</p>
+        {files.length > 0 && (
+          <ul className={styles.list}>
+            {files.map((file) => (
+              <li key={file.id} className={styles.item}>
+                <span>
+                  <strong>{file.name}</strong>
+                  <span className={styles.meta}>
+                    {[formatFileSize(file.size), describeAccess(file)]
+                      .filter(Boolean)
+                      .join(" · ")}
+                  </span>
+                </span>
+                {file.denied ? (
+                  <span className={styles.meta}>Unavailable</span>
+                ) : (
+                  <a
+                    className={styles.button}
+                    href={`/downloads/${token}/${file.id}`}
+                  >
+                    Download
+                  </a>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {licenseKeys.length + waitingKeys.length > 0 && (
+          <>
+            <h2 className={styles.subheading}>License keys</h2>
+            <ul className={styles.list}>
+              {licenseKeys.map((licenseKey) => (
+                <li key={licenseKey.id} className={styles.item}>
+                  <span>
+                    <code className={styles.key}>{licenseKey.key}</code>
+                    <span className={styles.meta}>
+                      {[licenseKey.product, licenseKey.revoked && "Revoked"]
+                        .filter(Boolean)
+                        .join(" · ")}
+                    </span>
+                  </span>
+                </li>
+              ))}
+              {waitingKeys.map((waiting) => (
+                <li key={waiting.id} className={styles.item}>
+                  <span>
+                    <strong>{waiting.product}</strong>
+                    <span className={styles.meta}>
+                      Your key is on its way. Check back on this page soon.
+                    </span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export function ErrorBoundary() {
+  const error = useRouteError();
+  const message = isRouteErrorResponse(error)
+    ? error.data
+    : "Something went wrong while loading your downloads.";
+
+  return (
+    <div className={styles.page}>
+      <div className={styles.content}>
+        <h1 className={styles.heading}>Download unavailable</h1>
+        <p className={styles.text}>{message}</p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+import { authenticate } from "../shopify.server";
+import { handleSubscriptionUpdate } from "../billing.server";
+
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await handleSubscriptionUpdate(shop, payload);
+
+  return new Response();
+};
@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { FREE_PLAN } from "../plans";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -12,5 +13,11 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Uninstalling cancels any app subscription.
+  await db.shopSettings.updateMany({
+    where: { shop },
+    data: { plan: FREE_PLAN, subscriptionId: null, subscriptionStatus: null },
+  });
+
   return new Response();
 };
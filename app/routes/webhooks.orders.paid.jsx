@@ -0,0 +1,62 @@
+import { authenticate } from "../shopify.server";
+import {
+  createEntitlementsForOrder,
+  publishDownloadLinks,
+} from "../entitlements.server";
+import { assignLicenseKeys } from "../license-keys.server";
+import { recordDelivery } from "../deliveries.server";
+
+export const action = async ({ request }) => {
+  const { admin, shop, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  try {
+    const entitlements = await createEntitlementsForOrder(shop, payload);
+    const { licenseKeys, shortages } = await assignLicenseKeys(shop, payload);
+
+    if (
+      entitlements.length > 0 ||
+      licenseKeys.length > 0 ||
+      shortages.length > 0
+    ) {
+      console.log(
+        `Granted ${entitlements.length} download(s) and ${licenseKeys.length} license key(s) for order ${payload.name}`,
+      );
+
+      // The admin context is missing when the webhook arrives after uninstall.
+      if (admin) {
+        await publishDownloadLinks(admin, payload, {
+          entitlements,
+          licenseKeys,
+          shortages,
+        });
+      }
+
+      // Orders with line items waiting for keys are not delivered until
+      // the keys are assigned.
+      await recordDelivery(shop, payload, {
+        status: shortages.length > 0 ? "awaiting-keys" : "delivered",
+        fileCount: entitlements.length,
+      });
+    }
+
+    // Line items whose pool ran out wait for keys; the merchant assigns them
+    // from the license keys page, or they go out when keys are added.
+    if (shortages.length > 0) {
+      console.warn(
+        `${shortages.length} license key(s) of order ${payload.name} are waiting for keys`,
+      );
+    }
+  } catch (error) {
+    console.error(`Error delivering order ${payload.name}:`, error);
+    await recordDelivery(shop, payload, {
+      status: "failed",
+      error: error.message,
+    });
+    // Failing the webhook makes Shopify retry the delivery.
+    throw error;
+  }
+
+  return new Response();
+};
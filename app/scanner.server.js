@@ -0,0 +1,46 @@
+import { createClamavScanner } from "./scanners/clamav.server";
+import { createStubScanner } from "./scanners/stub.server";
+
+// Every driver implements the same interface:
+//   scan(readable) -> { infected, signature }
+// and throws when the file could not be scanned.
+//
+// There is no default driver: the stub only catches the EICAR test file, so
+// it has to be chosen explicitly for development and tests.
+function createScanner() {
+  const driver = process.env.SCANNER_DRIVER;
+
+  if (!driver) {
+    throw new Error(
+      'SCANNER_DRIVER is not set; use "clamav", or "stub" outside production',
+    );
+  }
+
+  if (driver === "stub") {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error('SCANNER_DRIVER "stub" cannot be used in production');
+    }
+    return createStubScanner();
+  }
+
+  if (driver === "clamav") {
+    return createClamavScanner({
+      socketPath: process.env.CLAMAV_SOCKET,
+      host: process.env.CLAMAV_HOST || "127.0.0.1",
+      port: Number(process.env.CLAMAV_PORT) || 3310,
+      timeout: Number(process.env.CLAMAV_TIMEOUT_MS) || 60000,
+    });
+  }
+
+  throw new Error(`Unknown SCANNER_DRIVER "${driver}"`);
+}
+
+// The driver is resolved on the first scan rather than at startup, so a
+// missing SCANNER_DRIVER fails scans, which leaves files pending, instead
+// of keeping the app from booting.
+let scanner;
+
+export function getScanner() {
+  scanner ??= createScanner();
+  return scanner;
+}
@@ -0,0 +1,65 @@
+import { connect } from "net";
+import { once } from "events";
+
+// clamd rejects INSTREAM chunks above its StreamMaxLength, so large reads
+// are split before they are sent.
+const CHUNK_SIZE = 64 * 1024;
+
+function readReply(socket) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    socket.on("data", (chunk) => chunks.push(chunk));
+    socket.on("end", () =>
+      resolve(Buffer.concat(chunks).toString("utf8").replace(/\0/g, "").trim()),
+    );
+    socket.on("error", reject);
+    socket.on("timeout", () =>
+      socket.destroy(new Error("ClamAV did not answer in time")),
+    );
+  });
+}
+
+// Scans with a clamd daemon over its INSTREAM command, on a Unix socket or
+// a TCP port.
+export function createClamavScanner({ socketPath, host, port, timeout }) {
+  return {
+    async scan(stream) {
+      const socket = socketPath ? connect(socketPath) : connect(port, host);
+      socket.setTimeout(timeout);
+      const reply = readReply(socket);
+      // clamd may close the connection early, such as when the stream is
+      // too large; its reply explains why.
+      reply.catch(() => {});
+
+      try {
+        await once(socket, "connect");
+        socket.write("zINSTREAM\0");
+        for await (const chunk of stream) {
+          for (let start = 0; start < chunk.length; start += CHUNK_SIZE) {
+            const part = chunk.subarray(start, start + CHUNK_SIZE);
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(part.length);
+            socket.write(length);
+            if (!socket.write(part)) {
+              await once(socket, "drain");
+            }
+          }
+        }
+        socket.end(Buffer.alloc(4));
+      } catch (error) {
+        socket.destroy();
+        throw error;
+      }
+
+      const text = await reply;
+      if (text === "stream: OK") {
+        return { infected: false };
+      }
+      const found = /^stream: (.+) FOUND$/.exec(text);
+      if (found) {
+        return { infected: true, signature: found[1] };
+      }
+      throw new Error(`ClamAV could not scan the file: ${text}`);
+    },
+  };
+}
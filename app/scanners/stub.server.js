@@ -0,0 +1,20 @@
+// The marker string of the EICAR anti-virus test file.
+const EICAR_MARKER = "EICAR-STANDARD-ANTIVIRUS-TEST-FILE";
+
+// Scans nothing for real: every file is clean except ones containing the
+// EICAR test string, so the quarantine flow can be tried without ClamAV.
+export function createStubScanner() {
+  return {
+    async scan(stream) {
+      let tail = "";
+      for await (const chunk of stream) {
+        const text = tail + Buffer.from(chunk).toString("latin1");
+        if (text.includes(EICAR_MARKER)) {
+          return { infected: true, signature: "Eicar-Test-Signature" };
+        }
+        tail = text.slice(-EICAR_MARKER.length);
+      }
+      return { infected: false };
+    },
+  };
+}
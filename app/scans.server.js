@@ -0,0 +1,106 @@
+import prisma from "./db.server";
+import storage from "./storage.server";
+import { getScanner } from "./scanner.server";
+
+// Files stored before scanning was added start out "unscanned" and stay
+// deliverable until their first scan; new uploads wait as "pending".
+export const SCAN_STATUSES = ["unscanned", "pending", "clean", "quarantined"];
+
+// Scan results belong to the stored contents, so every file and version
+// sharing a blob gets the same status.
+async function recordScan(shop, storageKey, data) {
+  await prisma.$transaction([
+    prisma.file.updateMany({ where: { shop, storageKey }, data }),
+    prisma.fileVersion.updateMany({
+      where: { storageKey, file: { shop } },
+      data,
+    }),
+  ]);
+}
+
+async function scanBlob(shop, storageKey, { force }) {
+  if (!force) {
+    const scanned = await prisma.fileVersion.findFirst({
+      where: {
+        storageKey,
+        file: { shop },
+        scanStatus: { in: ["clean", "quarantined"] },
+      },
+    });
+    if (scanned) {
+      await recordScan(shop, storageKey, {
+        scanStatus: scanned.scanStatus,
+        scanResult: scanned.scanResult,
+      });
+      return;
+    }
+  }
+
+  const { infected, signature } = await getScanner().scan(
+    await storage.stream(storageKey),
+  );
+  await recordScan(shop, storageKey, {
+    scanStatus: infected ? "quarantined" : "clean",
+    scanResult: infected ? signature : null,
+  });
+}
+
+// Files are scanned one at a time, and each blob only once however many
+// files share it. A scan that fails leaves the files pending so they are
+// picked up again by `scanPendingFiles`.
+const pending = new Map();
+let queue = Promise.resolve();
+
+export function queueScan(shop, storageKey, { force = false } = {}) {
+  if (!pending.has(storageKey)) {
+    const job = queue
+      .then(() => scanBlob(shop, storageKey, { force }))
+      .catch((error) => console.error(`Could not scan ${storageKey}:`, error))
+      .finally(() => pending.delete(storageKey));
+    queue = job;
+    pending.set(storageKey, job);
+  }
+  return pending.get(storageKey);
+}
+
+// Queues every blob still waiting for a scan, such as after a restart or
+// while the scanner was unavailable. Runs as a background job.
+export async function scanPendingFiles() {
+  const versions = await prisma.fileVersion.findMany({
+    where: {
+      scanStatus: { in: ["unscanned", "pending"] },
+      file: { deletedAt: null },
+    },
+    select: { storageKey: true, file: { select: { shop: true } } },
+    distinct: ["storageKey"],
+  });
+  for (const { storageKey, file } of versions) {
+    queueScan(file.shop, storageKey);
+  }
+}
+
+// Scans a file's current contents again, for example after a false
+// positive once the scanner's signatures are updated.
+export async function rescanFile(shop, fileId) {
+  const file = await prisma.file.findFirst({
+    where: { id: fileId, shop, deletedAt: null },
+  });
+  if (!file) {
+    return { error: "File not found" };
+  }
+
+  await recordScan(shop, file.storageKey, {
+    scanStatus: "pending",
+    scanResult: null,
+  });
+  queueScan(shop, file.storageKey, { force: true });
+  return { success: true };
+}
+
+// Why a file may not be delivered to customers yet, if at all.
+export function scanDeniedReason(fileRecord) {
+  if (["clean", "unscanned"].includes(fileRecord.scanStatus)) return null;
+  return fileRecord.scanStatus === "quarantined"
+    ? "quarantined"
+    : "scan-pending";
+}
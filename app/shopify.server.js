@@ -2,10 +2,12 @@ import "@shopify/shopify-app-react-router/adapters/node";
 import {
   ApiVersion,
   AppDistribution,
+  BillingInterval,
   shopifyApp,
 } from "@shopify/shopify-app-react-router/server";
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import prisma from "./db.server";
+import { PAID_PLANS, PLANS } from "./plans";
 
 const shopify = shopifyApp({
   apiKey: process.env.SHOPIFY_API_KEY,
@@ -16,6 +18,21 @@ const shopify = shopifyApp({
   authPathPrefix: "/auth",
   sessionStorage: new PrismaSessionStorage(prisma),
   distribution: AppDistribution.AppStore,
+  billing: Object.fromEntries(
+    PAID_PLANS.map((plan) => [
+      plan,
+      {
+        trialDays: 7,
+        lineItems: [
+          {
+            amount: PLANS[plan].price,
+            currencyCode: "USD",
+            interval: BillingInterval.Every30Days,
+          },
+        ],
+      },
+    ]),
+  ),
   future: {
     expiringOfflineAccessTokens: true,
   },
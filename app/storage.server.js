@@ -0,0 +1,44 @@
+import { join } from "path";
+import { createLocalStorage } from "./storage/local.server";
+import { createS3Storage } from "./storage/s3.server";
+import { createEncryptedStorage } from "./storage/encrypted.server";
+import { getDataKey, getShopDataKey } from "./data-keys.server";
+
+// Every driver implements the same interface, keyed by storage key:
+//   save(key, readable, { shop }) -> { size }
+//   stream(key, { start, end }) -> readable
+//   delete(key)
+//   stat(key) -> { size, lastModified } | null
+function createStorage() {
+  const driver = process.env.STORAGE_DRIVER || "local";
+
+  if (driver === "local") {
+    return createLocalStorage({
+      root: process.env.LOCAL_STORAGE_DIR || join(process.cwd(), "uploads"),
+    });
+  }
+
+  if (driver === "s3") {
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      prefix: process.env.S3_PREFIX || "",
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+}
+
+// Files are encrypted with their shop's data key when ENCRYPTION_MASTER_KEY
+// is set; sizes and byte ranges always refer to the decrypted contents.
+// The wrapper adds isEncrypted(key) to the driver interface.
+const storage = createEncryptedStorage(createStorage(), {
+  forShop: getShopDataKey,
+  byId: getDataKey,
+});
+
+export default storage;
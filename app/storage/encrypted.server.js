@@ -0,0 +1,175 @@
+import { createCipheriv, createDecipheriv, randomBytes } from "crypto";
+import { Readable, Transform } from "stream";
+
+// Encrypted objects start with a header naming the data key and IV:
+//   magic (8) | data key id, space padded (32) | IV (16)
+// Objects without it were stored before encryption and are read as is.
+const MAGIC = Buffer.from("DDENC\x00\x01\x00", "latin1");
+const KEY_ID_LENGTH = 32;
+const IV_LENGTH = 16;
+const HEADER_SIZE = MAGIC.length + KEY_ID_LENGTH + IV_LENGTH;
+const BLOCK_SIZE = 16;
+const MAX_CACHED_HEADERS = 1000;
+
+function createHeader(keyId, iv) {
+  return Buffer.concat([
+    MAGIC,
+    Buffer.from(keyId.padEnd(KEY_ID_LENGTH), "latin1"),
+    iv,
+  ]);
+}
+
+function parseHeader(buffer) {
+  if (buffer.length < HEADER_SIZE || !buffer.subarray(0, 8).equals(MAGIC)) {
+    return null;
+  }
+  return {
+    keyId: buffer.toString("latin1", 8, 8 + KEY_ID_LENGTH).trim(),
+    iv: buffer.subarray(8 + KEY_ID_LENGTH, HEADER_SIZE),
+  };
+}
+
+// CTR mode treats the IV as a 128-bit counter, incremented once per block,
+// so decryption can start at any block.
+function counterAt(iv, block) {
+  const counter = Buffer.from(iv);
+  let carry = block;
+  for (let i = counter.length - 1; i >= 0 && carry > 0; i--) {
+    const sum = counter[i] + (carry % 256);
+    counter[i] = sum % 256;
+    carry = Math.floor(carry / 256) + Math.floor(sum / 256);
+  }
+  return counter;
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Wraps a storage driver so objects are encrypted with AES-256-CTR on save
+// and decrypted on read, byte ranges included. `keys.forShop(shop)` gives
+// the data key to encrypt with, or null to store unencrypted, and
+// `keys.byId(id)` the key named in an object's header.
+export function createEncryptedStorage(driver, keys) {
+  // Stored objects never change, so their headers can be remembered.
+  const headers = new Map();
+
+  // Returns the object's header plus its decrypted `size`, or null when it
+  // is not encrypted.
+  async function readHeader(key, stat) {
+    if (headers.has(key)) return headers.get(key);
+
+    stat = stat || (await driver.stat(key));
+    if (!stat) return null;
+
+    const parsed =
+      stat.size >= HEADER_SIZE
+        ? parseHeader(
+            await readAll(
+              await driver.stream(key, { start: 0, end: HEADER_SIZE - 1 }),
+            ),
+          )
+        : null;
+    const header = parsed && { ...parsed, size: stat.size - HEADER_SIZE };
+    if (headers.size >= MAX_CACHED_HEADERS) {
+      headers.delete(headers.keys().next().value);
+    }
+    headers.set(key, header);
+    return header;
+  }
+
+  return {
+    async save(key, stream, { shop } = {}) {
+      const dataKey = shop ? await keys.forShop(shop) : null;
+      if (!dataKey) {
+        return driver.save(key, stream);
+      }
+
+      const iv = randomBytes(IV_LENGTH);
+      const header = createHeader(dataKey.id, iv);
+      const cipher = createCipheriv("aes-256-ctr", dataKey.key, iv);
+      let headerSent = false;
+      const encrypted = new Transform({
+        transform(chunk, encoding, callback) {
+          if (!headerSent) {
+            this.push(header);
+            headerSent = true;
+          }
+          callback(null, cipher.update(chunk));
+        },
+        flush(callback) {
+          if (!headerSent) this.push(header);
+          callback(null, cipher.final());
+        },
+      });
+      stream.on("error", (error) => encrypted.destroy(error));
+
+      const { size } = await driver.save(key, stream.pipe(encrypted));
+      headers.delete(key);
+      return { size: size - HEADER_SIZE };
+    },
+
+    async stream(key, { start, end } = {}) {
+      const header = await readHeader(key);
+      if (!header) {
+        return driver.stream(key, { start, end });
+      }
+
+      if ((start ?? 0) >= header.size) {
+        return Readable.from([]);
+      }
+
+      const dataKey = await keys.byId(header.keyId);
+      const block = Math.floor((start ?? 0) / BLOCK_SIZE);
+      let skip = (start ?? 0) % BLOCK_SIZE;
+      const source = await driver.stream(key, {
+        start: HEADER_SIZE + block * BLOCK_SIZE,
+        end: end !== undefined ? HEADER_SIZE + end : undefined,
+      });
+
+      const decipher = createDecipheriv(
+        "aes-256-ctr",
+        dataKey.key,
+        counterAt(header.iv, block),
+      );
+      const decrypted = new Transform({
+        transform(chunk, encoding, callback) {
+          let plain = decipher.update(chunk);
+          if (skip > 0) {
+            const skipped = Math.min(skip, plain.length);
+            plain = plain.subarray(skipped);
+            skip -= skipped;
+          }
+          callback(null, plain);
+        },
+        flush(callback) {
+          callback(null, decipher.final());
+        },
+      });
+      source.on("error", (error) => decrypted.destroy(error));
+      return source.pipe(decrypted);
+    },
+
+    async delete(key) {
+      headers.delete(key);
+      await driver.delete(key);
+    },
+
+    async stat(key) {
+      const stat = await driver.stat(key);
+      if (!stat) return null;
+
+      const header = await readHeader(key, stat);
+      return header ? { ...stat, size: header.size } : stat;
+    },
+
+    // False for objects stored before encryption was turned on.
+    async isEncrypted(key) {
+      return Boolean(await readHeader(key));
+    },
+  };
+}
@@ -0,0 +1,49 @@
+import { createReadStream, createWriteStream } from "fs";
+import { mkdir, stat, unlink } from "fs/promises";
+import { dirname, resolve as resolvePath, sep } from "path";
+import { pipeline } from "stream/promises";
+
+export function createLocalStorage({ root }) {
+  const base = resolvePath(root);
+
+  // Keys never leave the storage root, whatever they contain.
+  const resolve = (key) => {
+    const filePath = resolvePath(base, key);
+    if (!filePath.startsWith(base + sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, stream) {
+      const filePath = resolve(key);
+      await mkdir(dirname(filePath), { recursive: true });
+      await pipeline(stream, createWriteStream(filePath));
+      const { size } = await stat(filePath);
+      return { size };
+    },
+
+    async stream(key, { start, end } = {}) {
+      return createReadStream(resolve(key), { start, end });
+    },
+
+    async delete(key) {
+      try {
+        await unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    },
+
+    async stat(key) {
+      try {
+        const stats = await stat(resolve(key));
+        return { size: stats.size, lastModified: stats.mtime };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+  };
+}
@@ -0,0 +1,89 @@
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+import { Transform } from "stream";
+
+// Works with AWS S3 and S3-compatible services (R2, MinIO, Spaces, ...)
+// through a custom endpoint.
+export function createS3Storage({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  prefix = "",
+}) {
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required for the s3 storage driver");
+  }
+
+  const client = new S3Client({
+    region: region || "auto",
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    // Streams the body through a multipart upload so large files are never
+    // held in memory.
+    async save(key, stream) {
+      let size = 0;
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          callback(null, chunk);
+        },
+      });
+      stream.on("error", (error) => counter.destroy(error));
+
+      const upload = new Upload({
+        client,
+        params: {
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: stream.pipe(counter),
+        },
+      });
+      await upload.done();
+
+      return { size };
+    },
+
+    async stream(key, { start, end } = {}) {
+      const { Body } = await client.send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Range:
+            start !== undefined ? `bytes=${start}-${end ?? ""}` : undefined,
+        }),
+      );
+      return Body;
+    },
+
+    async delete(key) {
+      await client.send(
+        new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }),
+      );
+    },
+
+    async stat(key) {
+      try {
+        const head = await client.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }),
+        );
+        return { size: head.ContentLength, lastModified: head.LastModified };
+      } catch (error) {
+        if (error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+  };
+}
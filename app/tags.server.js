@@ -0,0 +1,149 @@
+import prisma from "./db.server";
+import { collectFolderIds } from "./folder-tree";
+
+const MAX_TAG_LENGTH = 40;
+const MAX_METADATA_ENTRIES = 20;
+const MAX_METADATA_KEY_LENGTH = 40;
+const MAX_METADATA_VALUE_LENGTH = 500;
+
+// Splits a comma separated list of tag names, dropping blanks and
+// duplicates that only differ in case.
+export function parseTagNames(value) {
+  const names = new Map();
+  for (const part of (value || "").split(",")) {
+    const name = part.trim().replace(/\s+/g, " ");
+    if (!name) continue;
+    if (name.length > MAX_TAG_LENGTH) {
+      return {
+        error: `Tags can be at most ${MAX_TAG_LENGTH} characters long`,
+      };
+    }
+    if (!names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+  }
+  return { names: [...names.values()] };
+}
+
+// Reads a JSON list of `{ key, value }` pairs. Entries without a key are
+// dropped and a repeated key keeps its last value.
+export function parseMetadata(value) {
+  let entries;
+  try {
+    entries = JSON.parse(value || "[]");
+  } catch {
+    return { error: "Invalid metadata" };
+  }
+  if (!Array.isArray(entries)) {
+    return { error: "Invalid metadata" };
+  }
+
+  const metadata = new Map();
+  for (const entry of entries) {
+    const key = entry?.key?.toString().trim();
+    if (!key) continue;
+    const text = entry.value?.toString().trim() ?? "";
+    if (key.length > MAX_METADATA_KEY_LENGTH) {
+      return {
+        error: `Metadata keys can be at most ${MAX_METADATA_KEY_LENGTH} characters long`,
+      };
+    }
+    if (text.length > MAX_METADATA_VALUE_LENGTH) {
+      return {
+        error: `Metadata values can be at most ${MAX_METADATA_VALUE_LENGTH} characters long`,
+      };
+    }
+    metadata.set(key, text);
+  }
+  if (metadata.size > MAX_METADATA_ENTRIES) {
+    return {
+      error: `A file can have at most ${MAX_METADATA_ENTRIES} metadata fields`,
+    };
+  }
+
+  return {
+    metadata: [...metadata].map(([key, text]) => ({ key, value: text })),
+  };
+}
+
+// Tags in use by at least one file that is not in the trash.
+export async function listTags(shop) {
+  return prisma.tag.findMany({
+    where: { shop, files: { some: { file: { deletedAt: null } } } },
+    orderBy: { name: "asc" },
+  });
+}
+
+// Finds or creates the shop's tags with these names. An existing tag is
+// reused when its name only differs in case.
+async function resolveTags(shop, names) {
+  const existing = await prisma.tag.findMany({ where: { shop } });
+  const byName = new Map(existing.map((tag) => [tag.name.toLowerCase(), tag]));
+
+  const tags = [];
+  for (const name of names) {
+    const tag =
+      byName.get(name.toLowerCase()) ||
+      (await prisma.tag.create({ data: { shop, name } }));
+    byName.set(name.toLowerCase(), tag);
+    tags.push(tag);
+  }
+  return tags;
+}
+
+async function deleteUnusedTags(shop) {
+  await prisma.tag.deleteMany({ where: { shop, files: { none: {} } } });
+}
+
+// Replaces a file's tags and metadata.
+export async function updateFileDetails(shop, fileId, { tags, metadata }) {
+  const tagRecords = await resolveTags(shop, tags);
+
+  await prisma.$transaction([
+    prisma.fileTag.deleteMany({ where: { fileId } }),
+    prisma.fileTag.createMany({
+      data: tagRecords.map((tag) => ({ fileId, tagId: tag.id })),
+    }),
+    prisma.fileMetadata.deleteMany({ where: { fileId } }),
+    prisma.fileMetadata.createMany({
+      data: metadata.map((entry) => ({ ...entry, fileId })),
+    }),
+  ]);
+
+  await deleteUnusedTags(shop);
+}
+
+// Adds tags to the selected files and to every file inside the selected
+// folders. Returns the number of files tagged.
+export async function tagItems(shop, { fileIds, folderIds }, names) {
+  const folders =
+    folderIds.length > 0
+      ? await prisma.folder.findMany({
+          where: { shop, deletedAt: null },
+          select: { id: true, parentId: true },
+        })
+      : [];
+  const nestedFolderIds = folderIds.flatMap((id) =>
+    collectFolderIds(folders, id),
+  );
+
+  const files = await prisma.file.findMany({
+    where: {
+      shop,
+      deletedAt: null,
+      OR: [{ id: { in: fileIds } }, { folderId: { in: nestedFolderIds } }],
+    },
+    select: { id: true, tags: { select: { tagId: true } } },
+  });
+  if (files.length === 0) return 0;
+
+  const tags = await resolveTags(shop, names);
+  const data = files.flatMap((file) =>
+    tags
+      .filter((tag) => !file.tags.some((fileTag) => fileTag.tagId === tag.id))
+      .map((tag) => ({ fileId: file.id, tagId: tag.id })),
+  );
+  if (data.length > 0) {
+    await prisma.fileTag.createMany({ data });
+  }
+
+  return files.length;
+}
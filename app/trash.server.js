@@ -0,0 +1,224 @@
+import prisma from "./db.server";
+import { deleteVersionBlobs } from "./file-versions.server";
+import { deleteStampedCopies } from "./pdf-stamps.server";
+import { deleteFolderTree } from "./folders.server";
+import { getShopSettings } from "./download-policies.server";
+import { collectFolderIds, folderPath } from "./folder-tree";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+async function listAllFolders(shop) {
+  return prisma.folder.findMany({
+    where: { shop },
+    select: { id: true, name: true, parentId: true, deletedAt: true },
+  });
+}
+
+export async function trashFile(shop, fileId) {
+  const { count } = await prisma.file.updateMany({
+    where: { id: fileId, shop, deletedAt: null },
+    data: { deletedAt: new Date() },
+  });
+  return count > 0;
+}
+
+// Trashes a folder together with everything inside it. They share one
+// timestamp so a restore brings back exactly what this delete removed.
+export async function trashFolder(shop, folderId) {
+  const folders = (await listAllFolders(shop)).filter(
+    (folder) => !folder.deletedAt,
+  );
+  if (!folders.some((folder) => folder.id === folderId)) {
+    return false;
+  }
+
+  const folderIds = collectFolderIds(folders, folderId);
+  const deletedAt = new Date();
+
+  await prisma.$transaction([
+    prisma.folder.updateMany({
+      where: { id: { in: folderIds }, shop },
+      data: { deletedAt },
+    }),
+    prisma.file.updateMany({
+      where: { folderId: { in: folderIds }, shop, deletedAt: null },
+      data: { deletedAt },
+    }),
+  ]);
+  return true;
+}
+
+// Lists trashed items that were deleted on their own, not as part of a
+// trashed parent folder, with the place they will be restored to.
+export async function listTrash(shop) {
+  const [folders, files, settings] = await Promise.all([
+    listAllFolders(shop),
+    prisma.file.findMany({
+      where: { shop, deletedAt: { not: null } },
+      orderBy: { deletedAt: "desc" },
+    }),
+    getShopSettings(shop),
+  ]);
+
+  const trashedFolderIds = new Set(
+    folders.filter((folder) => folder.deletedAt).map((folder) => folder.id),
+  );
+  const location = (folderId) =>
+    folderPath(folders, folderId)
+      .map((folder) => folder.name)
+      .join(" / ");
+  const purgeAt = (deletedAt) =>
+    new Date(deletedAt.getTime() + settings.trashRetentionDays * DAY);
+
+  return {
+    retentionDays: settings.trashRetentionDays,
+    folders: folders
+      .filter(
+        (folder) => folder.deletedAt && !trashedFolderIds.has(folder.parentId),
+      )
+      .sort((a, b) => b.deletedAt.getTime() - a.deletedAt.getTime())
+      .map((folder) => ({
+        ...folder,
+        location: location(folder.parentId),
+        purgeAt: purgeAt(folder.deletedAt),
+      })),
+    files: files
+      .filter((file) => !trashedFolderIds.has(file.folderId))
+      .map((file) => ({
+        ...file,
+        location: location(file.folderId),
+        purgeAt: purgeAt(file.deletedAt),
+      })),
+  };
+}
+
+// Restoring an item also restores the trashed folders above it, so it
+// returns to its original place.
+async function restoreAncestors(shop, folders, folderId) {
+  const ancestorIds = folderPath(folders, folderId)
+    .filter((folder) => folder.deletedAt)
+    .map((folder) => folder.id);
+  if (ancestorIds.length === 0) return;
+
+  await prisma.folder.updateMany({
+    where: { id: { in: ancestorIds }, shop },
+    data: { deletedAt: null },
+  });
+}
+
+export async function restoreFile(shop, fileId) {
+  const file = await prisma.file.findFirst({
+    where: { id: fileId, shop, deletedAt: { not: null } },
+  });
+  if (!file) return false;
+
+  await restoreAncestors(shop, await listAllFolders(shop), file.folderId);
+  await prisma.file.update({
+    where: { id: fileId },
+    data: { deletedAt: null },
+  });
+  return true;
+}
+
+export async function restoreFolder(shop, folderId) {
+  const folders = await listAllFolders(shop);
+  const folder = folders.find((f) => f.id === folderId && f.deletedAt);
+  if (!folder) return false;
+
+  const { deletedAt } = folder;
+  const folderIds = collectFolderIds(folders, folderId).filter((id) =>
+    folders.some(
+      (f) => f.id === id && f.deletedAt?.getTime() === deletedAt.getTime(),
+    ),
+  );
+
+  await restoreAncestors(shop, folders, folder.parentId);
+  await prisma.$transaction([
+    prisma.folder.updateMany({
+      where: { id: { in: folderIds }, shop },
+      data: { deletedAt: null },
+    }),
+    prisma.file.updateMany({
+      where: { folderId: { in: folderIds }, shop, deletedAt },
+      data: { deletedAt: null },
+    }),
+  ]);
+  return true;
+}
+
+export async function purgeFile(shop, fileId) {
+  const file = await prisma.file.findFirst({
+    where: { id: fileId, shop, deletedAt: { not: null } },
+  });
+  if (!file) return false;
+
+  await deleteVersionBlobs([file.id]);
+  await deleteStampedCopies([file.id]);
+  await prisma.file.delete({ where: { id: fileId } });
+  return true;
+}
+
+export async function purgeFolder(shop, folderId) {
+  const count = await prisma.folder.count({
+    where: { id: folderId, shop, deletedAt: { not: null } },
+  });
+  if (count === 0) return false;
+
+  return deleteFolderTree(shop, folderId);
+}
+
+export async function emptyTrash(shop) {
+  const { folders, files } = await listTrash(shop);
+  for (const folder of folders) {
+    await purgeFolder(shop, folder.id);
+  }
+  for (const file of files) {
+    await purgeFile(shop, file.id);
+  }
+}
+
+// Permanently deletes everything that has been in the trash for longer than
+// the shop's retention period.
+export async function purgeExpiredTrash(shop) {
+  const { trashRetentionDays } = await getShopSettings(shop);
+  const cutoff = new Date(Date.now() - trashRetentionDays * DAY);
+
+  const [folders, files] = await Promise.all([
+    prisma.folder.findMany({
+      where: { shop, deletedAt: { lt: cutoff } },
+      select: { id: true },
+    }),
+    prisma.file.findMany({
+      where: { shop, deletedAt: { lt: cutoff } },
+      select: { id: true },
+    }),
+  ]);
+
+  for (const folder of folders) {
+    await purgeFolder(shop, folder.id);
+  }
+  for (const file of files) {
+    await purgeFile(shop, file.id);
+  }
+}
+
+// Purges expired trash of every shop that has anything in the trash.
+export async function purgeAllExpiredTrash() {
+  const [folders, files] = await Promise.all([
+    prisma.folder.findMany({
+      where: { deletedAt: { not: null } },
+      distinct: ["shop"],
+      select: { shop: true },
+    }),
+    prisma.file.findMany({
+      where: { deletedAt: { not: null } },
+      distinct: ["shop"],
+      select: { shop: true },
+    }),
+  ]);
+
+  const shops = new Set([...folders, ...files].map(({ shop }) => shop));
+  for (const shop of shops) {
+    await purgeExpiredTrash(shop);
+  }
+}
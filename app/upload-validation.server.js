@@ -0,0 +1,455 @@
+import { getShopSettings } from "./download-policies.server";
+
+// Enough for every signature below, including the tar header at 257.
+const SNIFF_BYTES = 4100;
+const MB = 1024 * 1024;
+
+const bytesAt = (head, offset, bytes) =>
+  bytes.every((byte, i) => head[offset + i] === byte);
+const textAt = (head, offset, text) =>
+  head.toString("latin1", offset, offset + text.length) === text;
+const riff = (head, format) =>
+  textAt(head, 0, "RIFF") && textAt(head, 8, format);
+
+// Magic numbers of common formats, with the extensions each may carry and
+// the MIME type of each extension. Signatures that are not reliably at the
+// start of a file are not `strict`: a file with one of their extensions but
+// no signature is let through rather than rejected. `program` marks
+// executables, which need their own extension or an explicitly allowed type.
+const SIGNATURES = [
+  {
+    label: "a PNG image",
+    test: (head) =>
+      bytesAt(head, 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    types: { png: "image/png", apng: "image/apng" },
+  },
+  {
+    label: "a JPEG image",
+    test: (head) => bytesAt(head, 0, [0xff, 0xd8, 0xff]),
+    types: {
+      jpg: "image/jpeg",
+      jpeg: "image/jpeg",
+      jpe: "image/jpeg",
+      jfif: "image/jpeg",
+    },
+  },
+  {
+    label: "a GIF image",
+    test: (head) => textAt(head, 0, "GIF87a") || textAt(head, 0, "GIF89a"),
+    types: { gif: "image/gif" },
+  },
+  {
+    label: "a WebP image",
+    test: (head) => riff(head, "WEBP"),
+    types: { webp: "image/webp" },
+  },
+  {
+    label: "a WAV file",
+    test: (head) => riff(head, "WAVE"),
+    types: { wav: "audio/wav" },
+  },
+  {
+    label: "an AVI video",
+    test: (head) => riff(head, "AVI "),
+    types: { avi: "video/x-msvideo" },
+  },
+  {
+    label: "a BMP image",
+    test: (head) => textAt(head, 0, "BM"),
+    types: { bmp: "image/bmp" },
+    strict: false,
+  },
+  {
+    label: "a TIFF image",
+    test: (head) =>
+      bytesAt(head, 0, [0x49, 0x49, 0x2a, 0x00]) ||
+      bytesAt(head, 0, [0x4d, 0x4d, 0x00, 0x2a]),
+    types: {
+      tif: "image/tiff",
+      tiff: "image/tiff",
+      dng: "image/x-adobe-dng",
+      nef: "image/x-nikon-nef",
+      cr2: "image/x-canon-cr2",
+      arw: "image/x-sony-arw",
+    },
+  },
+  {
+    label: "a Photoshop document",
+    test: (head) => textAt(head, 0, "8BPS"),
+    types: { psd: "image/vnd.adobe.photoshop" },
+  },
+  {
+    label: "an MP4 or QuickTime file",
+    test: (head) => textAt(head, 4, "ftyp"),
+    types: {
+      mp4: "video/mp4",
+      m4v: "video/x-m4v",
+      m4a: "audio/mp4",
+      m4b: "audio/mp4",
+      mov: "video/quicktime",
+      qt: "video/quicktime",
+      "3gp": "video/3gpp",
+      heic: "image/heic",
+      heif: "image/heif",
+      avif: "image/avif",
+    },
+    strict: false,
+  },
+  {
+    label: "a WebM or Matroska video",
+    test: (head) => bytesAt(head, 0, [0x1a, 0x45, 0xdf, 0xa3]),
+    types: {
+      webm: "video/webm",
+      mkv: "video/x-matroska",
+      mka: "audio/x-matroska",
+    },
+  },
+  {
+    label: "an Ogg file",
+    test: (head) => textAt(head, 0, "OggS"),
+    types: {
+      ogg: "audio/ogg",
+      oga: "audio/ogg",
+      ogv: "video/ogg",
+      opus: "audio/opus",
+    },
+  },
+  {
+    label: "a FLAC file",
+    test: (head) => textAt(head, 0, "fLaC"),
+    types: { flac: "audio/flac" },
+  },
+  {
+    label: "an MP3 file",
+    test: (head) =>
+      textAt(head, 0, "ID3") || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0),
+    types: { mp3: "audio/mpeg", aac: "audio/aac" },
+    strict: false,
+  },
+  {
+    label: "a MIDI file",
+    test: (head) => textAt(head, 0, "MThd"),
+    types: { mid: "audio/midi", midi: "audio/midi" },
+  },
+  {
+    label: "a ZIP archive",
+    test: (head) =>
+      textAt(head, 0, "PK\x03\x04") ||
+      textAt(head, 0, "PK\x05\x06") ||
+      textAt(head, 0, "PK\x07\x08"),
+    types: {
+      zip: "application/zip",
+      docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+      epub: "application/epub+zip",
+      odt: "application/vnd.oasis.opendocument.text",
+      ods: "application/vnd.oasis.opendocument.spreadsheet",
+      odp: "application/vnd.oasis.opendocument.presentation",
+      jar: "application/java-archive",
+      apk: "application/vnd.android.package-archive",
+      cbz: "application/vnd.comicbook+zip",
+      kmz: "application/vnd.google-earth.kmz",
+      sketch: "application/zip",
+      usdz: "model/vnd.usdz+zip",
+      "3mf": "model/3mf",
+    },
+  },
+  {
+    label: "a RAR archive",
+    test: (head) => textAt(head, 0, "Rar!\x1a\x07"),
+    types: { rar: "application/vnd.rar", cbr: "application/vnd.comicbook-rar" },
+  },
+  {
+    label: "a 7-Zip archive",
+    test: (head) => bytesAt(head, 0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]),
+    types: { "7z": "application/x-7z-compressed" },
+  },
+  {
+    label: "a gzip archive",
+    test: (head) => bytesAt(head, 0, [0x1f, 0x8b]),
+    types: { gz: "application/gzip", tgz: "application/gzip" },
+  },
+  {
+    label: "a bzip2 archive",
+    test: (head) => textAt(head, 0, "BZh"),
+    types: { bz2: "application/x-bzip2", tbz2: "application/x-bzip2" },
+  },
+  {
+    label: "an XZ archive",
+    test: (head) => bytesAt(head, 0, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]),
+    types: { xz: "application/x-xz", txz: "application/x-xz" },
+  },
+  {
+    label: "a tar archive",
+    test: (head) => textAt(head, 257, "ustar"),
+    types: { tar: "application/x-tar" },
+    strict: false,
+  },
+  {
+    label: "a legacy Office document",
+    test: (head) =>
+      bytesAt(head, 0, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+    types: {
+      doc: "application/msword",
+      xls: "application/vnd.ms-excel",
+      ppt: "application/vnd.ms-powerpoint",
+      msi: "application/x-msi",
+    },
+  },
+  {
+    label: "an RTF document",
+    test: (head) => textAt(head, 0, "{\\rtf"),
+    types: { rtf: "application/rtf" },
+  },
+  {
+    label: "a font",
+    test: (head) =>
+      ["wOFF", "wOF2", "OTTO", "true"].some((tag) => textAt(head, 0, tag)) ||
+      bytesAt(head, 0, [0x00, 0x01, 0x00, 0x00, 0x00]),
+    types: {
+      woff: "font/woff",
+      woff2: "font/woff2",
+      otf: "font/otf",
+      ttf: "font/ttf",
+    },
+    strict: false,
+  },
+  {
+    label: "an SQLite database",
+    test: (head) => textAt(head, 0, "SQLite format 3\x00"),
+    types: { sqlite: "application/vnd.sqlite3", db: "application/vnd.sqlite3" },
+  },
+  {
+    label: "a Windows program",
+    test: (head) => textAt(head, 0, "MZ"),
+    types: {
+      exe: "application/vnd.microsoft.portable-executable",
+      dll: "application/vnd.microsoft.portable-executable",
+    },
+    program: true,
+  },
+  {
+    label: "a Linux program",
+    test: (head) => bytesAt(head, 0, [0x7f, 0x45, 0x4c, 0x46]),
+    types: {
+      so: "application/x-sharedlib",
+      appimage: "application/x-executable",
+    },
+    program: true,
+  },
+  {
+    label: "a macOS program",
+    test: (head) =>
+      [
+        [0xfe, 0xed, 0xfa, 0xce],
+        [0xfe, 0xed, 0xfa, 0xcf],
+        [0xce, 0xfa, 0xed, 0xfe],
+        [0xcf, 0xfa, 0xed, 0xfe],
+        [0xca, 0xfe, 0xba, 0xbe],
+      ].some((bytes) => bytesAt(head, 0, bytes)),
+    types: { dylib: "application/x-mach-binary", class: "application/java-vm" },
+    program: true,
+  },
+  // Checked last: the PDF header may follow other bytes, so a program could
+  // carry one in its first kilobyte.
+  {
+    label: "a PDF",
+    test: (head) => head.subarray(0, 1024).includes("%PDF-"),
+    types: { pdf: "application/pdf", ai: "application/pdf" },
+  },
+];
+
+// Formats without a signature, recognised as text.
+const TEXT_TYPES = {
+  txt: "text/plain",
+  log: "text/plain",
+  md: "text/markdown",
+  csv: "text/csv",
+  tsv: "text/tab-separated-values",
+  html: "text/html",
+  htm: "text/html",
+  css: "text/css",
+  js: "text/javascript",
+  json: "application/json",
+  xml: "application/xml",
+  svg: "image/svg+xml",
+  yaml: "application/yaml",
+  yml: "application/yaml",
+  srt: "application/x-subrip",
+  vtt: "text/vtt",
+  ics: "text/calendar",
+};
+
+const EXTENSION_TYPES = Object.assign(
+  {},
+  TEXT_TYPES,
+  ...SIGNATURES.map((signature) => signature.types),
+);
+
+export function fileExtension(name) {
+  const match = /\.([^./\\]+)$/.exec(name || "");
+  return match ? match[1].toLowerCase() : "";
+}
+
+// Text starts with a UTF-16 byte order mark, or has no NUL bytes and
+// decodes as UTF-8. The last few bytes are ignored since the sample may
+// end in the middle of a character.
+function looksLikeText(head) {
+  if (bytesAt(head, 0, [0xff, 0xfe]) || bytesAt(head, 0, [0xfe, 0xff])) {
+    return true;
+  }
+  if (head.includes(0)) return false;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(
+      head.length === SNIFF_BYTES ? head.subarray(0, -3) : head,
+    );
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Works out a file's MIME type from its first bytes, checked against its
+// extension. Returns `{ mimeType }`, or `{ error }` when the contents are
+// clearly something other than the extension claims, such as a program
+// renamed to .pdf. A program without its own extension also comes back
+// with `program`, its label.
+export function sniffContent(head, name) {
+  const extension = fileExtension(name);
+  const expected = EXTENSION_TYPES[extension];
+  if (head.length === 0) {
+    return { mimeType: expected || "application/octet-stream" };
+  }
+
+  const signature = SIGNATURES.find((signature) => signature.test(head));
+  if (signature) {
+    if (signature.types[extension]) {
+      return { mimeType: signature.types[extension] };
+    }
+    if (expected) {
+      return {
+        error: `This file looks like ${signature.label}, not a .${extension} file`,
+      };
+    }
+    const mimeType = Object.values(signature.types)[0];
+    return signature.program
+      ? { mimeType, program: signature.label }
+      : { mimeType };
+  }
+
+  const claimed = SIGNATURES.find((signature) => signature.types[extension]);
+  if (claimed && claimed.strict !== false) {
+    return {
+      error: `This file is not ${claimed.label}, although its extension is .${extension}`,
+    };
+  }
+
+  if (looksLikeText(head)) {
+    return { mimeType: expected || "text/plain" };
+  }
+  if (TEXT_TYPES[extension]) {
+    return {
+      error: `This file is not text, although its extension is .${extension}`,
+    };
+  }
+  return { mimeType: expected || "application/octet-stream" };
+}
+
+// Parses the allowed types setting: extensions such as `.pdf` and MIME
+// types such as `audio/mpeg` or `image/*`, separated by commas. Blank
+// allows any type.
+export function parseAllowedTypes(value) {
+  const entries = (value || "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    if (
+      !/^\.[a-z0-9]+$/.test(entry) &&
+      !/^[a-z]+\/([a-z0-9.+-]+|\*)$/.test(entry)
+    ) {
+      return {
+        error: `"${entry}" is not an extension like .pdf or a type like audio/*`,
+      };
+    }
+  }
+
+  return { allowedFileTypes: entries.length > 0 ? entries.join(", ") : null };
+}
+
+function typeAllowed(allowedFileTypes, { name, mimeType }) {
+  if (!allowedFileTypes) return true;
+
+  const extension = fileExtension(name);
+  return allowedFileTypes.split(", ").some((entry) => {
+    if (entry.startsWith(".")) return entry.slice(1) === extension;
+    if (entry.endsWith("/*")) return mimeType.startsWith(entry.slice(0, -1));
+    return entry === mimeType;
+  });
+}
+
+// Checks an upload against the shop's rules before any bytes are sent,
+// going by its name and declared size.
+export async function checkUploadAllowed(shop, { name, size }) {
+  const settings = await getShopSettings(shop);
+  return checkRules(settings, {
+    name,
+    size,
+    mimeType:
+      EXTENSION_TYPES[fileExtension(name)] || "application/octet-stream",
+  });
+}
+
+function checkRules(settings, { name, size, mimeType }) {
+  if (settings.maxUploadMb != null && size > settings.maxUploadMb * MB) {
+    return `Files can be at most ${settings.maxUploadMb} MB`;
+  }
+  if (!typeAllowed(settings.allowedFileTypes, { name, mimeType })) {
+    return `This file type is not allowed. Allowed types: ${settings.allowedFileTypes}`;
+  }
+  return null;
+}
+
+// Reads the start of a stream, then stops it.
+export async function readStreamHead(stream) {
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length >= SNIFF_BYTES) break;
+  }
+  return Buffer.concat(chunks).subarray(0, SNIFF_BYTES);
+}
+
+// Validates a received upload from its first bytes. Returns the MIME type
+// to record, or an error to show to the merchant.
+export async function validateUpload(shop, { name, size, head }) {
+  const { mimeType, program, error } = sniffContent(head, name);
+  if (error) {
+    return { error };
+  }
+
+  const settings = await getShopSettings(shop);
+  // Blank allowed types do not cover programs hiding behind a missing or
+  // unknown extension.
+  if (
+    program &&
+    !(
+      settings.allowedFileTypes &&
+      typeAllowed(settings.allowedFileTypes, { name, mimeType })
+    )
+  ) {
+    return {
+      error: `This file looks like ${program}. Programs need their own extension unless ${mimeType} is an allowed file type`,
+    };
+  }
+  const ruleError = checkRules(settings, { name, size, mimeType });
+  if (ruleError) {
+    return { error: ruleError };
+  }
+
+  return { mimeType };
+}
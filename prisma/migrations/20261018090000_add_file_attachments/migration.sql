@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "FileAttachment" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "fileId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productTitle" TEXT NOT NULL,
+    "variantId" TEXT,
+    "variantTitle" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "FileAttachment_fileId_fkey" FOREIGN KEY ("fileId") REFERENCES "File" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "FileAttachment_shop_productId_idx" ON "FileAttachment"("shop", "productId");
+
+-- CreateIndex
+CREATE INDEX "FileAttachment_shop_variantId_idx" ON "FileAttachment"("shop", "variantId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FileAttachment_fileId_productId_variantId_key" ON "FileAttachment"("fileId", "productId", "variantId");
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "Entitlement" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT NOT NULL,
+    "lineItemId" TEXT NOT NULL,
+    "fileId" TEXT NOT NULL,
+    "customerEmail" TEXT,
+    "customerName" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Entitlement_fileId_fkey" FOREIGN KEY ("fileId") REFERENCES "File" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Entitlement_shop_orderId_idx" ON "Entitlement"("shop", "orderId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Entitlement_lineItemId_fileId_key" ON "Entitlement"("lineItemId", "fileId");
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "Entitlement" ADD COLUMN "downloadLimit" INTEGER;
+ALTER TABLE "Entitlement" ADD COLUMN "expiresAt" DATETIME;
+ALTER TABLE "Entitlement" ADD COLUMN "downloadCount" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "File" ADD COLUMN "downloadExpiryDays" INTEGER;
+ALTER TABLE "File" ADD COLUMN "downloadLimit" INTEGER;
+
+-- CreateTable
+CREATE TABLE "ShopSettings" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "downloadLimit" INTEGER,
+    "downloadExpiryDays" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "ProductPolicy" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productTitle" TEXT NOT NULL,
+    "downloadLimit" INTEGER,
+    "downloadExpiryDays" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductPolicy_shop_productId_key" ON "ProductPolicy"("shop", "productId");
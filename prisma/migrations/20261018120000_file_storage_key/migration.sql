@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "File" RENAME COLUMN "path" TO "storageKey";
+
+-- Rows created before storage drivers held absolute paths into the local
+-- uploads directory, where the stored file name is the storage key.
+UPDATE "File" SET "storageKey" = "filename";
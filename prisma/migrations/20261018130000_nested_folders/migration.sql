@@ -0,0 +1,18 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Folder" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "parentId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Folder_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Folder" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_Folder" ("createdAt", "id", "name", "shop", "updatedAt") SELECT "createdAt", "id", "name", "shop", "updatedAt" FROM "Folder";
+DROP TABLE "Folder";
+ALTER TABLE "new_Folder" RENAME TO "Folder";
+CREATE INDEX "Folder_shop_parentId_idx" ON "Folder"("shop", "parentId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "File" ADD COLUMN "deletedAt" DATETIME;
+
+-- AlterTable
+ALTER TABLE "Folder" ADD COLUMN "deletedAt" DATETIME;
+
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "trashRetentionDays" INTEGER NOT NULL DEFAULT 30;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "File" ADD COLUMN "version" INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE "File" ADD COLUMN "deliverLatest" BOOLEAN NOT NULL DEFAULT true;
+
+-- AlterTable
+ALTER TABLE "Entitlement" ADD COLUMN "fileVersion" INTEGER;
+
+-- AlterTable
+ALTER TABLE "UploadSession" ADD COLUMN "fileId" TEXT;
+
+-- CreateTable
+CREATE TABLE "FileVersion" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "fileId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "filename" TEXT NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "FileVersion_fileId_fkey" FOREIGN KEY ("fileId") REFERENCES "File" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FileVersion_fileId_version_key" ON "FileVersion"("fileId", "version");
+
+-- Existing files become version 1 of themselves.
+INSERT INTO "FileVersion" ("id", "fileId", "version", "filename", "storageKey", "mimeType", "size", "createdAt")
+SELECT "id" || '-v1', "id", 1, "filename", "storageKey", "mimeType", "size", "createdAt" FROM "File";
+UPDATE "Entitlement" SET "fileVersion" = 1;
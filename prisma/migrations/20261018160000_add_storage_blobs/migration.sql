@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "File" ADD COLUMN "sha256" TEXT;
+
+-- AlterTable
+ALTER TABLE "FileVersion" ADD COLUMN "sha256" TEXT;
+
+-- CreateTable
+CREATE TABLE "StorageBlob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "sha256" TEXT NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "refCount" INTEGER NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'ok',
+    "verifiedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StorageBlob_shop_sha256_key" ON "StorageBlob"("shop", "sha256");
+
+-- CreateIndex
+CREATE INDEX "StorageBlob_shop_storageKey_idx" ON "StorageBlob"("shop", "storageKey");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "storageQuotaMb" INTEGER;
+ALTER TABLE "ShopSettings" ADD COLUMN "fileQuota" INTEGER;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "plan" TEXT NOT NULL DEFAULT 'Free';
+ALTER TABLE "ShopSettings" ADD COLUMN "subscriptionId" TEXT;
+ALTER TABLE "ShopSettings" ADD COLUMN "subscriptionStatus" TEXT;
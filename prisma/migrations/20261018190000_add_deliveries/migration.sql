@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "Delivery" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT NOT NULL,
+    "customerEmail" TEXT,
+    "fileCount" INTEGER NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Delivery_shop_orderId_key" ON "Delivery"("shop", "orderId");
+
+-- CreateIndex
+CREATE INDEX "Delivery_shop_createdAt_idx" ON "Delivery"("shop", "createdAt");
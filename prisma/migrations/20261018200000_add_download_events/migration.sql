@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "DownloadEvent" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "fileId" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "fileVersion" INTEGER,
+    "source" TEXT NOT NULL,
+    "entitlementId" TEXT,
+    "orderId" TEXT,
+    "orderName" TEXT,
+    "customerEmail" TEXT,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "rangeStart" INTEGER NOT NULL DEFAULT 0,
+    "bytesServed" INTEGER NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'started',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "DownloadEvent_shop_createdAt_idx" ON "DownloadEvent"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "DownloadEvent_shop_fileId_idx" ON "DownloadEvent"("shop", "fileId");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "allowedFileTypes" TEXT;
+ALTER TABLE "ShopSettings" ADD COLUMN "maxUploadMb" INTEGER;
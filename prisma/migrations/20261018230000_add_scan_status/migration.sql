@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "File" ADD COLUMN "scanStatus" TEXT NOT NULL DEFAULT 'pending';
+ALTER TABLE "File" ADD COLUMN "scanResult" TEXT;
+
+-- AlterTable
+ALTER TABLE "FileVersion" ADD COLUMN "scanStatus" TEXT NOT NULL DEFAULT 'pending';
+ALTER TABLE "FileVersion" ADD COLUMN "scanResult" TEXT;
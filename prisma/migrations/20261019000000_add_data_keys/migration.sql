@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "DataKey" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "wrappedKey" TEXT NOT NULL,
+    "masterKeyId" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DataKey_shop_key" ON "DataKey"("shop");
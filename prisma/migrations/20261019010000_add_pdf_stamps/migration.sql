@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "PdfStamp" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "fileId" TEXT NOT NULL,
+    "position" TEXT NOT NULL DEFAULT 'footer',
+    "template" TEXT NOT NULL,
+    "opacity" REAL NOT NULL DEFAULT 0.5,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "PdfStamp_fileId_fkey" FOREIGN KEY ("fileId") REFERENCES "File" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "StampedCopy" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "entitlementId" TEXT NOT NULL,
+    "sourceKey" TEXT NOT NULL,
+    "stampUpdatedAt" DATETIME NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "StampedCopy_entitlementId_fkey" FOREIGN KEY ("entitlementId") REFERENCES "Entitlement" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PdfStamp_fileId_key" ON "PdfStamp"("fileId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StampedCopy_entitlementId_key" ON "StampedCopy"("entitlementId");
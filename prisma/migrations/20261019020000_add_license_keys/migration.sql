@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "LicenseKeyPool" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productTitle" TEXT NOT NULL,
+    "variantId" TEXT,
+    "variantTitle" TEXT,
+    "source" TEXT NOT NULL DEFAULT 'pool',
+    "pattern" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "LicenseKey" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "poolId" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "orderId" TEXT,
+    "orderName" TEXT,
+    "lineItemId" TEXT,
+    "customerEmail" TEXT,
+    "assignedAt" DATETIME,
+    "revokedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "LicenseKey_poolId_fkey" FOREIGN KEY ("poolId") REFERENCES "LicenseKeyPool" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LicenseKeyPool_shop_productId_variantId_key" ON "LicenseKeyPool"("shop", "productId", "variantId");
+
+-- CreateIndex
+CREATE INDEX "LicenseKey_shop_lineItemId_idx" ON "LicenseKey"("shop", "lineItemId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LicenseKey_shop_key_key" ON "LicenseKey"("shop", "key");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LicenseKey_poolId_lineItemId_key" ON "LicenseKey"("poolId", "lineItemId");
@@ -0,0 +1,118 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_File" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "filename" TEXT NOT NULL,
+    "originalName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" BIGINT NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "sha256" TEXT,
+    "shop" TEXT NOT NULL,
+    "folderId" TEXT,
+    "downloadLimit" INTEGER,
+    "downloadExpiryDays" INTEGER,
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "deliverLatest" BOOLEAN NOT NULL DEFAULT true,
+    "scanStatus" TEXT NOT NULL DEFAULT 'pending',
+    "scanResult" TEXT,
+    "deletedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "File_folderId_fkey" FOREIGN KEY ("folderId") REFERENCES "Folder" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_File" ("createdAt", "deletedAt", "deliverLatest", "downloadExpiryDays", "downloadLimit", "filename", "folderId", "id", "mimeType", "originalName", "scanResult", "scanStatus", "sha256", "shop", "size", "storageKey", "updatedAt", "version") SELECT "createdAt", "deletedAt", "deliverLatest", "downloadExpiryDays", "downloadLimit", "filename", "folderId", "id", "mimeType", "originalName", "scanResult", "scanStatus", "sha256", "shop", "size", "storageKey", "updatedAt", "version" FROM "File";
+DROP TABLE "File";
+ALTER TABLE "new_File" RENAME TO "File";
+CREATE TABLE "new_FileVersion" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "fileId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "filename" TEXT NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" BIGINT NOT NULL,
+    "sha256" TEXT,
+    "scanStatus" TEXT NOT NULL DEFAULT 'pending',
+    "scanResult" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "FileVersion_fileId_fkey" FOREIGN KEY ("fileId") REFERENCES "File" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_FileVersion" ("createdAt", "fileId", "filename", "id", "mimeType", "scanResult", "scanStatus", "sha256", "size", "storageKey", "version") SELECT "createdAt", "fileId", "filename", "id", "mimeType", "scanResult", "scanStatus", "sha256", "size", "storageKey", "version" FROM "FileVersion";
+DROP TABLE "FileVersion";
+ALTER TABLE "new_FileVersion" RENAME TO "FileVersion";
+CREATE UNIQUE INDEX "FileVersion_fileId_version_key" ON "FileVersion"("fileId", "version");
+CREATE TABLE "new_StorageBlob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "sha256" TEXT NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "size" BIGINT NOT NULL,
+    "refCount" INTEGER NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'ok',
+    "verifiedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+INSERT INTO "new_StorageBlob" ("createdAt", "id", "refCount", "sha256", "shop", "size", "status", "storageKey", "verifiedAt") SELECT "createdAt", "id", "refCount", "sha256", "shop", "size", "status", "storageKey", "verifiedAt" FROM "StorageBlob";
+DROP TABLE "StorageBlob";
+ALTER TABLE "new_StorageBlob" RENAME TO "StorageBlob";
+CREATE INDEX "StorageBlob_shop_storageKey_idx" ON "StorageBlob"("shop", "storageKey");
+CREATE UNIQUE INDEX "StorageBlob_shop_sha256_key" ON "StorageBlob"("shop", "sha256");
+CREATE TABLE "new_UploadSession" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "fingerprint" TEXT NOT NULL,
+    "originalName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" BIGINT NOT NULL,
+    "folderId" TEXT,
+    "fileId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_UploadSession" ("createdAt", "fileId", "fingerprint", "folderId", "id", "mimeType", "originalName", "shop", "size", "updatedAt") SELECT "createdAt", "fileId", "fingerprint", "folderId", "id", "mimeType", "originalName", "shop", "size", "updatedAt" FROM "UploadSession";
+DROP TABLE "UploadSession";
+ALTER TABLE "new_UploadSession" RENAME TO "UploadSession";
+CREATE INDEX "UploadSession_shop_fingerprint_idx" ON "UploadSession"("shop", "fingerprint");
+CREATE TABLE "new_DownloadEvent" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "fileId" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "fileVersion" INTEGER,
+    "source" TEXT NOT NULL,
+    "entitlementId" TEXT,
+    "orderId" TEXT,
+    "orderName" TEXT,
+    "customerEmail" TEXT,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "rangeStart" BIGINT NOT NULL DEFAULT 0,
+    "bytesServed" BIGINT NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'started',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_DownloadEvent" ("bytesServed", "createdAt", "customerEmail", "entitlementId", "fileId", "fileName", "fileVersion", "id", "ip", "orderId", "orderName", "rangeStart", "shop", "source", "status", "updatedAt", "userAgent") SELECT "bytesServed", "createdAt", "customerEmail", "entitlementId", "fileId", "fileName", "fileVersion", "id", "ip", "orderId", "orderName", "rangeStart", "shop", "source", "status", "updatedAt", "userAgent" FROM "DownloadEvent";
+DROP TABLE "DownloadEvent";
+ALTER TABLE "new_DownloadEvent" RENAME TO "DownloadEvent";
+CREATE INDEX "DownloadEvent_shop_createdAt_idx" ON "DownloadEvent"("shop", "createdAt");
+CREATE INDEX "DownloadEvent_shop_fileId_idx" ON "DownloadEvent"("shop", "fileId");
+CREATE TABLE "new_StampedCopy" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "entitlementId" TEXT NOT NULL,
+    "sourceKey" TEXT NOT NULL,
+    "stampUpdatedAt" DATETIME NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "size" BIGINT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "StampedCopy_entitlementId_fkey" FOREIGN KEY ("entitlementId") REFERENCES "Entitlement" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_StampedCopy" ("createdAt", "entitlementId", "id", "size", "sourceKey", "stampUpdatedAt", "storageKey", "updatedAt") SELECT "createdAt", "entitlementId", "id", "size", "sourceKey", "stampUpdatedAt", "storageKey", "updatedAt" FROM "StampedCopy";
+DROP TABLE "StampedCopy";
+ALTER TABLE "new_StampedCopy" RENAME TO "StampedCopy";
+CREATE UNIQUE INDEX "StampedCopy_entitlementId_key" ON "StampedCopy"("entitlementId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
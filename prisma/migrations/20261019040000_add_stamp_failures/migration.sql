@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "StampFailure" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "sourceKey" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StampFailure_shop_sourceKey_key" ON "StampFailure"("shop", "sourceKey");
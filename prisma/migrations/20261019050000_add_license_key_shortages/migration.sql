@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "LicenseKeyShortage" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "poolId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT NOT NULL,
+    "lineItemId" TEXT NOT NULL,
+    "customerEmail" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "LicenseKeyShortage_poolId_fkey" FOREIGN KEY ("poolId") REFERENCES "LicenseKeyPool" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "LicenseKeyShortage_shop_lineItemId_idx" ON "LicenseKeyShortage"("shop", "lineItemId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LicenseKeyShortage_poolId_lineItemId_key" ON "LicenseKeyShortage"("poolId", "lineItemId");
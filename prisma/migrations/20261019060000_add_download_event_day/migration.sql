@@ -0,0 +1,33 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_DownloadEvent" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "fileId" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "fileVersion" INTEGER,
+    "source" TEXT NOT NULL,
+    "entitlementId" TEXT,
+    "orderId" TEXT,
+    "orderName" TEXT,
+    "customerEmail" TEXT,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "rangeStart" BIGINT NOT NULL DEFAULT 0,
+    "bytesServed" BIGINT NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'started',
+    "day" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+-- Prisma stores dates as milliseconds since the epoch; rows written by the
+-- column default hold a text timestamp instead.
+INSERT INTO "new_DownloadEvent" ("bytesServed", "createdAt", "customerEmail", "day", "entitlementId", "fileId", "fileName", "fileVersion", "id", "ip", "orderId", "orderName", "rangeStart", "shop", "source", "status", "updatedAt", "userAgent") SELECT "bytesServed", "createdAt", "customerEmail", CASE WHEN typeof("createdAt") IN ('integer', 'real') THEN strftime('%Y-%m-%d', "createdAt" / 1000, 'unixepoch') ELSE substr("createdAt", 1, 10) END, "entitlementId", "fileId", "fileName", "fileVersion", "id", "ip", "orderId", "orderName", "rangeStart", "shop", "source", "status", "updatedAt", "userAgent" FROM "DownloadEvent";
+DROP TABLE "DownloadEvent";
+ALTER TABLE "new_DownloadEvent" RENAME TO "DownloadEvent";
+CREATE INDEX "DownloadEvent_shop_createdAt_idx" ON "DownloadEvent"("shop", "createdAt");
+CREATE INDEX "DownloadEvent_shop_fileId_idx" ON "DownloadEvent"("shop", "fileId");
+CREATE INDEX "DownloadEvent_shop_day_idx" ON "DownloadEvent"("shop", "day");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,21 @@
+-- Files stored before scanning existed stay deliverable until their first
+-- scan. Only versions created before the scan status column was added are
+-- marked; later uploads keep waiting for their scan.
+-- Prisma stores dates as milliseconds since the epoch; rows written by a
+-- column default, like the migrations table, hold a text timestamp instead.
+UPDATE "FileVersion" SET "scanStatus" = 'unscanned'
+WHERE "scanStatus" = 'pending'
+  AND CASE WHEN typeof("createdAt") IN ('integer', 'real') THEN "createdAt" ELSE CAST((julianday("createdAt") - 2440587.5) * 86400000 AS INTEGER) END < (
+    SELECT MIN(CASE WHEN typeof("started_at") IN ('integer', 'real') THEN "started_at" ELSE CAST((julianday("started_at") - 2440587.5) * 86400000 AS INTEGER) END)
+    FROM "_prisma_migrations"
+    WHERE "migration_name" = '20261018230000_add_scan_status'
+  );
+
+UPDATE "File" SET "scanStatus" = 'unscanned'
+WHERE "scanStatus" = 'pending'
+  AND EXISTS (
+    SELECT 1 FROM "FileVersion"
+    WHERE "FileVersion"."fileId" = "File"."id"
+      AND "FileVersion"."version" = "File"."version"
+      AND "FileVersion"."scanStatus" = 'unscanned'
+  );
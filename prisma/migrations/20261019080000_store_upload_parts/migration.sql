@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "UploadSession" ADD COLUMN "received" BIGINT NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "UploadPart" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "uploadId" TEXT NOT NULL,
+    "offset" BIGINT NOT NULL,
+    "size" BIGINT NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "UploadPart_uploadId_fkey" FOREIGN KEY ("uploadId") REFERENCES "UploadSession" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UploadPart_uploadId_offset_key" ON "UploadPart"("uploadId", "offset");
@@ -0,0 +1,19 @@
+// Encrypts files that were stored before ENCRYPTION_MASTER_KEY was set.
+// Files stored since are encrypted already and are skipped, so it is safe
+// to run again after an interruption.
+//
+//   ENCRYPTION_MASTER_KEY=<key> npm run encryption:encrypt-existing
+import prisma from "../app/db.server";
+import { encryptStoredFiles } from "../app/blobs.server";
+
+try {
+  const { encrypted, stampedDropped } = await encryptStoredFiles();
+  console.log(
+    `Encrypted ${encrypted} stored file(s) and dropped ${stampedDropped} unencrypted stamped cop(ies)`,
+  );
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
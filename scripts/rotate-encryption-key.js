@@ -0,0 +1,25 @@
+// Re-wraps every shop's data key with the current master key after it has
+// been rotated. Stored files are not touched, as they stay encrypted with
+// the same data keys.
+//
+//   ENCRYPTION_MASTER_KEY=<new key> \
+//   ENCRYPTION_PREVIOUS_MASTER_KEYS=<old key> \
+//   npm run encryption:rotate
+//
+// Once it has finished, the old key can be removed from
+// ENCRYPTION_PREVIOUS_MASTER_KEYS. A new key can be made with
+// `openssl rand -base64 32`.
+import prisma from "../app/db.server";
+import { rewrapDataKeys } from "../app/data-keys.server";
+
+try {
+  const { rewrapped, masterKeyId } = await rewrapDataKeys();
+  console.log(
+    `Re-wrapped ${rewrapped} data key(s) with master key ${masterKeyId}`,
+  );
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,210 @@
+import { mkdtemp, readdir, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "../app/db.server";
+import {
+  appendUploadPart,
+  completeUpload,
+  initUpload,
+} from "../app/chunked-uploads.server";
+
+const state = vi.hoisted(() => {
+  process.env.SCANNER_DRIVER = "stub";
+  return { dir: null };
+});
+
+vi.mock("../app/db.server", async () => {
+  const { createFakePrisma } = await import("./support/fake-prisma");
+  return { default: createFakePrisma(), toBytes: Number };
+});
+vi.mock("../app/storage.server", async () => {
+  const { createLocalStorage } = await import("../app/storage/local.server");
+  const storage = () => createLocalStorage({ root: join(state.dir, "files") });
+  return {
+    default: {
+      save: (...args) => storage().save(...args),
+      stream: (...args) => storage().stream(...args),
+      delete: (...args) => storage().delete(...args),
+      stat: (...args) => storage().stat(...args),
+    },
+  };
+});
+
+const body = (text) => new Blob([text]).stream();
+
+const upload = (overrides = {}) => ({
+  name: "notes.txt",
+  type: "text/plain",
+  size: 10,
+  fingerprint: "notes.txt-10",
+  ...overrides,
+});
+
+const storedFiles = async () =>
+  (
+    await readdir(join(state.dir, "files"), {
+      recursive: true,
+      withFileTypes: true,
+    }).catch(() => [])
+  )
+    .filter((entry) => entry.isFile())
+    .map((entry) => entry.name);
+
+// The parts an upload has recorded, read back to back.
+async function receivedContents(uploadId) {
+  const parts = prisma
+    .$records("uploadPart")
+    .filter((part) => part.uploadId === uploadId)
+    .sort((a, b) => a.offset - b.offset);
+  const contents = await Promise.all(
+    parts.map((part) =>
+      readFile(join(state.dir, "files", part.storageKey), "utf8"),
+    ),
+  );
+  return contents.join("");
+}
+
+describe("chunked uploads", () => {
+  beforeEach(async () => {
+    prisma.$reset();
+    state.dir = await mkdtemp(join(tmpdir(), "uploads-"));
+  });
+
+  afterEach(async () => {
+    await rm(state.dir, { recursive: true, force: true });
+  });
+
+  it("appends only one of two parts sent at the same offset", async () => {
+    const { uploadId } = await initUpload("shop", upload());
+
+    const results = await Promise.all([
+      appendUploadPart("shop", uploadId, 0, body("hello")),
+      appendUploadPart("shop", uploadId, 0, body("HELLO")),
+    ]);
+
+    expect(results).toEqual([
+      { offset: 5 },
+      { error: "Offset mismatch", offset: 5 },
+    ]);
+    expect(await receivedContents(uploadId)).toBe("hello");
+    expect(await storedFiles()).toHaveLength(1);
+  });
+
+  it("appends consecutive parts in order", async () => {
+    const { uploadId } = await initUpload("shop", upload());
+
+    expect(await appendUploadPart("shop", uploadId, 0, body("hello"))).toEqual({
+      offset: 5,
+    });
+    expect(await appendUploadPart("shop", uploadId, 5, body("world"))).toEqual({
+      offset: 10,
+    });
+    expect(await receivedContents(uploadId)).toBe("helloworld");
+  });
+
+  it("tells a part sent too early where the upload stands", async () => {
+    const { uploadId } = await initUpload("shop", upload());
+
+    expect(await appendUploadPart("shop", uploadId, 5, body("world"))).toEqual({
+      error: "Offset mismatch",
+      offset: 0,
+    });
+    expect(await storedFiles()).toEqual([]);
+  });
+
+  it("stops reading a part that runs past the declared size", async () => {
+    const { uploadId } = await initUpload("shop", upload());
+    await appendUploadPart("shop", uploadId, 0, body("hello"));
+
+    let pulled = 0;
+    const endless = new ReadableStream({
+      pull(controller) {
+        pulled++;
+        controller.enqueue(new Uint8Array(1024));
+      },
+    });
+
+    expect(await appendUploadPart("shop", uploadId, 5, endless)).toEqual({
+      error: "Upload is larger than declared",
+      offset: 5,
+    });
+    expect(pulled).toBeLessThan(10);
+    expect(await receivedContents(uploadId)).toBe("hello");
+    expect(await storedFiles()).toHaveLength(1);
+  });
+
+  it("resumes an upload from the bytes already received", async () => {
+    const first = await initUpload("shop", upload());
+    await appendUploadPart("shop", first.uploadId, 0, body("hello"));
+
+    const resumed = await initUpload("shop", upload());
+    expect(resumed).toEqual({ uploadId: first.uploadId, offset: 5 });
+
+    await appendUploadPart("shop", resumed.uploadId, 5, body("world"));
+    const { file } = await completeUpload("shop", resumed.uploadId);
+
+    expect(file).toMatchObject({ originalName: "notes.txt", size: 10 });
+    expect(
+      await readFile(join(state.dir, "files", file.storageKey), "utf8"),
+    ).toBe("helloworld");
+    expect(prisma.$records("uploadSession")).toEqual([]);
+    expect(await storedFiles()).toEqual([file.storageKey]);
+  });
+
+  it("starts a separate upload for the same file in another folder", async () => {
+    const [folder] = prisma.$seed("folder", { shop: "shop", name: "Books" });
+
+    const top = await initUpload("shop", upload());
+    const inFolder = await initUpload("shop", upload({ folderId: folder.id }));
+
+    expect(inFolder.uploadId).not.toBe(top.uploadId);
+    expect(inFolder.offset).toBe(0);
+  });
+
+  it("rejects a folder of another shop", async () => {
+    const [folder] = prisma.$seed("folder", { shop: "other", name: "Books" });
+
+    expect(await initUpload("shop", upload({ folderId: folder.id }))).toEqual({
+      error: "Folder not found",
+    });
+    expect(prisma.$records("uploadSession")).toEqual([]);
+  });
+
+  it("cleans up when the file cannot be recorded", async () => {
+    const { uploadId } = await initUpload("shop", upload());
+    await appendUploadPart("shop", uploadId, 0, body("helloworld"));
+    vi.spyOn(prisma.file, "create").mockRejectedValueOnce(
+      new Error("database is locked"),
+    );
+
+    await expect(completeUpload("shop", uploadId)).rejects.toThrow(
+      "database is locked",
+    );
+    expect(await storedFiles()).toEqual([]);
+    expect(prisma.$records("storageBlob")).toEqual([]);
+    expect(prisma.$records("uploadSession")).toEqual([]);
+    expect(prisma.$records("uploadPart")).toEqual([]);
+  });
+
+  it("cleans up when the file was deleted during the upload", async () => {
+    const [file] = prisma.$seed("file", {
+      shop: "shop",
+      originalName: "notes.txt",
+      deletedAt: null,
+    });
+    const { uploadId } = await initUpload("shop", upload({ fileId: file.id }));
+    await appendUploadPart("shop", uploadId, 0, body("helloworld"));
+    await prisma.file.update({
+      where: { id: file.id },
+      data: { deletedAt: new Date() },
+    });
+
+    expect(await completeUpload("shop", uploadId)).toEqual({
+      error: "File not found",
+    });
+    expect(await storedFiles()).toEqual([]);
+    expect(prisma.$records("uploadSession")).toEqual([]);
+    expect(prisma.$records("uploadPart")).toEqual([]);
+  });
+});
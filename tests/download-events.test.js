@@ -0,0 +1,115 @@
+import { describe, expect, it, vi } from "vitest";
+import prisma from "../app/db.server";
+import {
+  clientIp,
+  streamDownloadEventsCsv,
+  summarizeDownloadEvents,
+} from "../app/download-events.server";
+
+const groupBy = vi.hoisted(() => vi.fn());
+
+vi.mock("../app/db.server", async () => {
+  const { createFakePrisma } = await import("./support/fake-prisma");
+  const db = createFakePrisma();
+  db.downloadEvent.groupBy = groupBy;
+  return { default: db, toBytes: (value) => Number(value ?? 0) };
+});
+
+const request = (headers) =>
+  new Request("https://app.example.com", { headers });
+
+describe("clientIp", () => {
+  it("uses the address added by the proxy, not the client's", () => {
+    expect(
+      clientIp(request({ "X-Forwarded-For": "10.0.0.1, 203.0.113.7" })),
+    ).toBe("203.0.113.7");
+  });
+
+  it("falls back to X-Real-IP", () => {
+    expect(clientIp(request({ "X-Real-IP": "203.0.113.8" }))).toBe(
+      "203.0.113.8",
+    );
+  });
+});
+
+describe("summarizeDownloadEvents", () => {
+  it("fills every day of the range from grouped counts", async () => {
+    groupBy.mockImplementation(async ({ by: [field], where, _sum }) => {
+      const extra = where.AND?.[1];
+      if (field === "day") {
+        if (_sum) {
+          return [
+            {
+              day: "2026-10-02",
+              _sum: { bytesServed: 300n },
+              _max: { fileName: null },
+            },
+          ];
+        }
+        return [{ day: "2026-10-02", _count: { _all: extra.status ? 1 : 2 } }];
+      }
+      if (_sum) {
+        return [
+          {
+            fileId: "file-1",
+            _sum: { bytesServed: 300n },
+            _max: { fileName: "a.pdf" },
+          },
+        ];
+      }
+      return [{ fileId: "file-1", _count: { _all: extra.status ? 1 : 2 } }];
+    });
+
+    const summary = await summarizeDownloadEvents("shop", {
+      from: "2026-10-01",
+      to: "2026-10-03",
+    });
+
+    expect(summary.totals).toEqual({
+      downloads: 2,
+      aborted: 1,
+      bytesServed: 300,
+    });
+    expect(summary.days.map((day) => day.downloads)).toEqual([0, 2, 0]);
+    expect(summary.topFiles).toEqual([
+      {
+        fileId: "file-1",
+        fileName: "a.pdf",
+        downloads: 2,
+        aborted: 1,
+        bytesServed: 300,
+      },
+    ]);
+  });
+});
+
+describe("streamDownloadEventsCsv", () => {
+  it("streams every event of the range a page at a time", async () => {
+    const findMany = vi.spyOn(prisma.downloadEvent, "findMany");
+    const start = new Date("2026-10-01T00:00:00.000Z").getTime();
+    for (let i = 0; i < 2500; i++) {
+      prisma.$seed("downloadEvent", {
+        shop: i === 0 ? "other" : "shop",
+        fileName: "a.pdf",
+        orderName: `#${i}`,
+        status: "completed",
+        source: "customer",
+        createdAt: new Date(start + Math.floor(i / 2) * 60 * 1000),
+      });
+    }
+
+    const csv = await new Response(
+      streamDownloadEventsCsv("shop", { from: "2026-10-01", to: "2026-10-03" }),
+    ).text();
+    const rows = csv.split("\r\n");
+
+    expect(rows[0]).toMatch(/^createdAt,status,source,fileName/);
+    expect(rows).toHaveLength(2500);
+    expect(new Set(rows.slice(1).map((row) => row.split(",")[5])).size).toBe(
+      2499,
+    );
+    expect(rows[1]).toContain("#2499");
+    expect(findMany).toHaveBeenCalledTimes(3);
+    expect(findMany.mock.calls[0][0].take).toBe(1000);
+  });
+});
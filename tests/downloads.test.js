@@ -0,0 +1,128 @@
+import { Readable } from "stream";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  createDownloadResponse,
+  startsDownload,
+} from "../app/downloads.server";
+
+vi.mock("../app/files.server", () => ({
+  createFileStream: async (storageKey, { start, end }) =>
+    Readable.from([Buffer.alloc(end - start + 1)]),
+  fileExists: async () => true,
+}));
+
+const fileRecord = {
+  id: "file-1",
+  originalName: "book.pdf",
+  storageKey: "book.pdf",
+  mimeType: "application/pdf",
+  size: 1000,
+  updatedAt: new Date("2026-01-01T00:00:00Z"),
+};
+const etag = `"file-1-1000-${fileRecord.updatedAt.getTime()}"`;
+
+const request = (headers = {}, method = "GET") =>
+  new Request("https://example.com/download", { method, headers });
+
+describe("startsDownload", () => {
+  const cases = [
+    ["a plain request", {}, 200, true],
+    ["a malformed range", { Range: "foo" }, 200, true],
+    ["a multi-range request", { Range: "bytes=0-10,20-30" }, 200, true],
+    ["a range from byte 0", { Range: "bytes=0-" }, 206, true],
+    ["a zero-padded range from byte 0", { Range: "bytes=00-" }, 206, true],
+    ["a suffix range covering the file", { Range: "bytes=-1000" }, 206, true],
+    ["a suffix range past the file", { Range: "bytes=-5000" }, 206, true],
+    [
+      "a range with a mismatching If-Range",
+      { Range: "bytes=500-", "If-Range": '"stale"' },
+      200,
+      true,
+    ],
+    [
+      "a range with a matching If-Range",
+      { Range: "bytes=500-", "If-Range": etag },
+      206,
+      false,
+    ],
+    ["a resumed transfer", { Range: "bytes=500-" }, 206, false],
+    ["a short suffix range", { Range: "bytes=-10" }, 206, false],
+    ["a revalidation", { "If-None-Match": etag }, 304, false],
+    ["an unsatisfiable range", { Range: "bytes=5000-" }, 416, false],
+  ];
+
+  it.each(cases)("%s", async (name, headers, status, counts) => {
+    const response = await createDownloadResponse(request(headers), fileRecord);
+    expect(response.status).toBe(status);
+    expect(startsDownload(request(headers), fileRecord)).toBe(counts);
+  });
+
+  it("does not count HEAD requests", () => {
+    expect(startsDownload(request({}, "HEAD"), fileRecord)).toBe(false);
+  });
+});
+
+const policies = vi.hoisted(() => ({
+  claimDownload: vi.fn(),
+}));
+
+vi.mock("../app/entitlements.server", () => ({
+  findTokenEntitlements: async () => ({
+    valid: true,
+    entitlements: [{ id: "entitlement-1", fileId: "file-1", shop: "shop" }],
+  }),
+}));
+vi.mock("../app/download-policies.server", () => ({
+  checkEntitlement: () => null,
+  claimDownload: policies.claimDownload,
+  downloadDeniedResponse: (reason) => new Response(reason, { status: 403 }),
+}));
+vi.mock("../app/file-versions.server", () => ({
+  deliveredFile: async () => ({ ...fileRecord, scanStatus: "clean" }),
+}));
+vi.mock("../app/scans.server", () => ({ scanDeniedReason: () => null }));
+vi.mock("../app/pdf-stamps.server", () => ({
+  stampedFile: async (entitlement, file) => file,
+}));
+vi.mock("../app/download-events.server", () => ({
+  trackDownload: (request, response) => response,
+}));
+
+describe("customer download route", () => {
+  let loader;
+
+  beforeEach(async () => {
+    policies.claimDownload.mockReset().mockResolvedValue(true);
+    ({ loader } = await import("../app/routes/downloads.$token.$fileId"));
+  });
+
+  const download = (headers) =>
+    loader({
+      request: request(headers),
+      params: { token: "token", fileId: "file-1" },
+    });
+
+  it.each([
+    [{ Range: "foo" }],
+    [{ Range: "bytes=00-" }],
+    [{ Range: "bytes=-5000" }],
+    [{ Range: "bytes=500-", "If-Range": '"stale"' }],
+  ])("uses up a download for %j", async (headers) => {
+    await download(headers);
+    expect(policies.claimDownload).toHaveBeenCalledTimes(1);
+  });
+
+  it.each([
+    [{ "If-None-Match": etag }],
+    [{ Range: "bytes=500-" }],
+    [{ Range: "bytes=5000-" }],
+  ])("does not use up a download for %j", async (headers) => {
+    await download(headers);
+    expect(policies.claimDownload).not.toHaveBeenCalled();
+  });
+
+  it("refuses the download when the limit is reached", async () => {
+    policies.claimDownload.mockResolvedValue(false);
+    await expect(download({})).rejects.toMatchObject({ status: 403 });
+  });
+});
@@ -0,0 +1,179 @@
+import { randomBytes } from "crypto";
+import { Readable } from "stream";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createEncryptedStorage } from "../app/storage/encrypted.server";
+
+// The fake database outlives `vi.resetModules`, so data keys survive the
+// reloads that pick up new master keys.
+const db = await vi.hoisted(async () => {
+  const { createFakePrisma } = await import("./support/fake-prisma");
+  return createFakePrisma();
+});
+
+vi.mock("../app/db.server", () => ({ default: db }));
+
+function createMemoryDriver() {
+  const objects = new Map();
+  return {
+    async save(key, stream) {
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      objects.set(key, Buffer.concat(chunks));
+      return { size: objects.get(key).length };
+    },
+    async stream(key, { start = 0, end } = {}) {
+      const object = objects.get(key);
+      return Readable.from([
+        object.subarray(start, end !== undefined ? end + 1 : undefined),
+      ]);
+    },
+    async delete(key) {
+      objects.delete(key);
+    },
+    async stat(key) {
+      return objects.has(key) ? { size: objects.get(key).length } : null;
+    },
+  };
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+describe("encrypted storage", () => {
+  const dataKey = { id: "key-1", key: randomBytes(32) };
+  const contents = randomBytes(5000);
+  let driver;
+  let storage;
+
+  beforeEach(async () => {
+    driver = createMemoryDriver();
+    storage = createEncryptedStorage(driver, {
+      forShop: async () => dataKey,
+      byId: async () => dataKey,
+    });
+    // Several chunks, so the cipher carries its counter across them.
+    await storage.save(
+      "secret",
+      Readable.from([contents.subarray(0, 1000), contents.subarray(1000)]),
+      { shop: "shop" },
+    );
+  });
+
+  it("reads back what it stored, without storing it in the clear", async () => {
+    const stored = await readAll(await driver.stream("secret"));
+
+    expect(stored.includes(contents.subarray(0, 64))).toBe(false);
+    expect(await readAll(await storage.stream("secret"))).toEqual(contents);
+    expect(await storage.stat("secret")).toEqual({ size: 5000 });
+  });
+
+  it.each([
+    [0, 15],
+    [7, 8],
+    [16, 31],
+    [17, 4000],
+    [4999, 4999],
+    [1234, undefined],
+  ])("decrypts the range %i-%s", async (start, end) => {
+    const range = await readAll(await storage.stream("secret", { start, end }));
+
+    expect(range).toEqual(
+      contents.subarray(start, end !== undefined ? end + 1 : undefined),
+    );
+  });
+
+  it("reads nothing past the end", async () => {
+    expect(
+      await readAll(await storage.stream("secret", { start: 5000 })),
+    ).toEqual(Buffer.alloc(0));
+  });
+
+  it("tells encrypted objects from ones stored before encryption", async () => {
+    await driver.save("plain", Readable.from([Buffer.from("hello")]));
+
+    expect(await readAll(await storage.stream("plain"))).toEqual(
+      Buffer.from("hello"),
+    );
+    expect(await storage.isEncrypted("plain")).toBe(false);
+    expect(await storage.isEncrypted("secret")).toBe(true);
+  });
+});
+
+describe("master key rotation", () => {
+  const oldMaster = randomBytes(32).toString("base64");
+  const newMaster = randomBytes(32).toString("base64");
+  const driver = createMemoryDriver();
+
+  // Loads the data keys module afresh, as a restart with these master keys
+  // would, and returns storage using them.
+  async function restart({ current, previous = "" }) {
+    process.env.ENCRYPTION_MASTER_KEY = current ?? "";
+    process.env.ENCRYPTION_PREVIOUS_MASTER_KEYS = previous;
+    vi.resetModules();
+    const dataKeys = await import("../app/data-keys.server");
+    const storage = createEncryptedStorage(driver, {
+      forShop: dataKeys.getShopDataKey,
+      byId: dataKeys.getDataKey,
+    });
+    return { ...dataKeys, storage };
+  }
+
+  const read = async (storage, key) =>
+    (await readAll(await storage.stream(key))).toString();
+
+  beforeEach(() => db.$reset());
+
+  afterEach(() => {
+    delete process.env.ENCRYPTION_MASTER_KEY;
+    delete process.env.ENCRYPTION_PREVIOUS_MASTER_KEYS;
+  });
+
+  it("stores files unencrypted without a master key", async () => {
+    const { storage } = await restart({});
+
+    await storage.save("plain", Readable.from([Buffer.from("hello")]), {
+      shop: "shop",
+    });
+
+    expect(await storage.isEncrypted("plain")).toBe(false);
+    expect(db.$records("dataKey")).toEqual([]);
+  });
+
+  it("keeps files readable across a rotation", async () => {
+    const before = await restart({ current: oldMaster });
+    await before.storage.save("book", Readable.from([Buffer.from("hello")]), {
+      shop: "shop",
+    });
+    const [{ wrappedKey }] = db.$records("dataKey");
+
+    const rotating = await restart({ current: newMaster, previous: oldMaster });
+    expect(await read(rotating.storage, "book")).toBe("hello");
+    const result = await rotating.rewrapDataKeys();
+
+    expect(result.rewrapped).toBe(1);
+    expect(db.$records("dataKey")).toMatchObject([
+      { masterKeyId: result.masterKeyId },
+    ]);
+    expect(db.$records("dataKey")[0].wrappedKey).not.toBe(wrappedKey);
+    expect(await rotating.rewrapDataKeys()).toMatchObject({ rewrapped: 0 });
+
+    const after = await restart({ current: newMaster });
+    expect(await read(after.storage, "book")).toBe("hello");
+  });
+
+  it("cannot read files whose master key was dropped before re-wrapping", async () => {
+    const before = await restart({ current: oldMaster });
+    await before.storage.save("book", Readable.from([Buffer.from("hello")]), {
+      shop: "shop",
+    });
+
+    const after = await restart({ current: newMaster });
+
+    await expect(read(after.storage, "book")).rejects.toThrow(
+      /which is not configured/,
+    );
+  });
+});
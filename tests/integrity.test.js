@@ -0,0 +1,108 @@
+import { createHash } from "crypto";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "../app/db.server";
+import { getIntegrityCheck, queueIntegrityCheck } from "../app/blobs.server";
+
+const state = vi.hoisted(() => ({ dir: null }));
+
+vi.mock("../app/db.server", async () => {
+  const { createFakePrisma } = await import("./support/fake-prisma");
+  return { default: createFakePrisma(), toBytes: Number };
+});
+vi.mock("../app/storage.server", async () => {
+  const { createLocalStorage } = await import("../app/storage/local.server");
+  const storage = () => createLocalStorage({ root: state.dir });
+  return {
+    default: {
+      save: (...args) => storage().save(...args),
+      stream: (...args) => storage().stream(...args),
+      delete: (...args) => storage().delete(...args),
+      stat: (...args) => storage().stat(...args),
+    },
+  };
+});
+
+const sha256 = (contents) =>
+  createHash("sha256").update(contents).digest("hex");
+
+async function seedBlob(storageKey, contents, stored = contents) {
+  if (stored !== null) {
+    await writeFile(join(state.dir, storageKey), stored);
+  }
+  const [blob] = prisma.$seed("storageBlob", {
+    shop: "shop",
+    sha256: sha256(contents),
+    storageKey,
+    size: contents.length,
+    refCount: 1,
+    status: "ok",
+    verifiedAt: null,
+  });
+  return blob;
+}
+
+const blob = (id) =>
+  prisma.$records("storageBlob").find((record) => record.id === id);
+
+describe("integrity checks", () => {
+  beforeEach(async () => {
+    prisma.$reset();
+    state.dir = await mkdtemp(join(tmpdir(), "integrity-"));
+  });
+
+  afterEach(async () => {
+    await rm(state.dir, { recursive: true, force: true });
+  });
+
+  it("checks every stored file in the background", async () => {
+    const intact = await seedBlob("intact.txt", "hello");
+    const changed = await seedBlob("changed.txt", "hello!", "tampered");
+    const missing = await seedBlob("missing.txt", "gone", null);
+
+    const check = queueIntegrityCheck("shop");
+    expect(getIntegrityCheck("shop")).toEqual({ checked: 0, total: null });
+    await check;
+
+    expect(getIntegrityCheck("shop")).toBeNull();
+    expect(blob(intact.id)).toMatchObject({ status: "ok" });
+    expect(blob(changed.id)).toMatchObject({ status: "mismatch" });
+    expect(blob(missing.id)).toMatchObject({ status: "missing" });
+    expect(blob(intact.id).verifiedAt).toBeInstanceOf(Date);
+  });
+
+  it("queues one check per shop at a time", async () => {
+    await seedBlob("intact.txt", "hello");
+
+    const check = queueIntegrityCheck("shop");
+    expect(queueIntegrityCheck("shop")).toBe(check);
+    await check;
+  });
+
+  it("fingerprints versions stored before hashing", async () => {
+    await writeFile(join(state.dir, "old.txt"), "hello");
+    const [file] = prisma.$seed("file", {
+      shop: "shop",
+      originalName: "old.txt",
+      storageKey: "old.txt",
+    });
+    prisma.$seed("fileVersion", {
+      fileId: file.id,
+      version: 1,
+      storageKey: "old.txt",
+      size: 5,
+      sha256: null,
+    });
+
+    await queueIntegrityCheck("shop");
+
+    expect(prisma.$records("fileVersion")).toMatchObject([
+      { sha256: sha256("hello") },
+    ]);
+    expect(prisma.$records("storageBlob")).toMatchObject([
+      { storageKey: "old.txt", status: "ok", refCount: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, expect, it, vi } from "vitest";
+import { action } from "../app/routes/api.license-keys.validate";
+
+vi.mock("../app/license-keys.server", () => ({
+  validateLicenseKey: async () => ({ valid: false, reason: "not-found" }),
+}));
+vi.mock("../app/db.server", () => ({ default: {} }));
+
+const post = (body, headers = {}) =>
+  action({
+    request: new Request("https://app.example.com/api/license-keys/validate", {
+      method: "POST",
+      headers,
+      body,
+    }),
+  });
+
+describe("license key validation endpoint", () => {
+  it("answers a body it cannot read with invalid-request", async () => {
+    const response = await post("shop=a&key=b", {
+      "Content-Type": "text/plain",
+      "X-Forwarded-For": "203.0.113.1",
+    });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      valid: false,
+      reason: "invalid-request",
+    });
+  });
+
+  it("throttles callers that check too many keys", async () => {
+    const form = () =>
+      new URLSearchParams({ shop: "shop.myshopify.com", key: "KEY" });
+    const headers = { "X-Forwarded-For": "203.0.113.2" };
+
+    for (let i = 0; i < 30; i++) {
+      expect((await post(form(), headers)).status).toBe(200);
+    }
+    const response = await post(form(), headers);
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get("Retry-After")).toMatch(/^\d+$/);
+    expect(
+      (await post(form(), { "X-Forwarded-For": "203.0.113.3" })).status,
+    ).toBe(200);
+  });
+
+  it("does not let a few callers use up a shop's validations", async () => {
+    const form = () =>
+      new URLSearchParams({ shop: "busy.myshopify.com", key: "KEY" });
+
+    for (let ip = 10; ip < 21; ip++) {
+      for (let i = 0; i < 30; i++) {
+        await post(form(), { "X-Forwarded-For": `198.51.100.${ip}` });
+      }
+    }
+
+    expect(
+      (await post(form(), { "X-Forwarded-For": "198.51.100.99" })).status,
+    ).toBe(200);
+  });
+});
@@ -0,0 +1,251 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "../app/db.server";
+import {
+  assignLicenseKeys,
+  assignMissingKeys,
+  deleteLicenseKeyPool,
+  importLicenseKeys,
+  setLicenseKeyRevoked,
+  validateLicenseKey,
+} from "../app/license-keys.server";
+
+vi.mock("../app/db.server", async () => {
+  const { createFakePrisma } = await import("./support/fake-prisma");
+  return { default: createFakePrisma(), toBytes: Number };
+});
+
+const ORDER_ID = "gid://shopify/Order/1";
+
+const order = {
+  id: 1,
+  name: "#1001",
+  email: "buyer@example.com",
+  line_items: [{ id: 11, product_id: 1 }],
+};
+
+const delivery = () =>
+  prisma.delivery.findUnique({
+    where: { shop_orderId: { shop: "shop", orderId: ORDER_ID } },
+  });
+
+describe("license key shortages", () => {
+  let pool;
+
+  beforeEach(() => {
+    prisma.$reset();
+    [pool] = prisma.$seed("licenseKeyPool", {
+      shop: "shop",
+      productId: "gid://shopify/Product/1",
+      productTitle: "App",
+      variantId: null,
+      source: "pool",
+    });
+    prisma.$seed("delivery", {
+      shop: "shop",
+      orderId: ORDER_ID,
+      orderName: "#1001",
+      status: "awaiting-keys",
+    });
+  });
+
+  it("records a line item whose pool ran out instead of failing", async () => {
+    const { licenseKeys, shortages } = await assignLicenseKeys("shop", order);
+
+    expect(licenseKeys).toEqual([]);
+    expect(shortages).toMatchObject([
+      { lineItemId: "gid://shopify/LineItem/11", orderName: "#1001" },
+    ]);
+  });
+
+  it("hands imported keys to waiting line items", async () => {
+    await assignLicenseKeys("shop", order);
+
+    const result = await importLicenseKeys("shop", pool.id, ["KEY-1"]);
+
+    expect(result).toEqual({ added: 1, skipped: 0, assigned: 1 });
+    expect(prisma.$records("licenseKey")[0]).toMatchObject({
+      key: "KEY-1",
+      lineItemId: "gid://shopify/LineItem/11",
+      customerEmail: "buyer@example.com",
+    });
+    expect(prisma.$records("licenseKeyShortage")).toEqual([]);
+    expect(await delivery()).toMatchObject({ status: "delivered" });
+  });
+
+  it("keeps the order waiting while any of its line items waits", async () => {
+    await assignLicenseKeys("shop", {
+      ...order,
+      line_items: [...order.line_items, { id: 12, product_id: 1 }],
+    });
+
+    await importLicenseKeys("shop", pool.id, ["KEY-1"]);
+
+    expect(prisma.$records("licenseKeyShortage")).toHaveLength(1);
+    expect(await delivery()).toMatchObject({ status: "awaiting-keys" });
+  });
+
+  it("stops waiting when the pool is deleted", async () => {
+    await assignLicenseKeys("shop", order);
+
+    expect(await deleteLicenseKeyPool("shop", pool.id)).toEqual({
+      success: true,
+    });
+    expect(prisma.$records("licenseKeyShortage")).toEqual([]);
+    expect(await delivery()).toMatchObject({ status: "delivered" });
+  });
+});
+
+describe("license key allocation", () => {
+  const seedPool = (overrides = {}) =>
+    prisma.$seed("licenseKeyPool", {
+      shop: "shop",
+      productId: "gid://shopify/Product/1",
+      productTitle: "App",
+      variantId: null,
+      variantTitle: null,
+      source: "pool",
+      ...overrides,
+    })[0];
+
+  const seedKeys = (pool, keys) =>
+    prisma.$seed(
+      "licenseKey",
+      keys.map((key) => ({ shop: "shop", poolId: pool.id, key })),
+    );
+
+  const keysOf = ({ licenseKeys }) => licenseKeys.map(({ key }) => key);
+
+  beforeEach(() => prisma.$reset());
+
+  it("hands out the oldest unused keys, one per line item", async () => {
+    const pool = seedPool();
+    seedKeys(pool, ["KEY-1", "KEY-2", "KEY-3"]);
+    prisma.$records("licenseKey")[0].revokedAt = new Date();
+
+    const result = await assignLicenseKeys("shop", {
+      ...order,
+      line_items: [...order.line_items, { id: 12, product_id: 1 }],
+    });
+
+    expect(keysOf(result)).toEqual(["KEY-2", "KEY-3"]);
+    expect(result.licenseKeys[0]).toMatchObject({
+      orderId: ORDER_ID,
+      orderName: "#1001",
+      lineItemId: "gid://shopify/LineItem/11",
+      customerEmail: "buyer@example.com",
+    });
+  });
+
+  it("keeps the same keys when the webhook is delivered again", async () => {
+    const pool = seedPool();
+    seedKeys(pool, ["KEY-1", "KEY-2"]);
+
+    const first = await assignLicenseKeys("shop", order);
+    const retry = await assignLicenseKeys("shop", order);
+
+    expect(keysOf(retry)).toEqual(keysOf(first));
+    expect(
+      prisma.$records("licenseKey").filter((key) => key.lineItemId),
+    ).toHaveLength(1);
+  });
+
+  it("records a waiting line item once however often the webhook comes", async () => {
+    seedPool();
+
+    await assignLicenseKeys("shop", order);
+    await assignLicenseKeys("shop", order);
+
+    expect(prisma.$records("licenseKeyShortage")).toHaveLength(1);
+  });
+
+  it("generates keys from a pattern, retrying taken ones", async () => {
+    seedPool({ source: "pattern", pattern: "KEY-XXXX-9999" });
+    const taken = Object.assign(new Error("Unique constraint failed"), {
+      code: "P2002",
+    });
+    vi.spyOn(prisma.licenseKey, "create").mockRejectedValueOnce(taken);
+
+    const result = await assignLicenseKeys("shop", order);
+
+    expect(keysOf(result)).toEqual([
+      expect.stringMatching(/^KEY-[A-Z2-9]{4}-[0-9]{4}$/),
+    ]);
+    expect(prisma.licenseKey.create).toHaveBeenCalledTimes(2);
+  });
+
+  it("uses a variant's own keys and the product's keys for every variant", async () => {
+    const productPool = seedPool();
+    const variantPool = seedPool({
+      variantId: "gid://shopify/ProductVariant/2",
+      variantTitle: "Pro",
+    });
+    seedKeys(productPool, ["APP-1", "APP-2"]);
+    seedKeys(variantPool, ["PRO-1"]);
+
+    const result = await assignLicenseKeys("shop", {
+      ...order,
+      line_items: [
+        { id: 11, product_id: 1, variant_id: 1 },
+        { id: 12, product_id: 1, variant_id: 2 },
+      ],
+    });
+
+    expect(keysOf(result)).toEqual(["APP-1", "APP-2", "PRO-1"]);
+    expect(result.licenseKeys[2]).toMatchObject({
+      lineItemId: "gid://shopify/LineItem/12",
+    });
+  });
+
+  it("assigns keys added outside an import to the oldest waiting orders", async () => {
+    const pool = seedPool();
+    await assignLicenseKeys("shop", order);
+    await assignLicenseKeys("shop", {
+      ...order,
+      id: 2,
+      name: "#1002",
+      line_items: [{ id: 21, product_id: 1 }],
+    });
+    seedKeys(pool, ["KEY-1"]);
+
+    expect(await assignMissingKeys("shop")).toEqual({
+      assigned: 1,
+      waiting: 1,
+    });
+    expect(prisma.$records("licenseKey")).toMatchObject([
+      { key: "KEY-1", orderName: "#1001" },
+    ]);
+    expect(prisma.$records("licenseKeyShortage")).toMatchObject([
+      { orderName: "#1002" },
+    ]);
+  });
+
+  it("validates sold keys without revealing the order", async () => {
+    const pool = seedPool();
+    seedKeys(pool, ["KEY-1", "KEY-2"]);
+    const {
+      licenseKeys: [sold],
+    } = await assignLicenseKeys("shop", order);
+
+    expect(await validateLicenseKey("shop", "KEY-1")).toEqual({
+      valid: true,
+      productId: "gid://shopify/Product/1",
+      product: "App",
+      variantId: null,
+      variant: null,
+    });
+    expect(await validateLicenseKey("shop", "KEY-2")).toEqual({
+      valid: false,
+      reason: "not-found",
+    });
+    expect(await validateLicenseKey("other", "KEY-1")).toEqual({
+      valid: false,
+      reason: "not-found",
+    });
+
+    await setLicenseKeyRevoked("shop", sold.id, true);
+    expect(await validateLicenseKey("shop", "KEY-1")).toEqual({
+      valid: false,
+      reason: "revoked",
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import { PDFDocument } from "pdf-lib";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { stampedFile, updateFileStamp } from "../app/pdf-stamps.server";
+
+const state = vi.hoisted(() => ({
+  contents: null,
+  failures: new Map(),
+  reads: 0,
+  saved: [],
+}));
+
+vi.mock("../app/db.server", () => ({
+  default: {
+    file: {
+      findFirst: async () => ({
+        id: "file-1",
+        mimeType: "application/pdf",
+        storageKey: "source.pdf",
+        size: state.contents.length,
+      }),
+    },
+    pdfStamp: {
+      findUnique: async () => ({
+        position: "footer",
+        template: "{{email}}",
+        opacity: 0.5,
+        updatedAt: new Date(0),
+      }),
+      upsert: async () => ({}),
+      deleteMany: async () => ({}),
+    },
+    stampedCopy: {
+      findUnique: async () => null,
+      findMany: async () => [],
+      deleteMany: async () => ({}),
+      upsert: async ({ create }) => ({ id: "copy", ...create }),
+    },
+    stampFailure: {
+      count: async ({ where }) => (state.failures.has(where.sourceKey) ? 1 : 0),
+      upsert: async ({ create }) => {
+        state.failures.set(create.sourceKey, create.reason);
+      },
+      deleteMany: async ({ where }) => {
+        state.failures.delete(where.sourceKey);
+      },
+    },
+  },
+}));
+vi.mock("../app/storage.server", () => ({
+  default: {
+    save: async (key) => {
+      state.saved.push(key);
+      return { size: 1 };
+    },
+    delete: async () => {},
+  },
+}));
+vi.mock("../app/files.server", () => ({
+  readFileContents: async () => {
+    state.reads++;
+    return state.contents;
+  },
+}));
+
+const entitlement = (id) => ({
+  id,
+  shop: "shop",
+  customerEmail: "buyer@example.com",
+  orderName: "#1001",
+  createdAt: new Date(0),
+});
+
+const fileRecord = () => ({
+  id: "file-1",
+  mimeType: "application/pdf",
+  storageKey: "source.pdf",
+  size: state.contents.length,
+});
+
+describe("PDF stamping", () => {
+  beforeEach(async () => {
+    const document = await PDFDocument.create();
+    document.addPage();
+    state.contents = Buffer.from(await document.save());
+    state.failures.clear();
+    state.reads = 0;
+    state.saved = [];
+  });
+
+  it("stamps a copy per purchase", async () => {
+    const [first, second] = await Promise.all([
+      stampedFile(entitlement("e1"), fileRecord()),
+      stampedFile(entitlement("e2"), fileRecord()),
+    ]);
+
+    expect(first.storageKey).toMatch(/^stamped\/e1-/);
+    expect(second.storageKey).toMatch(/^stamped\/e2-/);
+  });
+
+  it("records a PDF that cannot be stamped and stops retrying it", async () => {
+    state.contents = Buffer.from("not a pdf");
+
+    expect(
+      (await stampedFile(entitlement("e1"), fileRecord())).storageKey,
+    ).toBe("source.pdf");
+    expect(state.failures.get("source.pdf")).toBe("damaged");
+
+    await stampedFile(entitlement("e2"), fileRecord());
+    expect(state.reads).toBe(1);
+    expect(state.saved).toEqual([]);
+  });
+
+  it("refuses to turn stamping on for a PDF it cannot read", async () => {
+    state.contents = Buffer.from("not a pdf");
+
+    expect(
+      await updateFileStamp("shop", "file-1", {
+        position: "footer",
+        template: "{{email}}",
+        opacity: 0.5,
+      }),
+    ).toEqual({ error: "This PDF could not be read, so it cannot be stamped" });
+  });
+});
@@ -0,0 +1,116 @@
+import { Jimp } from "jimp";
+import { PDFDocument } from "pdf-lib";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { ensurePreview } from "../app/previews.server";
+
+const state = vi.hoisted(() => ({
+  contents: null,
+  objects: new Map(),
+  reads: 0,
+}));
+
+vi.mock("../app/storage.server", () => ({
+  default: {
+    save: async (key, stream) => {
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      state.objects.set(key, Buffer.concat(chunks));
+      return { size: state.objects.get(key).length };
+    },
+    stat: async (key) =>
+      state.objects.has(key) ? { size: state.objects.get(key).length } : null,
+    delete: async (key) => state.objects.delete(key),
+  },
+}));
+vi.mock("../app/files.server", () => ({
+  readFileContents: async () => {
+    state.reads++;
+    return state.contents;
+  },
+}));
+
+const image = (contents) => ({
+  shop: "shop",
+  storageKey: "image.png",
+  mimeType: "image/png",
+  size: contents.length,
+});
+
+const pdf = (contents) => ({
+  shop: "shop",
+  storageKey: "book.pdf",
+  mimeType: "application/pdf",
+  size: contents.length,
+});
+
+async function twoPagePdf() {
+  const document = await PDFDocument.create();
+  document.addPage([600, 800]);
+  document.addPage([600, 800]);
+  return Buffer.from(await document.save());
+}
+
+describe("ensurePreview", () => {
+  beforeEach(async () => {
+    state.contents = await new Jimp({ width: 4, height: 4 }).getBuffer(
+      "image/png",
+    );
+    state.objects.clear();
+    state.reads = 0;
+  });
+
+  it("makes a thumbnail of a small image", async () => {
+    expect(await ensurePreview(image(state.contents))).toMatchObject({
+      key: "image.png.thumb.png",
+      mimeType: "image/png",
+    });
+  });
+
+  it("refuses images whose header declares too many pixels", async () => {
+    state.contents.writeUInt32BE(100000, 16);
+    state.contents.writeUInt32BE(100000, 20);
+
+    expect(await ensurePreview(image(state.contents))).toBeNull();
+    expect(state.objects.has("image.png.thumb.png")).toBe(false);
+  });
+
+  it("does not try again after a preview failed", async () => {
+    state.contents = Buffer.from("not an image");
+
+    expect(await ensurePreview(image(state.contents))).toBeNull();
+    expect(await ensurePreview(image(state.contents))).toBeNull();
+    expect(state.reads).toBe(1);
+  });
+
+  it("renders the first page of a PDF as an image", async () => {
+    state.contents = await twoPagePdf();
+
+    const preview = await ensurePreview(pdf(state.contents));
+
+    expect(preview).toMatchObject({
+      key: "book.pdf.page1.png",
+      mimeType: "image/png",
+    });
+    const thumbnail = await Jimp.read(state.objects.get(preview.key));
+    expect([thumbnail.width, thumbnail.height]).toEqual([192, 256]);
+  });
+
+  it("goes without PDF previews when the canvas cannot be loaded", async () => {
+    vi.resetModules();
+    vi.doMock("@napi-rs/canvas", () => {
+      throw new Error("Cannot find native binding");
+    });
+    const logged = vi.spyOn(console, "error").mockImplementation(() => {});
+    const previews = await import("../app/previews.server");
+
+    expect(await previews.ensurePreview(pdf(await twoPagePdf()))).toBeNull();
+    expect(state.reads).toBe(0);
+    expect(await previews.ensurePreview(image(state.contents))).toMatchObject({
+      key: "image.png.thumb.png",
+    });
+    expect([...state.objects.keys()]).toEqual(["image.png.thumb.png"]);
+
+    logged.mockRestore();
+    vi.doUnmock("@napi-rs/canvas");
+  });
+});
@@ -0,0 +1,133 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "../app/db.server";
+import {
+  checkQuota,
+  getStorageUsage,
+  getUsageBreakdown,
+} from "../app/quotas.server";
+
+vi.mock("../app/db.server", async () => {
+  const { createFakePrisma } = await import("./support/fake-prisma");
+  return {
+    default: createFakePrisma(),
+    toBytes: (value) => Number(value ?? 0),
+  };
+});
+
+const MB = 1024 * 1024;
+
+// Seeds a file with one version per entry of `versions`; a version with a
+// hash shares the shop's blob of that hash.
+function seedFile({ folderId = null, deletedAt = null, versions }) {
+  const [file] = prisma.$seed("file", {
+    shop: "shop",
+    originalName: "file",
+    folderId,
+    deletedAt,
+  });
+  versions.forEach(
+    ({ size, sha256 = null, mimeType = "application/pdf" }, i) => {
+      const storageKey = sha256 ? `blob-${sha256}` : `${file.id}-${i}`;
+      if (
+        sha256 &&
+        !prisma.$records("storageBlob").some((b) => b.sha256 === sha256)
+      ) {
+        prisma.$seed("storageBlob", { shop: "shop", sha256, storageKey, size });
+      }
+      prisma.$seed("fileVersion", {
+        fileId: file.id,
+        version: i + 1,
+        storageKey,
+        sha256,
+        size,
+        mimeType,
+      });
+    },
+  );
+  return file;
+}
+
+describe("quotas", () => {
+  beforeEach(() => {
+    prisma.$reset();
+    prisma.$seed("shopSettings", {
+      shop: "shop",
+      storageQuotaMb: 10,
+      fileQuota: 3,
+    });
+  });
+
+  it("counts shared blobs once and versions without one on their own", async () => {
+    seedFile({ versions: [{ size: 4 * MB, sha256: "a" }] });
+    seedFile({ versions: [{ size: 4 * MB, sha256: "a" }, { size: MB }] });
+
+    expect(await getStorageUsage("shop")).toEqual({ bytes: 5 * MB, files: 2 });
+  });
+
+  it("counts files in the trash", async () => {
+    seedFile({ deletedAt: new Date(), versions: [{ size: 2 * MB }] });
+
+    expect(await getStorageUsage("shop")).toEqual({ bytes: 2 * MB, files: 1 });
+  });
+
+  it("refuses uploads past the storage or file quota", async () => {
+    seedFile({ versions: [{ size: 4 * MB, sha256: "a" }] });
+    seedFile({ versions: [{ size: MB }] });
+
+    expect(await checkQuota("shop", { bytes: 5 * MB, files: 1 })).toBeNull();
+    expect(await checkQuota("shop", { bytes: 6 * MB, files: 1 })).toMatch(
+      /needs 6 MB but only 5 MB of your 10 MB/,
+    );
+    expect(await checkQuota("shop", { files: 2 })).toMatch(/limit of 3 files/);
+  });
+
+  it("uses the plan's quota without a shop override", async () => {
+    await prisma.shopSettings.update({
+      where: { shop: "shop" },
+      data: { storageQuotaMb: null, fileQuota: null },
+    });
+    seedFile({ versions: [{ size: 4 * MB }] });
+
+    expect(await checkQuota("shop", { bytes: MB, files: 1 })).toBeNull();
+  });
+
+  it("counts bytes and files reserved by uploads in progress", async () => {
+    seedFile({ versions: [{ size: 5 * MB }] });
+    prisma.$seed("uploadSession", { shop: "shop", size: 4 * MB, fileId: null });
+
+    expect(await checkQuota("shop", { bytes: 2 * MB, files: 1 })).toMatch(
+      /only 1 MB/,
+    );
+    expect(await checkQuota("shop", { bytes: MB, files: 1 })).toBeNull();
+
+    prisma.$seed("uploadSession", { shop: "shop", size: 0, fileId: null });
+    expect(await checkQuota("shop", { files: 1 })).toMatch(/limit of 3 files/);
+  });
+
+  it("breaks usage down without counting shared blobs twice", async () => {
+    const [folder] = prisma.$seed("folder", { shop: "shop", name: "Books" });
+    seedFile({
+      folderId: folder.id,
+      versions: [{ size: 4 * MB, sha256: "a" }],
+    });
+    seedFile({
+      folderId: folder.id,
+      versions: [
+        { size: 4 * MB, sha256: "a" },
+        { size: MB, mimeType: "image/png" },
+      ],
+    });
+
+    const { byFolder, byType } = await getUsageBreakdown("shop");
+    const { bytes } = await getStorageUsage("shop");
+
+    expect(byFolder).toEqual([
+      { key: folder.id, name: "Books", bytes: 5 * MB, files: 2 },
+    ]);
+    expect(byFolder[0].bytes).toBe(bytes);
+    expect(byType).toEqual([
+      { key: "document", name: "document", bytes: 4 * MB, files: 2 },
+      { key: "image", name: "image", bytes: MB, files: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,36 @@
+import { Readable } from "stream";
+import { afterEach, describe, expect, it } from "vitest";
+import { getScanner } from "../app/scanner.server";
+
+const EICAR =
+  "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+const nodeEnv = process.env.NODE_ENV;
+
+describe("scanner", () => {
+  afterEach(() => {
+    delete process.env.SCANNER_DRIVER;
+    process.env.NODE_ENV = nodeEnv;
+  });
+
+  // The driver is only resolved once a scan runs, so importing the module
+  // above succeeded without SCANNER_DRIVER.
+  it("fails scans, not startup, without a driver", () => {
+    expect(() => getScanner()).toThrow(/SCANNER_DRIVER is not set/);
+  });
+
+  it("refuses the stub in production", () => {
+    process.env.SCANNER_DRIVER = "stub";
+    process.env.NODE_ENV = "production";
+
+    expect(() => getScanner()).toThrow(/cannot be used in production/);
+  });
+
+  it("uses the configured driver", async () => {
+    process.env.SCANNER_DRIVER = "stub";
+
+    expect(await getScanner().scan(Readable.from([EICAR]))).toEqual({
+      infected: true,
+      signature: "Eicar-Test-Signature",
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "../app/db.server";
+import { createDownloadToken } from "../app/download-tokens.server";
+import { loader } from "../app/routes/downloads.$token.$fileId";
+import { queueScan } from "../app/scans.server";
+
+const state = vi.hoisted(() => {
+  process.env.SCANNER_DRIVER = "stub";
+  process.env.DOWNLOAD_SIGNING_SECRET = "secret";
+  return { dir: null };
+});
+
+vi.mock("../app/db.server", async () => {
+  const { createFakePrisma } = await import("./support/fake-prisma");
+  return { default: createFakePrisma(), toBytes: Number };
+});
+vi.mock("../app/storage.server", async () => {
+  const { createLocalStorage } = await import("../app/storage/local.server");
+  const storage = () => createLocalStorage({ root: state.dir });
+  return {
+    default: {
+      save: (...args) => storage().save(...args),
+      stream: (...args) => storage().stream(...args),
+      delete: (...args) => storage().delete(...args),
+      stat: (...args) => storage().stat(...args),
+    },
+  };
+});
+
+const LINE_ITEM_ID = "gid://shopify/LineItem/11";
+const EICAR =
+  "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+// Stores `contents` and seeds a file holding them as its only version.
+async function seedFile(storageKey, contents, scanStatus = "pending") {
+  await writeFile(join(state.dir, storageKey), contents);
+  const fields = {
+    storageKey,
+    filename: storageKey,
+    mimeType: "text/plain",
+    size: contents.length,
+    scanStatus,
+  };
+  const [file] = prisma.$seed("file", {
+    ...fields,
+    shop: "shop",
+    originalName: storageKey,
+    version: 1,
+    deliverLatest: false,
+    deletedAt: null,
+  });
+  prisma.$seed("fileVersion", { ...fields, fileId: file.id, version: 1 });
+  return file;
+}
+
+function seedEntitlement(file, fileVersion = file.version) {
+  const [entitlement] = prisma.$seed("entitlement", {
+    shop: "shop",
+    orderId: "gid://shopify/Order/1",
+    orderName: "#1001",
+    lineItemId: LINE_ITEM_ID,
+    fileId: file.id,
+    fileVersion,
+    downloadCount: 0,
+    downloadLimit: null,
+    expiresAt: null,
+  });
+  return entitlement;
+}
+
+const download = (file) =>
+  loader({
+    request: new Request("https://example.com/download"),
+    params: {
+      token: createDownloadToken({ shop: "shop", lineItemId: LINE_ITEM_ID }),
+      fileId: file.id,
+    },
+  });
+
+const scanStatus = (model, id) =>
+  prisma.$records(model).find((record) => record.id === id).scanStatus;
+
+describe("malware scans", () => {
+  beforeEach(async () => {
+    prisma.$reset();
+    state.dir = await mkdtemp(join(tmpdir(), "scans-"));
+  });
+
+  afterEach(async () => {
+    await rm(state.dir, { recursive: true, force: true });
+  });
+
+  it("records the result on every file sharing the scanned contents", async () => {
+    const clean = await seedFile("clean.txt", "hello");
+    const infected = await seedFile("eicar.txt", EICAR);
+    const [copy] = prisma.$seed("file", {
+      shop: "shop",
+      originalName: "copy.txt",
+      storageKey: "eicar.txt",
+      scanStatus: "pending",
+    });
+
+    await Promise.all([
+      queueScan("shop", "clean.txt"),
+      queueScan("shop", "eicar.txt"),
+    ]);
+
+    expect(scanStatus("file", clean.id)).toBe("clean");
+    expect(scanStatus("file", infected.id)).toBe("quarantined");
+    expect(scanStatus("file", copy.id)).toBe("quarantined");
+    expect(prisma.$records("fileVersion")).toMatchObject([
+      { storageKey: "clean.txt", scanStatus: "clean", scanResult: null },
+      {
+        storageKey: "eicar.txt",
+        scanStatus: "quarantined",
+        scanResult: "Eicar-Test-Signature",
+      },
+    ]);
+  });
+
+  it("holds back downloads until the scan has finished", async () => {
+    const file = await seedFile("book.txt", "hello");
+    const entitlement = seedEntitlement(file);
+
+    const response = await download(file).catch((thrown) => thrown);
+    expect(response.status).toBe(403);
+    expect(await response.text()).toContain("Download not ready yet");
+
+    await queueScan("shop", "book.txt");
+
+    const served = await download(file);
+    expect(served.status).toBe(200);
+    expect(await served.text()).toBe("hello");
+    expect(prisma.$records("entitlement")).toMatchObject([
+      { id: entitlement.id, downloadCount: 1 },
+    ]);
+  });
+
+  it("refuses quarantined files without using up a download", async () => {
+    const file = await seedFile("eicar.txt", EICAR);
+    seedEntitlement(file);
+    await queueScan("shop", "eicar.txt");
+
+    const response = await download(file).catch((thrown) => thrown);
+
+    expect(response.status).toBe(403);
+    expect(await response.text()).toContain("Download unavailable");
+    expect(prisma.$records("entitlement")).toMatchObject([
+      { downloadCount: 0 },
+    ]);
+  });
+
+  it("serves files stored before scanning was added", async () => {
+    const file = await seedFile("old.txt", "hello", "unscanned");
+    seedEntitlement(file);
+
+    const response = await download(file);
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe("hello");
+  });
+
+  it("gates on the version the customer bought", async () => {
+    const file = await seedFile("v1.txt", EICAR);
+    seedEntitlement(file, 1);
+    await queueScan("shop", "v1.txt");
+    await writeFile(join(state.dir, "v2.txt"), "hello");
+    prisma.$seed("fileVersion", {
+      fileId: file.id,
+      version: 2,
+      storageKey: "v2.txt",
+      scanStatus: "clean",
+    });
+    await prisma.file.update({
+      where: { id: file.id },
+      data: { version: 2, storageKey: "v2.txt", scanStatus: "clean" },
+    });
+
+    const response = await download(file).catch((thrown) => thrown);
+
+    expect(response.status).toBe(403);
+    expect(await response.text()).toContain("Download unavailable");
+  });
+});
@@ -0,0 +1,489 @@
+// An in-memory stand-in for the Prisma client, for tests that need the
+// queries of a module to behave like the database's rather than to return
+// canned answers. It covers the parts of the client the app uses: plain,
+// operator, AND/OR/NOT and relation filters, ordering, cursors, counts,
+// sums and groups, field references, cascading deletes and unique
+// constraints reported as P2002 errors.
+//
+//   vi.mock("../app/db.server", async () => {
+//     const { createFakePrisma } = await import("./support/fake-prisma");
+//     return { default: createFakePrisma(), toBytes: Number };
+//   });
+
+// The relations and unique constraints of prisma/schema.prisma, and the
+// column defaults the app relies on. `field` holds the related record's id
+// on this model; `references` is the field on the related model holding
+// this record's id. Every relation with a `field` is deleted along with the
+// record it points to.
+const SCHEMA = {
+  relations: {
+    folder: {
+      parent: { model: "folder", field: "parentId" },
+      children: { model: "folder", references: "parentId" },
+      files: { model: "file", references: "folderId" },
+    },
+    file: {
+      folder: { model: "folder", field: "folderId" },
+      attachments: { model: "fileAttachment", references: "fileId" },
+      entitlements: { model: "entitlement", references: "fileId" },
+      versions: { model: "fileVersion", references: "fileId" },
+      tags: { model: "fileTag", references: "fileId" },
+      metadata: { model: "fileMetadata", references: "fileId" },
+    },
+    fileVersion: { file: { model: "file", field: "fileId" } },
+    tag: { files: { model: "fileTag", references: "tagId" } },
+    fileTag: {
+      file: { model: "file", field: "fileId" },
+      tag: { model: "tag", field: "tagId" },
+    },
+    fileMetadata: { file: { model: "file", field: "fileId" } },
+    fileAttachment: { file: { model: "file", field: "fileId" } },
+    entitlement: { file: { model: "file", field: "fileId" } },
+    pdfStamp: { file: { model: "file", field: "fileId" } },
+    stampedCopy: {
+      entitlement: { model: "entitlement", field: "entitlementId" },
+    },
+    licenseKeyPool: {
+      keys: { model: "licenseKey", references: "poolId" },
+      shortages: { model: "licenseKeyShortage", references: "poolId" },
+    },
+    licenseKey: { pool: { model: "licenseKeyPool", field: "poolId" } },
+    licenseKeyShortage: { pool: { model: "licenseKeyPool", field: "poolId" } },
+    uploadSession: { parts: { model: "uploadPart", references: "uploadId" } },
+    uploadPart: { upload: { model: "uploadSession", field: "uploadId" } },
+  },
+  unique: {
+    fileVersion: [["fileId", "version"]],
+    tag: [["shop", "name"]],
+    fileMetadata: [["fileId", "key"]],
+    storageBlob: [["shop", "sha256"]],
+    fileAttachment: [["fileId", "productId", "variantId"]],
+    entitlement: [["lineItemId", "fileId"]],
+    productPolicy: [["shop", "productId"]],
+    delivery: [["shop", "orderId"]],
+    dataKey: [["shop"]],
+    pdfStamp: [["fileId"]],
+    stampedCopy: [["entitlementId"]],
+    stampFailure: [["shop", "sourceKey"]],
+    licenseKeyPool: [["shop", "productId", "variantId"]],
+    licenseKey: [
+      ["shop", "key"],
+      ["poolId", "lineItemId"],
+    ],
+    licenseKeyShortage: [["poolId", "lineItemId"]],
+    uploadPart: [["uploadId", "offset"]],
+  },
+  defaults: {
+    uploadSession: { received: 0 },
+  },
+};
+
+const OPERATORS = new Set([
+  "equals",
+  "in",
+  "notIn",
+  "not",
+  "lt",
+  "lte",
+  "gt",
+  "gte",
+  "contains",
+  "startsWith",
+  "endsWith",
+  "some",
+  "none",
+  "every",
+  "is",
+  "isNot",
+]);
+
+// Marks the operand built by `prisma.<model>.fields.<field>`, compared
+// against that field of the same record.
+const FIELD = Symbol("field");
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !(value instanceof Date) &&
+  !Array.isArray(value);
+
+const comparable = (value) =>
+  value instanceof Date
+    ? value.getTime()
+    : typeof value === "bigint"
+      ? Number(value)
+      : value;
+
+const equal = (a, b) => comparable(a ?? null) === comparable(b ?? null);
+
+const clone = (record) => (record ? { ...record } : record);
+
+let ids = 0;
+
+export function createFakePrisma({ relations, unique, defaults } = SCHEMA) {
+  const tables = {};
+  const table = (model) => (tables[model] ??= []);
+
+  function related(model, record, name) {
+    const relation = relations[model]?.[name];
+    if (!relation) return undefined;
+    if (relation.field) {
+      return (
+        table(relation.model).find(
+          (other) => other.id === record[relation.field],
+        ) ?? null
+      );
+    }
+    return table(relation.model).filter(
+      (other) => other[relation.references] === record.id,
+    );
+  }
+
+  function matchesValue(value, filter, record) {
+    if (!isPlainObject(filter)) return equal(value, filter);
+
+    return Object.entries(filter).every(([operator, operand]) => {
+      if (operand === undefined) return true;
+      if (operand?.[FIELD]) operand = record[operand[FIELD]];
+      switch (operator) {
+        case "equals":
+          return equal(value, operand);
+        case "in":
+          return operand.some((item) => equal(value, item));
+        case "notIn":
+          return !operand.some((item) => equal(value, item));
+        case "not":
+          return !matchesValue(value, operand, record);
+        case "lt":
+          return value != null && comparable(value) < comparable(operand);
+        case "lte":
+          return value != null && comparable(value) <= comparable(operand);
+        case "gt":
+          return value != null && comparable(value) > comparable(operand);
+        case "gte":
+          return value != null && comparable(value) >= comparable(operand);
+        case "contains":
+          return typeof value === "string" && value.includes(operand);
+        case "startsWith":
+          return typeof value === "string" && value.startsWith(operand);
+        case "endsWith":
+          return typeof value === "string" && value.endsWith(operand);
+        default:
+          throw new Error(`Unsupported filter operator "${operator}"`);
+      }
+    });
+  }
+
+  function matches(model, record, where = {}) {
+    return Object.entries(where).every(([field, filter]) => {
+      if (filter === undefined) return true;
+      if (field === "AND") {
+        return [].concat(filter).every((part) => matches(model, record, part));
+      }
+      if (field === "OR") {
+        return filter.some((part) => matches(model, record, part));
+      }
+      if (field === "NOT") {
+        return ![].concat(filter).some((part) => matches(model, record, part));
+      }
+
+      const relation = relations[model]?.[field];
+      if (relation) {
+        const target = related(model, record, field);
+        const matchesRelated = (other, part) =>
+          matches(relation.model, other, part);
+
+        if (Array.isArray(target)) {
+          const { some, none, every } = filter;
+          return (
+            (!some || target.some((other) => matchesRelated(other, some))) &&
+            (!none || !target.some((other) => matchesRelated(other, none))) &&
+            (!every || target.every((other) => matchesRelated(other, every)))
+          );
+        }
+        if (filter === null) return target === null;
+        if (filter.is !== undefined) {
+          return filter.is === null
+            ? target === null
+            : !!target && matchesRelated(target, filter.is);
+        }
+        if (filter.isNot !== undefined) {
+          return filter.isNot === null
+            ? target !== null
+            : !target || !matchesRelated(target, filter.isNot);
+        }
+        return !!target && matchesRelated(target, filter);
+      }
+
+      // Compound unique keys, such as `shop_key: { shop, key }`.
+      if (
+        isPlainObject(filter) &&
+        !Object.keys(filter).some((key) => OPERATORS.has(key))
+      ) {
+        return matches(model, record, filter);
+      }
+      return matchesValue(record[field], filter, record);
+    });
+  }
+
+  function sort(records, orderBy) {
+    const orders = []
+      .concat(orderBy ?? [])
+      .flatMap((order) => Object.entries(order));
+    return [...records].sort((a, b) => {
+      for (const [field, direction] of orders) {
+        const left = comparable(a[field] ?? null);
+        const right = comparable(b[field] ?? null);
+        if (left === right) continue;
+        const sign = direction === "desc" ? -1 : 1;
+        if (left === null) return -sign;
+        if (right === null) return sign;
+        return left < right ? -sign : sign;
+      }
+      return 0;
+    });
+  }
+
+  function shape(model, record, { select, include } = {}) {
+    if (!record) return record;
+    let result = clone(record);
+
+    for (const [name, option] of Object.entries({ ...include, ...select })) {
+      if (!option || !relations[model]?.[name]) continue;
+      const target = related(model, record, name);
+      const nested = option === true ? {} : option;
+      const relationModel = relations[model][name].model;
+      result[name] = Array.isArray(target)
+        ? sort(
+            target.filter((r) => matches(relationModel, r, nested.where)),
+            nested.orderBy,
+          ).map((r) => shape(relationModel, r, nested))
+        : shape(relationModel, target, nested);
+    }
+
+    if (select) {
+      result = Object.fromEntries(
+        Object.entries(result).filter(([field]) => select[field]),
+      );
+    }
+    return result;
+  }
+
+  function query(model, { where, orderBy, cursor, skip, take, distinct } = {}) {
+    let records = sort(
+      table(model).filter((record) => matches(model, record, where)),
+      orderBy,
+    );
+    if (distinct) {
+      const seen = new Set();
+      records = records.filter((record) => {
+        const key = JSON.stringify(distinct.map((field) => record[field]));
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+    if (cursor) {
+      const start = records.findIndex((record) =>
+        matches(model, record, cursor),
+      );
+      records = start === -1 ? [] : records.slice(start);
+    }
+    if (skip) records = records.slice(skip);
+    if (take !== undefined) records = records.slice(0, take);
+    return records;
+  }
+
+  function checkUnique(model, record) {
+    const others = table(model).filter((other) => other !== record);
+    for (const fields of [["id"], ...(unique[model] ?? [])]) {
+      const clash = others.some((other) =>
+        fields.every(
+          (field) =>
+            record[field] != null && equal(other[field], record[field]),
+        ),
+      );
+      if (clash) {
+        const error = new Error(
+          `Unique constraint failed on the fields: (${fields.join(", ")})`,
+        );
+        error.code = "P2002";
+        throw error;
+      }
+    }
+  }
+
+  function applyData(record, data) {
+    for (const [field, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+      if (isPlainObject(value) && "increment" in value) {
+        record[field] = (record[field] ?? 0) + value.increment;
+      } else if (isPlainObject(value) && "decrement" in value) {
+        record[field] = (record[field] ?? 0) - value.decrement;
+      } else {
+        record[field] = value;
+      }
+    }
+    record.updatedAt = new Date();
+  }
+
+  function create(model, data) {
+    const now = new Date();
+    const record = {
+      id: `${model}-${++ids}`,
+      createdAt: now,
+      updatedAt: now,
+      ...defaults?.[model],
+    };
+    applyData(record, data);
+    checkUnique(model, record);
+    table(model).push(record);
+    return record;
+  }
+
+  function remove(model, records) {
+    if (records.length === 0) return;
+    const removed = new Set(records);
+    tables[model] = table(model).filter((record) => !removed.has(record));
+
+    for (const [other, fields] of Object.entries(relations)) {
+      for (const relation of Object.values(fields)) {
+        if (relation.model !== model || !relation.field) continue;
+        const removedIds = new Set(records.map((record) => record.id));
+        remove(
+          other,
+          table(other).filter((record) =>
+            removedIds.has(record[relation.field]),
+          ),
+        );
+      }
+    }
+  }
+
+  function notFound(model) {
+    const error = new Error(`No ${model} record was found`);
+    error.code = "P2025";
+    return error;
+  }
+
+  function delegate(model) {
+    return {
+      fields: new Proxy({}, { get: (target, field) => ({ [FIELD]: field }) }),
+      findMany: async (args = {}) =>
+        query(model, args).map((record) => shape(model, record, args)),
+      findFirst: async (args = {}) =>
+        shape(model, query(model, args)[0] ?? null, args),
+      findUnique: async (args = {}) =>
+        shape(model, query(model, { where: args.where })[0] ?? null, args),
+      count: async (args = {}) => query(model, args).length,
+      create: async (args) => shape(model, create(model, args.data), args),
+      createMany: async ({ data }) => {
+        for (const item of data) create(model, item);
+        return { count: data.length };
+      },
+      update: async (args) => {
+        const record = query(model, { where: args.where })[0];
+        if (!record) throw notFound(model);
+        applyData(record, args.data);
+        checkUnique(model, record);
+        return shape(model, record, args);
+      },
+      updateMany: async ({ where, data }) => {
+        const records = query(model, { where });
+        for (const record of records) applyData(record, data);
+        return { count: records.length };
+      },
+      upsert: async (args) => {
+        const record = query(model, { where: args.where })[0];
+        if (record) {
+          applyData(record, args.update);
+          return shape(model, record, args);
+        }
+        return shape(model, create(model, args.create), args);
+      },
+      delete: async (args) => {
+        const record = query(model, { where: args.where })[0];
+        if (!record) throw notFound(model);
+        remove(model, [record]);
+        return clone(record);
+      },
+      deleteMany: async ({ where } = {}) => {
+        const records = query(model, { where });
+        remove(model, records);
+        return { count: records.length };
+      },
+      aggregate: async ({ where, _sum = {}, _count }) => {
+        const records = query(model, { where });
+        const sum = Object.fromEntries(
+          Object.keys(_sum).map((field) => [
+            field,
+            records.length
+              ? records.reduce(
+                  (total, record) => total + Number(record[field] ?? 0),
+                  0,
+                )
+              : null,
+          ]),
+        );
+        return {
+          _sum: sum,
+          ...(_count ? { _count: { _all: records.length } } : {}),
+        };
+      },
+      groupBy: async ({ by, where, _count, _sum = {} }) => {
+        const groups = new Map();
+        for (const record of query(model, { where })) {
+          const key = JSON.stringify(by.map((field) => record[field]));
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(record);
+        }
+        return [...groups.values()].map((records) => ({
+          ...Object.fromEntries(by.map((field) => [field, records[0][field]])),
+          ...(_count ? { _count: { _all: records.length } } : {}),
+          _sum: Object.fromEntries(
+            Object.keys(_sum).map((field) => [
+              field,
+              records.reduce(
+                (total, record) => total + Number(record[field] ?? 0),
+                0,
+              ),
+            ]),
+          ),
+        }));
+      },
+    };
+  }
+
+  const delegates = {};
+  const client = {
+    async $transaction(work) {
+      return typeof work === "function" ? work(prisma) : Promise.all(work);
+    },
+    // Seeds a table with records, filling in ids and timestamps.
+    $seed(model, records) {
+      return [].concat(records).map((data) => create(model, data));
+    },
+    // The records of a table as stored, for assertions.
+    $records(model) {
+      return table(model);
+    },
+    $reset() {
+      for (const model of Object.keys(tables)) delete tables[model];
+    },
+  };
+
+  const prisma = new Proxy(client, {
+    get(target, property) {
+      if (
+        property in target ||
+        typeof property !== "string" ||
+        !/^[a-z][A-Za-z]*$/.test(property) ||
+        property === "then"
+      ) {
+        return target[property];
+      }
+      return (delegates[property] ??= delegate(property));
+    },
+  });
+  return prisma;
+}
@@ -0,0 +1,47 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { validateUpload } from "../app/upload-validation.server";
+
+const settings = vi.hoisted(() => ({ allowedFileTypes: null }));
+
+vi.mock("../app/download-policies.server", () => ({
+  getShopSettings: async () => settings,
+}));
+
+const windowsProgram = Buffer.concat([
+  Buffer.from("MZ"),
+  Buffer.alloc(62),
+  Buffer.from("%PDF-1.7 This program cannot be run in DOS mode"),
+]);
+const linuxProgram = Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01, 0x01]);
+
+const validate = (name, head) =>
+  validateUpload("shop", { name, size: head.length, head });
+
+describe("validateUpload", () => {
+  beforeEach(() => {
+    settings.allowedFileTypes = null;
+  });
+
+  it("accepts a PDF", async () => {
+    expect(await validate("guide.pdf", Buffer.from("%PDF-1.7\n"))).toEqual({
+      mimeType: "application/pdf",
+    });
+  });
+
+  it("rejects a program carrying a PDF header renamed to .pdf", async () => {
+    expect(await validate("guide.pdf", windowsProgram)).toEqual({
+      error: "This file looks like a Windows program, not a .pdf file",
+    });
+  });
+
+  it("rejects a program without an extension unless its type is allowed", async () => {
+    expect((await validate("tool", linuxProgram)).error).toMatch(
+      /looks like a Linux program/,
+    );
+
+    settings.allowedFileTypes = "application/x-sharedlib";
+    expect(await validate("tool", linuxProgram)).toEqual({
+      mimeType: "application/x-sharedlib",
+    });
+  });
+});